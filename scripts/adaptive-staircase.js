@@ -0,0 +1,129 @@
+/**
+ * Adaptive Staircase - Tracks the pitch shift a participant still prefers over their raw voice
+ * Each step compares raw against one processed version at the current pitchCents:
+ * choosing the processed version moves the next step deeper, choosing raw moves it back.
+ *
+ * Rules:  '1up1down'  equal steps, converges on the 50% preference point
+ *         'weighted'  Kaernbach (1991) weighted up/down, converges on targetProbability
+ * Step size halves at every reversal down to minStepCents; the estimate is the
+ * mean level of the last reversalsForEstimate reversals.
+ */
+
+const STAIRCASE_DEFAULTS = {
+    rule: '1up1down',
+    targetProbability: 0.5,
+    startCents: -60,
+    stepCents: 40,
+    minStepCents: 10,
+    minCents: -300,
+    maxCents: 0,
+    maxSteps: 14,
+    reversalsToStop: 6,
+    reversalsForEstimate: 4
+};
+
+class AdaptiveStaircase {
+    constructor(options = {}) {
+        const settings = { ...STAIRCASE_DEFAULTS, ...options };
+
+        if (!['1up1down', 'weighted'].includes(settings.rule)) {
+            throw new Error(`Unknown staircase rule: ${settings.rule}`);
+        }
+        if (!(settings.targetProbability > 0 && settings.targetProbability < 1)) {
+            throw new Error('Staircase targetProbability must be between 0 and 1');
+        }
+        if (settings.minCents >= settings.maxCents) {
+            throw new Error('Staircase minCents must be below maxCents');
+        }
+
+        this.settings = settings;
+        this.level = this._clamp(settings.startCents);
+        this.stepCents = settings.stepCents;
+        this.history = [];
+        this.reversals = [];
+        this.lastDirection = 0;
+    }
+
+    getCurrentLevel() {
+        return Math.round(this.level);
+    }
+
+    getStepCount() {
+        return this.history.length;
+    }
+
+    isComplete() {
+        return this.reversals.length >= this.settings.reversalsToStop ||
+            this.history.length >= this.settings.maxSteps;
+    }
+
+    /**
+     * Record one comparison and move to the next level.
+     * @param {boolean} preferredProcessed - True when the processed version was chosen over raw
+     * @param {object} extra - Extra fields kept on the history entry (side, response time, ...)
+     */
+    respond(preferredProcessed, extra = {}) {
+        if (this.isComplete()) {
+            throw new Error('Staircase is already complete');
+        }
+
+        // -1 = deeper (more negative cents), +1 = back towards the raw voice
+        const direction = preferredProcessed ? -1 : 1;
+        const reversal = this.lastDirection !== 0 && direction !== this.lastDirection;
+
+        this.history.push({
+            step: this.history.length + 1,
+            pitchCents: this.getCurrentLevel(),
+            choice: preferredProcessed ? 'processed' : 'raw',
+            reversal,
+            ...extra
+        });
+
+        if (reversal) {
+            this.reversals.push(this.getCurrentLevel());
+            this.stepCents = Math.max(this.settings.minStepCents, this.stepCents / 2);
+        }
+
+        this.level = this._clamp(this.level + direction * this._stepSize(direction));
+        this.lastDirection = direction;
+    }
+
+    // Mean of the last reversals; falls back to the final level when there were too few
+    getEstimate() {
+        const used = this.reversals.slice(-this.settings.reversalsForEstimate);
+        if (used.length === 0) {
+            return this.history.length > 0 ? this.getCurrentLevel() : null;
+        }
+        return Math.round(used.reduce((sum, level) => sum + level, 0) / used.length);
+    }
+
+    getResult() {
+        return {
+            rule: this.settings.rule,
+            targetProbability: this.settings.targetProbability,
+            startCents: this.settings.startCents,
+            estimateCents: this.getEstimate(),
+            converged: this.reversals.length >= this.settings.reversalsToStop,
+            steps: this.history.length,
+            reversals: [...this.reversals],
+            history: this.history.map(entry => ({ ...entry }))
+        };
+    }
+
+    // Weighted rule: step towards raw / step deeper = p / (1 - p)
+    _stepSize(direction) {
+        if (this.settings.rule !== 'weighted' || direction < 0) {
+            return this.stepCents;
+        }
+        const p = this.settings.targetProbability;
+        return this.stepCents * p / (1 - p);
+    }
+
+    _clamp(cents) {
+        return Math.max(this.settings.minCents, Math.min(this.settings.maxCents, cents));
+    }
+}
+
+// Export for both ES6 modules and global use
+export { AdaptiveStaircase, STAIRCASE_DEFAULTS };
+window.AdaptiveStaircase = AdaptiveStaircase;
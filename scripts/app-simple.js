@@ -1,4 +1,13 @@
 // Main Application Controller with User Registration and Data Protection
+import { StudyProtocol } from './study-protocol.js';
+import { MushraRating } from './mushra-rating.js';
+import { VoiceAdjuster } from './voice-adjuster.js';
+import { processingPresets } from './processing-presets.js';
+import { VoiceActivityDetector } from './voice-activity.js';
+import { RecordingQuality } from './recording-quality.js';
+import { MicPreflight } from './mic-preflight.js';
+import { HeadphoneCheck } from './headphone-check.js';
+
 // Guarantee session store exists before any processing
 window.voiceQuizApp = window.voiceQuizApp || {};
 window.voiceQuizApp.session = window.voiceQuizApp.session || {
@@ -6,14 +15,8 @@ window.voiceQuizApp.session = window.voiceQuizApp.session || {
   add(q) { this.questions.push(q); }
 };
 
-// Helper function for array shuffling
-function shuffle(array) {
-  for (let i = array.length - 1; i > 0; i--) {
-    let j = Math.floor(Math.random() * (i + 1));
-    [array[i], array[j]] = [array[j], array[i]];
-  }
-  return array;
-}
+// Pause between A, B and X when the ABX sequence plays automatically
+const ABX_SEQUENCE_GAP_MS = 400;
 
 // Safe range computation function that won't overflow the call stack
 function computeRange(buffer) {
@@ -100,18 +103,9 @@ function buildVersionURLs() {
   window.voiceQuizApp.versionURLs = urls;
 }
 
+// Runs synchronously while the quiz is in the 'processing' state, so it can't be re-entered
 function handleQuestionProcessed(questionIndex, processedMap) {
-  // Prevent recursive calls to handleQuestionProcessed
-  if (window.voiceQuizApp && window.voiceQuizApp.isHandlingQuestion) {
-    console.log('🔄 handleQuestionProcessed() called while already handling - ignoring');
-    return;
-  }
-  
   try {
-    if (window.voiceQuizApp) {
-      window.voiceQuizApp.isHandlingQuestion = true;
-    }
-  
   // Ensure session and questions array exist
   if (!window.voiceQuizApp.session) {
     console.error('Session not initialized');
@@ -209,16 +203,7 @@ function handleQuestionProcessed(questionIndex, processedMap) {
   
   } catch (error) {
     console.error('❌ Error in handleQuestionProcessed:', error);
-    // Reset flag even on error
-    if (window.voiceQuizApp) {
-      window.voiceQuizApp.isHandlingQuestion = false;
-    }
     throw error; // Re-throw to maintain error propagation
-  } finally {
-    // Always reset the handling flag
-    if (window.voiceQuizApp) {
-      window.voiceQuizApp.isHandlingQuestion = false;
-    }
   }
 }
 
@@ -228,12 +213,55 @@ class VoiceQuizApp {
         this.session = window.voiceQuizApp.session;
         
         this.currentQuestion = 0;
-        this.isProcessing = false; // Add processing flag to prevent recursion
-        this.isMovingToNext = false; // Add flag to prevent multiple nextQuestion calls
-        this.isHandlingQuestion = false; // Add flag to prevent handleQuestionProcessed recursion
+        this.processingCancelled = false; // Set when the participant re-records mid-processing
+        
+        // 🚦 Screen flow: every step is an event the machine accepts or rejects (no more re-entrancy flags)
+        this.machine = new QuizStateMachine({
+            context: () => ({
+                isRegistered: this.isRegistered,
+                preflightPassed: !this.preflight.options.required || this.preflightResult?.passed === true,
+                headphoneCheckPending: this.headphoneCheck.options.enabled && !this.headphoneResult,
+                headphonesCleared: !!this.headphoneResult && (this.headphoneResult.passed || this.headphoneResult.onFail !== 'exclude'),
+                screenedOut: !!this.headphoneResult && !this.headphoneResult.passed && this.headphoneResult.onFail === 'exclude',
+                hasRecording: !!this.currentRecording,
+                currentQuestion: this.currentQuestion,
+                totalQuestions: this.trials.length
+            })
+        });
+        this.machine.onTransition(change => this.renderScreen(change));
+        // Screens fade in through UIController; without it they switch instantly
+        this.uiController = window.uiController || (typeof UIController !== 'undefined' ? new UIController() : null);
         
         // New trial structure for two-choice system
-        this.trials = this.generateTrials();
+        // Generated from the study definition once it has loaded (see initializeApp)
+        this.studyProtocol = null;
+        this.trials = [];
+        
+        // Adaptive staircase trial (only when the study defines one)
+        this.staircase = null;
+        this.staircaseResult = null;
+        this.staircaseStepStart = null;
+        
+        // MUSHRA-style rating screen (studies with responseMode "mushra")
+        this.mushraRating = null;
+        
+        // Method-of-adjustment slider (studies with an adjustment block)
+        this.voiceAdjuster = null;
+        
+        // Speech detection for trimming recordings and the quality gate (configured in loadStudyProtocol)
+        this.voiceActivity = new VoiceActivityDetector();
+        this.recordingQuality = new RecordingQuality();
+        
+        // 🎚️ Microphone check before the first question, judged like a real answer
+        this.preflight = new MicPreflight(null, { voiceActivity: this.voiceActivity, recordingQuality: this.recordingQuality });
+        this.preflightResult = null; // Latest test take: { passed, attempts, ...metrics, problems }
+        this.preflightRecording = null;
+        this.preflightMeterTimer = null;
+        
+        // 🎧 Headphone screening after the microphone check (configured in loadStudyProtocol)
+        this.headphoneCheck = new HeadphoneCheck();
+        this.headphoneResult = null; // { passed, attempts, correct, trials, onFail } once the check is finished
+        this.headphonePlayback = null;
         
         this.currentRecording = null;
         this.processedVersions = null;
@@ -241,6 +269,9 @@ class VoiceQuizApp {
         this.startTime = null;
         this.isRegistered = false;
         
+        // ♻️ Progress saved after every answered question so a reload can resume (audio is never saved)
+        this.checkpoint = new SessionCheckpoint();
+        
         // Audio playback tracking
         this.currentlyPlayingAudio = null;
         this.currentlyPlayingVersion = null;
@@ -265,12 +296,24 @@ class VoiceQuizApp {
         // 🔧 ENHANCED: Explicit playback state tracking
         this.playbackState = {
             hasPlayedLeft: false,
-            hasPlayedRight: false
+            hasPlayedRight: false,
+            hasPlayedX: false
         };
+        this.abxSequenceToken = 0; // Bumped to cancel a running A-B-X sequence
         
         // ✅ Create shared AudioContext for better performance
         this.sharedAudioContext = null;
         
+        // 📮 Show the outbox's delivery state for this session on the results page
+        if (window.webhookService) {
+            window.webhookService.onStatusChange(event => this.updateSubmissionStatus(event));
+        }
+        
+        // 🎧 Follow microphones and outputs being plugged in or out
+        if (window.audioDevices) {
+            window.audioDevices.onChange(change => this.handleAudioDeviceChange(change));
+        }
+        
         this.initializeApp();
     }
     
@@ -278,96 +321,31 @@ class VoiceQuizApp {
         if (!this.sharedAudioContext || this.sharedAudioContext.state === 'closed') {
             this.sharedAudioContext = new (window.AudioContext || window.webkitAudioContext)();
             console.log('✅ Created shared AudioContext:', this.sharedAudioContext.sampleRate + 'Hz');
+            this.routeToOutput(this.sharedAudioContext, { follow: true });
         }
         return this.sharedAudioContext;
     }
 
     generateTrials() {
-        console.log('🎯 Generating counter-balanced trial set with guaranteed 5 raw-left, 5 raw-right distribution...');
-        
-        // 1) Build nine real trials: 3× each processing mode
-        const modes = ['light', 'medium', 'deep']
-            .flatMap(type => Array(3).fill(type));
-        
-        // 2) Shuffle processing mode order for variety
-        const shuffledModes = shuffle([...modes]);
-        
-        // 3) Build counter-balanced side assignment for guaranteed distribution
-        // Target: 5 raw-left, 5 raw-right total (including catch trial)
-        // Since catch trial contributes 1 raw-left + 1 raw-right, real trials need 4 raw-left + 4 raw-right
-        // This means processed version appears on left 5/9 times and right 4/9 times
-        const sideMask = Array(5).fill('procLeft')  // Raw on right (processed on left)
-            .concat(Array(4).fill('procRight'));    // Raw on left (processed on right)
-        
-        // 4) Nine diverse prompts for the real trials
-        const prompts = [
-            "What's your favorite food and why do you love it?",
-            "Describe your ideal weekend morning and what you'd do.",
-            "What always cheers you up when you're having a bad day?", 
-            "Tell me about a place that makes you feel peaceful and why.",
-            "What's your favorite way to spend a day off and what makes it special?",
-            "What's the best advice someone has ever given you and why?",
-            "How do you like to unwind after a long day?",
-            "What made you smile today and what happened?",
-            "What's your favorite season of the year and what do you enjoy about it?"
-        ];
-        
-        // 5) Build the 9 test trials with guaranteed side distribution
-        const testTrials = shuffledModes.map((mode, i) => {
-            const leftIsProc = sideMask[i] === 'procLeft';
-            
-            return {
-                type: mode,
-                isCatch: false,
-                question: prompts[i],
-                hint: "Take your time and speak naturally",
-                comparisonSetup: {
-                    leftVersion: leftIsProc ? mode : 'raw',
-                    rightVersion: leftIsProc ? 'raw' : mode,
-                    correctAnswer: leftIsProc ? 'left' : 'right' // For analysis
-                }
-            };
-        });
-        
-        // 6) One catch trial (raw vs raw) 
-        const catchTrial = {
-            type: 'raw',
-            isCatch: true,
-            question: "Tell me about a skill you're proud of and how you developed it.",
-            hint: "This is a validation question - listen carefully",
-            comparisonSetup: {
-                leftVersion: 'raw',
-                rightVersion: 'raw', 
-                correctAnswer: 'either' // Both should sound identical
-            }
-        };
-        
-        // 7) Insert the catch at a random position (avoid first/last for subtlety)
-        const allTrials = [...testTrials];
-        const catchPosition = 2 + Math.floor(Math.random() * (allTrials.length - 3)); // Positions 2-7
-        allTrials.splice(catchPosition, 0, catchTrial);
+        // 🔧 ENHANCED: Trials come from the declarative study definition (studies/*.json)
+        const expected = this.studyProtocol.getExpectedDistribution();
+        console.log(`🎯 Generating trials for study ${this.studyProtocol.id} v${this.studyProtocol.version}:`, expected);
         
-        // 8) Verify the guaranteed distribution
-        const rawLeftCount = allTrials.filter(trial => 
-            !trial.isCatch && trial.comparisonSetup.leftVersion === 'raw'
-        ).length + (catchTrial.comparisonSetup.leftVersion === 'raw' ? 1 : 0);
+        // ⚖️ Condition order and sides come from this session's Latin-square row when the study counterbalances
+        const counterbalancing = this.studyProtocol.createCounterbalancing();
+        const assignment = counterbalancing ? counterbalancing.assign() : null;
+        if (window.userManager) {
+            window.userManager.setCounterbalancing(assignment);
+        }
         
-        const rawRightCount = allTrials.filter(trial => 
-            !trial.isCatch && trial.comparisonSetup.rightVersion === 'raw'
-        ).length + (catchTrial.comparisonSetup.rightVersion === 'raw' ? 1 : 0);
+        const allTrials = this.studyProtocol.generateTrials(Math.random, assignment);
         
-        console.log('✅ Generated trial set with counter-balanced distribution:', {
+        console.log('✅ Generated trial set:', {
             totalTrials: allTrials.length,
-            realTrials: testTrials.length,
-            catchTrials: 1,
-            catchPosition: catchPosition + 1,
-            processingModes: shuffledModes,
-            distribution: {
-                rawOnLeft: rawLeftCount,   // Will be 5 or 6 (acceptable)
-                rawOnRight: rawRightCount, // Will be 6 or 5 (acceptable)
-                processedOnLeft: sideMask.filter(s => s === 'procLeft').length,
-                processedOnRight: sideMask.filter(s => s === 'procRight').length
-            }
+            catchPositions: allTrials
+                .map((trial, index) => (trial.isCatch ? index + 1 : null))
+                .filter(position => position !== null),
+            processingModes: allTrials.filter(trial => !trial.isCatch).map(trial => trial.type)
         });
         
         // 🔍 ADDED: Comprehensive distribution verification
@@ -376,6 +354,30 @@ class VoiceQuizApp {
         return allTrials;
     }
 
+    async loadStudyProtocol() {
+        const studyName = StudyProtocol.nameFromUrl();
+        this.studyProtocol = await StudyProtocol.load(studyName);
+        
+        // 📮 Results go to the study's sinks unless ?sinks= overrides them
+        if (window.webhookService) {
+            await window.webhookService.configureSinks(this.studyProtocol.definition.sinks || null);
+            window.webhookService.setSigningKey(this.studyProtocol.definition.signing || null);
+            window.webhookService.setQualityThresholds(this.studyProtocol.definition.quality || null);
+        }
+        
+        // 🗣️ Silence trimming and optional auto-stop, tuned by the study's voiceActivity block
+        this.voiceActivity = new VoiceActivityDetector(this.studyProtocol.definition.voiceActivity || null);
+        this.recordingQuality = new RecordingQuality(this.studyProtocol.definition.recordingQuality || null);
+        this.preflight = new MicPreflight(this.studyProtocol.definition.preflight || null, {
+            voiceActivity: this.voiceActivity,
+            recordingQuality: this.recordingQuality
+        });
+        this.headphoneCheck = new HeadphoneCheck(this.studyProtocol.definition.headphoneCheck || null);
+        
+        this.trials = this.generateTrials();
+        this.renderProgressDots();
+    }
+
     async initializeApp() {
         try {
             // Ensure userManager has the correct versionOrder for counter-balanced trials
@@ -389,6 +391,15 @@ class VoiceQuizApp {
                 console.log('Counter-balanced versionOrder initialized:', window.userManager.versionOrder);
             }
             
+            // Load the study definition before anything can start the quiz
+            try {
+                await this.loadStudyProtocol();
+            } catch (studyError) {
+                console.error('❌ Study definition error:', studyError);
+                this.showError(`This study could not be loaded: ${studyError.message}`);
+                return;
+            }
+            
             // Check AudioWorklet support
             const hasAudioWorklet = typeof AudioWorkletNode !== 'undefined';
             const hasWebAssembly = typeof WebAssembly !== 'undefined';
@@ -427,6 +438,9 @@ class VoiceQuizApp {
                 window.uiController.initialize();
             }
             
+            // ♻️ Offer to continue a session that a reload or crash interrupted
+            await this.offerResume();
+            
             console.log('Voice Quiz App initialized successfully');
             
         } catch (error) {
@@ -439,13 +453,53 @@ class VoiceQuizApp {
         // Landing page
         const startBtn = document.getElementById('start-quiz-btn');
         if (startBtn) {
-            startBtn.addEventListener('click', () => this.showRegistration());
+            startBtn.addEventListener('click', () => this.startFromLanding());
+        }
+
+        // Microphone check
+        const preflightRecordBtn = document.getElementById('preflight-record-btn');
+        if (preflightRecordBtn) {
+            preflightRecordBtn.addEventListener('click', () => this.runPreflightTest());
+        }
+
+        const preflightPlayBtn = document.getElementById('preflight-play-btn');
+        if (preflightPlayBtn) {
+            preflightPlayBtn.addEventListener('click', () => this.playRecording(this.preflightRecording));
         }
 
-        // Microphone test button
-        const testMicBtn = document.getElementById('test-microphone-btn');
-        if (testMicBtn) {
-            testMicBtn.addEventListener('click', () => this.testMicrophone());
+        const preflightContinueBtn = document.getElementById('preflight-continue-btn');
+        if (preflightContinueBtn) {
+            preflightContinueBtn.addEventListener('click', () => this.continueFromPreflight());
+        }
+
+        // Headphone check
+        const headphoneCalibrateBtn = document.getElementById('headphone-calibrate-btn');
+        if (headphoneCalibrateBtn) {
+            headphoneCalibrateBtn.addEventListener('click', () => this.playHeadphoneCalibration());
+        }
+
+        const headphonePlayBtn = document.getElementById('headphone-play-btn');
+        if (headphonePlayBtn) {
+            headphonePlayBtn.addEventListener('click', () => this.playHeadphoneTrial());
+        }
+
+        document.querySelectorAll('.headphone-answer-btn').forEach(button => {
+            button.addEventListener('click', () => this.answerHeadphoneTrial(Number(button.dataset.tone)));
+        });
+
+        const headphoneContinueBtn = document.getElementById('headphone-continue-btn');
+        if (headphoneContinueBtn) {
+            headphoneContinueBtn.addEventListener('click', () => this.continueFromHeadphones());
+        }
+
+        const inputDeviceSelect = document.getElementById('input-device-select');
+        if (inputDeviceSelect) {
+            inputDeviceSelect.addEventListener('change', () => this.changeInputDevice(inputDeviceSelect.value));
+        }
+
+        const outputDeviceSelect = document.getElementById('output-device-select');
+        if (outputDeviceSelect) {
+            outputDeviceSelect.addEventListener('change', () => window.audioDevices?.selectOutput(outputDeviceSelect.value));
         }
 
         // Registration form
@@ -470,15 +524,15 @@ class VoiceQuizApp {
             reRecordBtn.addEventListener('click', () => this.reRecord());
         }
 
+        const cancelProcessingBtn = document.getElementById('cancel-processing-btn');
+        if (cancelProcessingBtn) {
+            cancelProcessingBtn.addEventListener('click', () => this.cancelProcessing());
+        }
+
         const continueBtn = document.getElementById('continue-btn');
         if (continueBtn) {
             continueBtn.addEventListener('click', () => {
                 console.log('🔄 Continue button clicked - calling processRecording()');
-                // Prevent multiple rapid clicks
-                if (this.isProcessing) {
-                    console.log('🔄 Ignoring continue button click - already processing');
-                    return;
-                }
                 this.processRecording();
             });
         }
@@ -501,11 +555,7 @@ class VoiceQuizApp {
         if (comparisonContinueBtn) {
             comparisonContinueBtn.addEventListener('click', () => {
                 console.log('🔄 Comparison continue button clicked - calling nextQuestion()');
-                // Prevent multiple rapid clicks
-                if (this.isProcessing || this.isMovingToNext) {
-                    console.log('🔄 Ignoring comparison continue button click - currently processing or moving');
-                    return;
-                }
+                // Rapid clicks are rejected by the state machine once the first one submits
                 // Add a small delay to prevent rapid clicks
                 setTimeout(() => {
                     this.nextQuestion();
@@ -531,59 +581,6 @@ class VoiceQuizApp {
         }
     }
 
-    async testMicrophone() {
-        const statusDiv = document.getElementById('microphone-status');
-        const testBtn = document.getElementById('test-microphone-btn');
-        
-        if (!statusDiv || !testBtn) return;
-        
-        try {
-            testBtn.disabled = true;
-            testBtn.textContent = 'Testing...';
-            statusDiv.textContent = 'Checking microphone access...';
-            
-            if (!window.audioRecorder) {
-                statusDiv.textContent = '❌ Audio recorder not available';
-                return;
-            }
-            
-            const permissionCheck = await window.audioRecorder.checkMicrophonePermission();
-            
-            if (!permissionCheck.supported) {
-                statusDiv.textContent = '❌ Microphone not supported in this browser';
-            } else if (!permissionCheck.permitted) {
-                statusDiv.textContent = '❌ Microphone permission denied. Please allow access.';
-            } else {
-                statusDiv.textContent = '✅ Microphone access confirmed!';
-                
-                // Try a quick recording test
-                try {
-                    await window.audioRecorder.initialize();
-                    statusDiv.textContent = '✅ Microphone ready for recording!';
-                } catch (error) {
-                    statusDiv.textContent = `⚠️ Microphone access confirmed but recording test failed: ${error.message}`;
-                }
-            }
-            
-        } catch (error) {
-            console.error('Microphone test failed:', error);
-            statusDiv.textContent = `❌ Microphone test failed: ${error.message}`;
-        } finally {
-            testBtn.disabled = false;
-            testBtn.textContent = 'Test Microphone';
-        }
-    }
-
-    showRegistration() {
-        this.hideAllScreens();
-        const registrationPage = document.getElementById('registration-page');
-        if (registrationPage) {
-            registrationPage.classList.add('active');
-        } else {
-            console.error('registration-page element not found');
-        }
-    }
-
     async handleRegistration(event) {
         event.preventDefault();
         
@@ -621,6 +618,8 @@ class VoiceQuizApp {
             if (result.success) {
                 this.isRegistered = true;
                 console.log('Anonymous session started');
+                // A new session replaces any progress saved by an earlier one
+                await this.discardCheckpoint();
                 this.startQuiz();
             } else {
                 throw new Error(result.message || 'Registration failed');
@@ -666,17 +665,494 @@ class VoiceQuizApp {
         }, 5000);
     }
 
+    // 🎧 A browser the headphone check screened out of this study goes straight back to the screened-out page
+    startFromLanding() {
+        const screenOut = this.studyProtocol && HeadphoneCheck.recallScreenOut(this.studyProtocol.id);
+        if (screenOut) {
+            console.log('🎧 Screened out of this study on', screenOut.screenedOutAt);
+            this.headphoneResult = screenOut.result;
+            if (this.machine.send('SCREEN_OUT')) return;
+        }
+        this.machine.send('START');
+    }
+
     startQuiz() {
-        if (!this.isRegistered) {
-            this.showRegistration();
+        this.currentQuestion = 0;
+        this.preflightResult = null;
+        this.headphoneResult = null;
+        this.headphoneCheck.reset();
+        if (!this.machine.send('REGISTERED')) return;
+        
+        this.showPreflightPage();
+    }
+
+    // 🎚️ Microphone check: a live level meter and a test take that has to pass before the first question
+    async showPreflightPage() {
+        this.preflightRecording = null;
+        this.setPreflightStatus('');
+        this.showRecordingGuidance([], 'preflight-guidance');
+        document.getElementById('preflight-play-btn')?.classList.add('hidden');
+        const recordBtn = document.getElementById('preflight-record-btn');
+        if (recordBtn) recordBtn.textContent = this.preflightResult ? 'Record Again' : 'Record Test';
+        this.updatePreflightContinue();
+
+        try {
+            if (!window.audioRecorder) {
+                throw new Error('Audio recorder not available. Please refresh the page and try again.');
+            }
+            // The microphone chosen earlier in this session (e.g. before a reload)
+            await window.audioRecorder.setInputDevice(window.audioDevices?.inputId || null);
+            if (!window.audioRecorder.stream || !window.audioRecorder.stream.active) {
+                await window.audioRecorder.initialize();
+            }
+            this.startInputMeter();
+        } catch (error) {
+            console.error('Microphone check could not start:', error);
+            this.setPreflightStatus(`❌ ${error.message}`);
+        }
+        // Device names are only listed once microphone permission is granted
+        await this.refreshDevicePicker();
+    }
+
+    // 🎧 Fill the microphone and output lists, marking the devices in use
+    async refreshDevicePicker() {
+        const devices = window.audioDevices;
+        if (!devices || !window.AudioDevices.isSupported()) return;
+
+        // initialize() falls back to the default microphone when the chosen one is gone
+        if (window.audioRecorder && devices.inputId !== window.audioRecorder.inputDeviceId) {
+            devices.selectInput(window.audioRecorder.inputDeviceId);
+        }
+
+        let list;
+        try {
+            list = await devices.list();
+        } catch (error) {
+            console.warn('🎧 Could not list audio devices:', error);
             return;
         }
 
-        this.currentQuestion = 0;
+        const fill = (select, options, defaultLabel, selectedId) => {
+            if (!select) return;
+            select.replaceChildren(new Option(defaultLabel, ''), ...options.map(device => new Option(device.label, device.deviceId)));
+            select.value = selectedId || '';
+        };
+        fill(document.getElementById('input-device-select'), list.inputs, 'Default microphone', devices.inputId);
+        fill(document.getElementById('output-device-select'), list.outputs, 'Default output', devices.outputId);
+        document.getElementById('output-device-row')?.classList.toggle('hidden', list.outputs.length === 0);
+    }
+
+    async changeInputDevice(deviceId) {
+        if (!window.audioRecorder || window.audioRecorder.isRecording) return;
+
+        window.audioDevices?.selectInput(deviceId || null);
+        try {
+            await window.audioRecorder.setInputDevice(deviceId || null);
+            if (!window.audioRecorder.stream) {
+                await window.audioRecorder.initialize();
+            }
+            this.startInputMeter();
+        } catch (error) {
+            console.error('Could not switch microphones:', error);
+            this.setPreflightStatus(`❌ ${error.message}`);
+        }
+        this.invalidatePreflightTest('Record a new test with this microphone.');
+        await this.refreshDevicePicker();
+    }
+
+    // A test take only vouches for the microphone it was made with
+    invalidatePreflightTest(message) {
+        if (this.preflightResult) {
+            this.preflightResult.passed = false;
+        }
+        this.preflightRecording = null;
+        document.getElementById('preflight-play-btn')?.classList.add('hidden');
+        this.showRecordingGuidance([], 'preflight-guidance');
+        this.setPreflightStatus(message);
+        this.updatePreflightContinue();
+    }
+
+    async handleAudioDeviceChange({ inputLost }) {
+        const recorder = window.audioRecorder;
+        if (inputLost && recorder && !recorder.isRecording) {
+            try {
+                await recorder.setInputDevice(null);
+            } catch (error) {
+                console.error('Could not switch to the default microphone:', error);
+            }
+        }
+
+        if (this.machine.is('preflight')) {
+            if (inputLost) {
+                this.startInputMeter();
+                this.invalidatePreflightTest('⚠️ Your microphone was disconnected. Choose one and record a new test.');
+            }
+            await this.refreshDevicePicker();
+        } else if (inputLost) {
+            this.showError('Your microphone was disconnected. The quiz will use your default microphone from now on.');
+        }
+    }
+
+    // Play through the output chosen on the microphone check (see AudioDevices.applyOutput)
+    routeToOutput(target, options) {
+        return window.audioDevices ? window.audioDevices.applyOutput(target, options) : Promise.resolve(false);
+    }
+
+    setPreflightStatus(text) {
+        const status = document.getElementById('preflight-status');
+        if (status) status.textContent = text;
+    }
+
+    // Continue is only offered once the state machine would accept it
+    updatePreflightContinue() {
+        const continueBtn = document.getElementById('preflight-continue-btn');
+        if (continueBtn) continueBtn.disabled = !this.machine.can('PREFLIGHT_PASSED');
+    }
+
+    startInputMeter(intervalMs = 50) {
+        this.stopInputMeter();
+        const meter = this.preflight.createMeter();
+        const fill = document.getElementById('preflight-meter-fill');
+        const peak = document.getElementById('preflight-meter-peak');
+        const label = document.getElementById('preflight-meter-label');
+        let lastUpdate = Date.now();
+
+        this.preflightMeterTimer = setInterval(() => {
+            const samples = window.audioRecorder.getInputSamples();
+            if (!samples) {
+                this.stopInputMeter();
+                if (label) label.textContent = 'Live level is not available in this browser';
+                return;
+            }
+            const now = Date.now();
+            const level = meter.update(samples, now - lastUpdate);
+            lastUpdate = now;
+
+            if (fill) {
+                fill.style.width = `${MicPreflight.meterPosition(level.rmsDb) * 100}%`;
+                fill.parentElement.classList.toggle('clipping', level.clipping);
+                fill.parentElement.setAttribute('aria-valuenow', Math.round(level.rmsDb));
+            }
+            if (peak) peak.style.left = `${MicPreflight.meterPosition(level.peakHoldDb) * 100}%`;
+            if (label) {
+                label.textContent = level.clipping
+                    ? '⚠️ Too loud - move back a little or speak more softly'
+                    : `Level ${Math.round(level.rmsDb)} dB · peak ${Math.round(level.peakHoldDb)} dB`;
+            }
+        }, intervalMs);
+    }
+
+    stopInputMeter() {
+        if (this.preflightMeterTimer) {
+            clearInterval(this.preflightMeterTimer);
+            this.preflightMeterTimer = null;
+        }
+    }
+
+    async runPreflightTest() {
+        if (!this.machine.is('preflight') || !window.audioRecorder || window.audioRecorder.isRecording) return;
+
+        const recordBtn = document.getElementById('preflight-record-btn');
+        const continueBtn = document.getElementById('preflight-continue-btn');
+        const deviceSelects = document.querySelectorAll('.device-select');
+        const { testSeconds } = this.preflight.options;
+
+        try {
+            if (recordBtn) recordBtn.disabled = true;
+            if (continueBtn) continueBtn.disabled = true;
+            deviceSelects.forEach(select => { select.disabled = true; });
+            this.stopAllAudio();
+            this.showRecordingGuidance([], 'preflight-guidance');
+
+            await window.audioRecorder.startRecording();
+            this.startInputMeter(); // startRecording() may have opened a new stream
+            for (let remaining = testSeconds; remaining > 0; remaining--) {
+                this.setPreflightStatus(`🔴 Recording... ${remaining}s`);
+                await new Promise(resolve => setTimeout(resolve, 1000));
+            }
+            this.preflightRecording = await window.audioRecorder.stopRecording();
+            this.setPreflightStatus('Checking your test recording...');
+
+            const audioBuffer = await this.getAudioContext().decodeAudioData(await this.preflightRecording.arrayBuffer());
+            const { metrics, problems, passed } = this.preflight.assess(audioBuffer.getChannelData(0), audioBuffer.sampleRate);
+            console.log('🎚️ Preflight test take:', metrics, problems.map(problem => problem.check));
+            this.preflightResult = {
+                passed,
+                attempts: (this.preflightResult?.attempts || 0) + 1,
+                ...metrics,
+                problems: problems.map(problem => problem.check)
+            };
+
+            this.setPreflightStatus(passed
+                ? '✅ Your microphone sounds good!'
+                : '⚠️ Please adjust your setup and record another test.');
+            this.showRecordingGuidance(problems.map(problem => problem.message), 'preflight-guidance');
+            document.getElementById('preflight-play-btn')?.classList.remove('hidden');
+        } catch (error) {
+            console.error('Microphone test failed:', error);
+            if (window.audioRecorder.isRecording) {
+                await window.audioRecorder.stopRecording().catch(() => null);
+            }
+            this.setPreflightStatus(`❌ Microphone test failed: ${error.message}`);
+        } finally {
+            if (recordBtn) {
+                recordBtn.disabled = false;
+                recordBtn.textContent = this.preflightResult ? 'Record Again' : 'Record Test';
+            }
+            deviceSelects.forEach(select => { select.disabled = false; });
+            this.updatePreflightContinue();
+        }
+    }
+
+    continueFromPreflight() {
+        if (!this.machine.send('PREFLIGHT_PASSED')) return;
+        
+        this.stopInputMeter();
+        this.stopAllAudio();
+        this.preflightRecording = null;
+        if (this.machine.is('headphones')) {
+            this.showHeadphoneCheck();
+            return;
+        }
         this.showRecordingPage();
         this.updateQuestionDisplay();
     }
 
+    // 🎧 Headphone screening: sets of three tones until the check is passed or out of attempts
+    showHeadphoneCheck() {
+        this.stopHeadphoneTones();
+        this.setHeadphoneStatus('');
+        document.getElementById('headphone-continue-btn')?.classList.add('hidden');
+        this.renderHeadphoneTrial();
+    }
+
+    renderHeadphoneTrial() {
+        const attempt = this.headphoneCheck.currentAttempt;
+        const answered = attempt && !attempt.complete ? attempt.trials.filter(trial => trial.response !== null).length : 0;
+        const counter = document.getElementById('headphone-trial-counter');
+        if (counter) {
+            counter.textContent = `Tone set ${answered + 1} of ${this.headphoneCheck.options.trials}`;
+        }
+        const playBtn = document.getElementById('headphone-play-btn');
+        if (playBtn) {
+            playBtn.disabled = false;
+            playBtn.classList.remove('hidden');
+        }
+        this.setHeadphoneAnswersEnabled(false);
+    }
+
+    setHeadphoneStatus(text) {
+        const status = document.getElementById('headphone-status');
+        if (status) status.textContent = text;
+    }
+
+    setHeadphoneAnswersEnabled(enabled) {
+        document.querySelectorAll('.headphone-answer-btn').forEach(button => {
+            button.disabled = !enabled;
+        });
+    }
+
+    stopHeadphoneTones() {
+        if (this.headphonePlayback) {
+            this.headphonePlayback.stop();
+            this.headphonePlayback = null;
+        }
+    }
+
+    // Resolves once the tones have played; false when they were stopped or replaced first
+    async playHeadphoneTones(start) {
+        this.stopHeadphoneTones();
+        const audioContext = this.getAudioContext();
+        if (audioContext.state === 'suspended') {
+            await audioContext.resume();
+        }
+        const playback = start(audioContext);
+        this.headphonePlayback = playback;
+        await playback.ended;
+        if (this.headphonePlayback !== playback) return false;
+        this.headphonePlayback = null;
+        return true;
+    }
+
+    async playHeadphoneCalibration() {
+        if (!this.machine.is('headphones')) return;
+        await this.playHeadphoneTones(audioContext => this.headphoneCheck.playCalibration(audioContext));
+    }
+
+    async playHeadphoneTrial() {
+        const trial = this.machine.is('headphones') ? this.headphoneCheck.nextTrial() : null;
+        if (!trial) return;
+
+        const playBtn = document.getElementById('headphone-play-btn');
+        if (playBtn) playBtn.disabled = true;
+        this.setHeadphoneAnswersEnabled(false);
+        this.setHeadphoneStatus('Listen...');
+
+        // Each set plays once, as in the published test
+        const played = await this.playHeadphoneTones(audioContext => this.headphoneCheck.play(audioContext, trial));
+        if (!played || !this.machine.is('headphones')) return;
+        this.setHeadphoneStatus('Which tone was the quietest?');
+        this.setHeadphoneAnswersEnabled(true);
+    }
+
+    answerHeadphoneTrial(choice) {
+        if (!this.machine.is('headphones') || this.headphonePlayback) return;
+
+        this.setHeadphoneAnswersEnabled(false);
+        const outcome = this.headphoneCheck.respond(choice);
+        console.log(`🎧 Tone set ${outcome.trial}: ${outcome.correct ? 'correct' : 'wrong'}`);
+
+        if (outcome.finished) {
+            this.finishHeadphoneCheck();
+            return;
+        }
+        this.renderHeadphoneTrial();
+        if (outcome.attemptComplete) {
+            const { maxAttempts } = this.headphoneCheck.options;
+            this.setHeadphoneStatus('⚠️ That didn\'t sound like headphones. Check they are on and both sides work, ' +
+                `then try again (attempt ${this.headphoneCheck.attempts.length + 1} of ${maxAttempts}).`);
+        } else {
+            this.setHeadphoneStatus('');
+        }
+    }
+
+    finishHeadphoneCheck() {
+        this.headphoneResult = this.headphoneCheck.result;
+        console.log('🎧 Headphone check finished:', this.headphoneResult);
+        document.getElementById('headphone-play-btn')?.classList.add('hidden');
+
+        // Failed, and the study excludes on it: the quiz ends here
+        if (this.machine.can('SCREEN_OUT')) {
+            this.machine.send('SCREEN_OUT');
+            window.audioRecorder?.cleanup();
+            this.recordScreenOut();
+            return;
+        }
+
+        const { passed, onFail } = this.headphoneResult;
+        if (!passed && onFail === 'warn') {
+            this.setHeadphoneStatus('⚠️ We could not confirm you are wearing headphones. You can continue, but please use them if you have them.');
+            document.getElementById('headphone-continue-btn')?.classList.remove('hidden');
+            return;
+        }
+        // A pass and a flagged failure look the same to the participant
+        this.continueFromHeadphones();
+    }
+
+    // Remembered so a reload can't retry the check, and sent so the screen-out shows up in the results
+    async recordScreenOut() {
+        const screenOut = {
+            sessionId: window.userManager.sessionId,
+            screenedOutAt: new Date().toISOString(),
+            result: this.headphoneResult
+        };
+        HeadphoneCheck.rememberScreenOut(this.studyProtocol.id, screenOut);
+
+        try {
+            const identity = window.userManager.getIdentity();
+            const result = await window.webhookService.sendScreenOut({
+                sessionId: screenOut.sessionId,
+                participantId: await this.getParticipantId(identity),
+                startTime: window.userManager.currentUser?.registrationDate || screenOut.screenedOutAt,
+                study: { id: this.studyProtocol.id, version: this.studyProtocol.version },
+                headphoneCheck: screenOut.result
+            }, { identity });
+
+            if (result.success) {
+                console.log('✅ Screen-out sent');
+            } else {
+                console.warn(result.queued ? '📮 Screen-out queued for retry:' : '⚠️ Screen-out failed:', result.error);
+            }
+        } catch (error) {
+            console.error('❌ Error sending screen-out:', error);
+        }
+    }
+
+    continueFromHeadphones() {
+        if (!this.machine.send('HEADPHONES_DONE')) return;
+        
+        this.stopHeadphoneTones();
+        this.showRecordingPage();
+        this.updateQuestionDisplay();
+    }
+
+    // ♻️ Everything needed to carry on from the next question; SessionCheckpoint strips any audio
+    async saveCheckpoint() {
+        try {
+            await this.checkpoint.save({
+                currentQuestion: this.currentQuestion,
+                trials: this.trials,
+                questions: this.session.questions,
+                selectionBehaviorData: this.selectionBehaviorData,
+                staircaseResult: this.staircaseResult,
+                transitionLog: this.machine.getLog(),
+                headphoneCheck: this.headphoneResult,
+                userManager: window.userManager.getCheckpointState()
+            }, {
+                studyId: this.studyProtocol.id,
+                studyVersion: this.studyProtocol.version,
+                expiresAfterMinutes: this.studyProtocol.definition.resume?.expiresAfterMinutes
+            });
+            console.log(`♻️ Checkpoint saved before question ${this.currentQuestion + 1}`);
+        } catch (error) {
+            // Resuming is a convenience; never let it interrupt the quiz
+            console.warn('⚠️ Could not save checkpoint:', error);
+        }
+    }
+
+    async discardCheckpoint() {
+        try {
+            await this.checkpoint.clear();
+        } catch (error) {
+            console.warn('⚠️ Could not clear checkpoint:', error);
+        }
+    }
+
+    async offerResume() {
+        let record = null;
+        try {
+            record = await this.checkpoint.load({ studyId: this.studyProtocol.id, studyVersion: this.studyProtocol.version });
+        } catch (error) {
+            console.warn('⚠️ Could not read checkpoint:', error);
+        }
+        const prompt = document.getElementById('resume-prompt');
+        if (!record || !prompt) return;
+
+        const { currentQuestion, trials } = record.state;
+        const details = document.getElementById('resume-details');
+        if (details) {
+            details.textContent = `You answered ${currentQuestion} of ${trials.length} questions. ` +
+                'You will record your answer to the next question again.';
+        }
+        prompt.classList.remove('hidden');
+
+        document.getElementById('resume-quiz-btn')?.addEventListener('click', () => {
+            prompt.classList.add('hidden');
+            this.resumeFromCheckpoint(record.state);
+        }, { once: true });
+        document.getElementById('start-over-btn')?.addEventListener('click', async () => {
+            prompt.classList.add('hidden');
+            await this.discardCheckpoint();
+        }, { once: true });
+    }
+
+    resumeFromCheckpoint(state) {
+        window.userManager.restoreCheckpointState(state.userManager);
+        this.trials = state.trials;
+        this.currentQuestion = state.currentQuestion;
+        this.session.questions = state.questions;
+        this.selectionBehaviorData = state.selectionBehaviorData;
+        this.staircaseResult = state.staircaseResult || null;
+        this.headphoneResult = state.headphoneCheck || null; // A finished check isn't repeated after a reload
+        this.isRegistered = true;
+        this.machine.restoreLog(state.transitionLog);
+
+        console.log(`♻️ Resuming session ${window.userManager.sessionId} at question ${this.currentQuestion + 1}`);
+        if (!this.machine.send('RESUME')) return;
+        this.renderProgressDots();
+        this.showPreflightPage();
+    }
+
     showRecordingPage() {
         console.log('📝 showRecordingPage() called for question:', this.currentQuestion);
         
@@ -686,14 +1162,6 @@ class VoiceQuizApp {
         // Log memory status at start of new question
         this.logMemoryStatus('Start of Question');
         
-        this.hideAllScreens();
-        const recordingPage = document.getElementById('recording-page');
-        if (recordingPage) {
-            recordingPage.classList.add('active');
-        } else {
-            console.error('recording-page element not found');
-        }
-        
         // Reset recording UI
         this.resetRecordingUI();
     }
@@ -716,6 +1184,20 @@ class VoiceQuizApp {
         this.updateProgressDots();
     }
 
+    // One dot per trial, so the indicator matches whatever the study defines
+    renderProgressDots() {
+        const container = document.querySelector('.progress-dots');
+        if (!container) return;
+        
+        container.innerHTML = '';
+        this.trials.forEach((_, index) => {
+            const dot = document.createElement('div');
+            dot.className = 'progress-dot';
+            dot.dataset.question = index;
+            container.appendChild(dot);
+        });
+    }
+
     updateProgressDots() {
         const dots = document.querySelectorAll('.progress-dot');
         dots.forEach((dot, index) => {
@@ -776,6 +1258,18 @@ class VoiceQuizApp {
             
             this.startTime = Date.now();
             await window.audioRecorder.startRecording();
+            this.showRecordingGuidance([]);
+            
+            // 🤫 Optionally stop by itself once the participant has spoken and gone quiet
+            const { autoStopSilenceMs } = this.voiceActivity.options;
+            if (autoStopSilenceMs) {
+                window.audioRecorder.watchForSilence(this.voiceActivity, autoStopSilenceMs, () => {
+                    console.log(`🤫 Auto-stopping after ${autoStopSilenceMs} ms of silence`);
+                    if (window.audioRecorder.isRecording) {
+                        this.stopRecording();
+                    }
+                });
+            }
             
             // Start timer
             this.startTimer();
@@ -858,13 +1352,13 @@ class VoiceQuizApp {
         }
     }
 
-    playRecording() {
-        if (this.currentRecording) {
+    playRecording(recording = this.currentRecording) {
+        if (recording) {
             // CRITICAL: Stop all audio before playing recording
             this.stopAllAudio();
             
             // Create audio with tracked URL management
-            const audioUrl = this.createTrackedAudioUrl(this.currentRecording);
+            const audioUrl = this.createTrackedAudioUrl(recording);
             const audio = new Audio(audioUrl);
             
             // Store reference for cleanup
@@ -872,7 +1366,7 @@ class VoiceQuizApp {
             this.currentAudioUrl = audioUrl;
             
             // Start playing
-            audio.play().catch(error => {
+            this.routeToOutput(audio).then(() => audio.play()).catch(error => {
                 console.error('Failed to play recording:', error);
                 this.stopAllAudio();
             });
@@ -902,6 +1396,21 @@ class VoiceQuizApp {
         this.currentRecording = null;
     }
 
+    // 🎚️ List what to change before the next take; cleared when recording starts again
+    showRecordingGuidance(messages, listId = 'recording-guidance') {
+        const guidance = document.getElementById(listId);
+        if (!guidance) {
+            this.showError(messages.join('\n'));
+            return;
+        }
+        guidance.replaceChildren(...messages.map(message => {
+            const item = document.createElement('li');
+            item.textContent = message;
+            return item;
+        }));
+        guidance.classList.toggle('hidden', messages.length === 0);
+    }
+
     resetRecordingUI() {
         const recordIcon = document.getElementById('record-icon');
         if (recordIcon) recordIcon.textContent = '🎙️';
@@ -916,13 +1425,13 @@ class VoiceQuizApp {
     }
 
     async processRecording() {
-        // Prevent recursive processing
-        if (this.isProcessing) {
-            console.log('🔄 processRecording() called while already processing - ignoring');
+        // Rejected while already processing (or with nothing recorded)
+        if (!this.machine.send('PROCESS')) {
+            console.log('🔄 processRecording() ignored in state:', this.machine.state);
             return;
         }
         
-        this.isProcessing = true;
+        this.processingCancelled = false;
         console.log('🔄 processRecording() started for question:', this.currentQuestion + 1);
         
         try {
@@ -932,7 +1441,27 @@ class VoiceQuizApp {
             const arrayBuffer = await this.currentRecording.arrayBuffer();
             // ✅ Use shared AudioContext instead of creating new one
         const audioContext = this.getAudioContext();
-            const audioBuffer = await audioContext.decodeAudioData(arrayBuffer);
+            let audioBuffer = await audioContext.decodeAudioData(arrayBuffer);
+            
+            // 🗣️ Every clip must contain speech; cut the silence and tap noise around it
+            const speech = this.voiceActivity.detect(audioBuffer.getChannelData(0), audioBuffer.sampleRate);
+            
+            // 🎚️ Quality gate: a clipped, quiet, noisy or short take goes back with guidance before any versions are made
+            const quality = this.recordingQuality.assess(audioBuffer.getChannelData(0), audioBuffer.sampleRate, speech);
+            console.log('🎚️ Recording quality:', quality.metrics, quality.problems.map(problem => problem.check));
+            if (!quality.passed) {
+                if (this.machine.send('FAIL')) {
+                    this.currentRecording = null;
+                    this.showRecordingPage();
+                    this.showRecordingGuidance(quality.problems.map(problem => problem.message));
+                }
+                return;
+            }
+            if (this.voiceActivity.options.trim) {
+                const trimmed = this.voiceActivity.trim(audioBuffer.getChannelData(0), audioBuffer.sampleRate, speech);
+                audioBuffer = audioContext.createBuffer(1, trimmed.length, audioBuffer.sampleRate);
+                audioBuffer.copyToChannel(trimmed, 0);
+            }
             
             // 🔧 FIXED: Store per-question raw buffer (not session-wide)
             // Extract the raw audio data as Float32Array (mono channel)
@@ -950,6 +1479,8 @@ class VoiceQuizApp {
                 rawBuffer: questionRawBuffer,
                 sampleRate: audioBuffer.sampleRate,
                 recordingTime: Date.now(),
+                speechDuration: quality.metrics.speechDuration, // Seconds of detected speech
+                recordingQuality: { ...quality.metrics, problems: quality.problems.map(problem => problem.check) },
                 processedBuffer: null, // Will be set after processing
                 processedType: null, // Will be set after randomization
                 randomizedVersions: null, // Will be set after randomization
@@ -1000,6 +1531,27 @@ class VoiceQuizApp {
                 await window.audioProcessor.initialize();
                 console.log('ResearchAudioProcessor initialized with research-grade AudioWorklet');
             }
+
+            // 🔧 ENHANCED: Record which preset (id + hash) this participant hears
+            if (!window.userManager.processingPreset && window.audioProcessor.getPresetInfo) {
+                window.userManager.setProcessingPreset(await window.audioProcessor.getPresetInfo());
+            }
+            
+            // 📈 Staircase trial: one processed version per step, rebuilt from the stored raw buffer
+            if (this.trials[this.currentQuestion]?.isStaircase) {
+                this.staircase = this.studyProtocol.createStaircase();
+                this.staircaseResult = null;
+                await this.renderStaircaseStep();
+                await this.deleteOriginalRecording();
+                return;
+            }
+            
+            // 🎛️ Adjustment trial: the participant tunes an excerpt of this recording themselves
+            if (this.trials[this.currentQuestion]?.isAdjustment) {
+                await this.showAdjustmentPanel();
+                await this.deleteOriginalRecording();
+                return;
+            }
             
             // 🔧 FIXED: Only process non-raw versions with Superpowered
             // Create versions object with raw as THIS question's buffer
@@ -1009,7 +1561,14 @@ class VoiceQuizApp {
             
             // Process only light, medium, and deep versions with Superpowered
             console.log('Using AudioWorklet processing for non-raw versions');
-            const superpoweredVersions = await window.audioProcessor.processRecording(audioBuffer);
+            const superpoweredVersions = await window.audioProcessor.processRecording(audioBuffer, {
+                onProgress: (progress) => this.updateProcessingProgress(progress)
+            });
+            
+            // The participant may have hit re-record while the main-thread fallback was running
+            if (this.processingCancelled) {
+                throw new DOMException('Processing cancelled', 'AbortError');
+            }
             
             // 🔧 FIXED: Merge raw with processed versions, ensuring raw is truly unprocessed
             if (superpoweredVersions && !superpoweredVersions.error) {
@@ -1064,51 +1623,430 @@ class VoiceQuizApp {
                 throw new Error(`Audio processing error: ${processedVersions.error}`);
             }
             
-            this.processedVersions = processedVersions;
-            
-            // Get version order with fallback
-            const versionOrder = window.userManager?.versionOrder || {
-                A: 'deep',    // full restoration
-                B: 'raw',     // unprocessed
-                C: 'light',   // partial
-                D: 'medium'   // thought-style
-            };
-            console.log('Version order at processRecording:', versionOrder);
-            
-            // Apply version randomization for anti-gaming
-            const randomizedVersions = this.applyVersionRandomization(this.processedVersions, versionOrder);
-            this.processedVersions = randomizedVersions;
-            
-            // CRITICAL FIX: Assign the randomized versions to the global app object
-            window.voiceQuizApp.processedVersions = randomizedVersions;
+            this.processedVersions = processedVersions;
+            
+            // 🎚️ Rating trial: every version of this recording on one screen instead of two cards
+            if (this.trials[this.currentQuestion]?.isMushra) {
+                await this.showRatingPage(processedVersions);
+                await this.deleteOriginalRecording();
+                return;
+            }
+            
+            // Get version order with fallback
+            const versionOrder = window.userManager?.versionOrder || {
+                A: 'deep',    // full restoration
+                B: 'raw',     // unprocessed
+                C: 'light',   // partial
+                D: 'medium'   // thought-style
+            };
+            console.log('Version order at processRecording:', versionOrder);
+            
+            // Apply version randomization for anti-gaming
+            const randomizedVersions = this.applyVersionRandomization(this.processedVersions, versionOrder);
+            this.processedVersions = randomizedVersions;
+            
+            // CRITICAL FIX: Assign the randomized versions to the global app object
+            window.voiceQuizApp.processedVersions = randomizedVersions;
+            
+            // DEBUG: Log what we're passing to handleQuestionProcessed
+            console.log('🔍 Passing to handleQuestionProcessed:', {
+                questionIndex: this.currentQuestion,
+                randomizedVersionsKeys: Object.keys(randomizedVersions || {}),
+                randomizedVersionsType: typeof randomizedVersions,
+                isArray: Array.isArray(randomizedVersions)
+            });
+            
+            // Handle question processing with session management
+            handleQuestionProcessed(this.currentQuestion, randomizedVersions);
+            
+            // Show comparison page - let user interact before moving to next question
+            this.showComparisonPage();
+            
+            // CRITICAL: Don't automatically progress to next question
+            // Let the user click "Next" button to move forward
+            
+            // CRITICAL: Delete original recording immediately after processing for privacy
+            await this.deleteOriginalRecording();
+            
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                // cancelProcessing() already returned the participant to the recording page
+                console.log('🛑 Processing cancelled for question:', this.currentQuestion + 1);
+            } else {
+                console.error('Processing error:', error);
+                this.showError('Failed to process audio. Please try recording again.');
+                if (this.machine.send('FAIL')) {
+                    this.showRecordingPage();
+                }
+            }
+        } finally {
+            console.log('🔄 processRecording() completed for question:', this.currentQuestion);
+        }
+    }
+
+    // 📈 Render the staircase's current level and show it against raw on the comparison page
+    async renderStaircaseStep() {
+        const trial = this.trials[this.currentQuestion];
+        const questionData = this.questionData[this.currentQuestion];
+        const pitchCents = this.staircase.getCurrentLevel();
+        
+        console.log(`📈 Staircase step ${this.staircase.getStepCount() + 1}: ${pitchCents} cents (based on ${trial.basedOn})`);
+        this.updateProcessingProgress({ progress: 0, completed: 0, total: 1 });
+        
+        const processed = await window.audioProcessor.processVariant(
+            questionData.rawBuffer,
+            questionData.sampleRate,
+            trial.basedOn,
+            { pitchCents },
+            { onProgress: (progress) => this.updateProcessingProgress(progress) }
+        );
+        
+        if (this.processingCancelled) {
+            throw new DOMException('Processing cancelled', 'AbortError');
+        }
+        
+        // New random side every step so the processed version can't be found by position
+        const processedLeft = Math.random() < 0.5;
+        trial.comparisonSetup = {
+            leftVersion: processedLeft ? 'staircase' : 'raw',
+            rightVersion: processedLeft ? 'raw' : 'staircase',
+            correctAnswer: 'either' // Preference only, no right answer
+        };
+        
+        const randomizedVersions = this.applyVersionRandomization(
+            { raw: questionData.rawBuffer, staircase: processed },
+            window.userManager.versionOrder
+        );
+        this.processedVersions = randomizedVersions;
+        window.voiceQuizApp.processedVersions = randomizedVersions;
+        handleQuestionProcessed(this.currentQuestion, randomizedVersions);
+        
+        this.playbackState.hasPlayedLeft = false;
+        this.playbackState.hasPlayedRight = false;
+        this.staircaseStepStart = Date.now();
+        
+        this.showComparisonPage();
+    }
+
+    // 📈 Feed the choice to the staircase; true once it has finished and the response can be recorded
+    async advanceStaircase(currentQuestionData) {
+        this.staircase.respond(currentQuestionData?.selectedVersion === 'staircase', {
+            side: this.selectedChoice,
+            responseTime: (Date.now() - this.staircaseStepStart) / 1000
+        });
+        
+        if (this.staircase.isComplete()) {
+            this.staircaseResult = {
+                basedOn: this.trials[this.currentQuestion].basedOn,
+                ...this.staircase.getResult()
+            };
+            console.log('📈 Staircase complete:', this.staircaseResult);
+            return true;
+        }
+        
+        this.stopAllAudio();
+        this.processingCancelled = false;
+        
+        try {
+            this.machine.send('NEXT_STEP');
+            this.showProcessingPage();
+            await this.renderStaircaseStep();
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                // cancelProcessing() sent the participant back to re-record; the staircase restarts
+                console.log('🛑 Staircase step cancelled for question:', this.currentQuestion + 1);
+            } else {
+                console.error('Staircase step error:', error);
+                this.showError('Failed to process audio. Please try recording again.');
+                if (this.machine.send('FAIL')) {
+                    this.showRecordingPage();
+                }
+            }
+        }
+        
+        return false;
+    }
+
+    // 🎛️ Loop an excerpt of the recording on the comparison page with one deeper ↔ brighter slider
+    async showAdjustmentPanel() {
+        const trial = this.trials[this.currentQuestion];
+        const questionData = this.questionData[this.currentQuestion];
+        const processor = window.audioProcessor;
+        
+        if (this.voiceAdjuster) {
+            this.voiceAdjuster.cleanup();
+        }
+        this.voiceAdjuster = new VoiceAdjuster(this.getAudioContext(), {
+            baseSettings: processor.processingSettings[trial.basedOn],
+            limits: processingPresets.getLimits(),
+            shiftPitch: (samples, sampleRate, settings) => processor.shiftPitch(samples, sampleRate, settings)
+        });
+        
+        // Random start so the first setting heard doesn't anchor the answer
+        const startPosition = Math.round((Math.random() * 1.2 - 0.6) * 100) / 100;
+        await this.voiceAdjuster.load(questionData.rawBuffer, questionData.sampleRate, trial.excerptSeconds, startPosition);
+        
+        if (this.processingCancelled) {
+            throw new DOMException('Processing cancelled', 'AbortError');
+        }
+        
+        if (!window.voiceQuizApp.session.questions[this.currentQuestion]) {
+            window.voiceQuizApp.session.add({
+                index: this.currentQuestion,
+                urls: {},
+                processed: {},
+                selectedVersion: null,
+                reasons: [],
+                randomizedVersions: null
+            });
+        }
+        const sessionQuestion = window.voiceQuizApp.session.questions[this.currentQuestion];
+        sessionQuestion.trialType = trial.type;
+        sessionQuestion.isCatch = false;
+        sessionQuestion.speechDuration = questionData.speechDuration;
+        sessionQuestion.recordingQuality = questionData.recordingQuality;
+        
+        this.stopAllAudio();
+        if (!this.machine.send('SHOW_ADJUSTMENT')) {
+            throw new DOMException('Processing cancelled', 'AbortError');
+        }
+        
+        const counter = document.getElementById('comparison-question-counter');
+        if (counter) {
+            counter.textContent = `Question ${this.currentQuestion + 1} of ${this.trials.length}`;
+        }
+        
+        this.currentTrial = trial;
+        const attentionCheckNotice = document.getElementById('attention-check-notice');
+        if (attentionCheckNotice) attentionCheckNotice.style.display = 'none';
+        
+        this.configureComparisonMode('adjustment');
+        
+        const slider = document.getElementById('adjustment-slider');
+        if (slider) {
+            slider.value = String(Math.round(startPosition * 100));
+            slider.oninput = () => this.voiceAdjuster.setPosition(parseInt(slider.value, 10) / 100);
+        }
+        
+        const playBtn = document.getElementById('play-adjustment');
+        if (playBtn) {
+            playBtn.onclick = () => this.voiceAdjuster.toggle();
+        }
+        
+        const submitBtn = document.getElementById('submit-adjustment');
+        if (submitBtn) {
+            submitBtn.textContent = 'Use This Setting & Continue';
+            submitBtn.onclick = () => this.submitAdjustment();
+        }
+        
+        this.voiceAdjuster.onStateChange = (complete) => this.updateAdjustmentState(complete);
+        this.updateAdjustmentState(false);
+        
+        console.log(`✅ Adjustment panel ready for question ${this.currentQuestion + 1} (based on ${trial.basedOn})`);
+    }
+
+    updateAdjustmentState(complete) {
+        const playBtn = document.getElementById('play-adjustment');
+        if (playBtn && this.voiceAdjuster) {
+            const playing = this.voiceAdjuster.isPlaying();
+            playBtn.textContent = playing ? '⏸️' : '▶️';
+            playBtn.classList.toggle('playing', playing);
+        }
+        
+        const submitBtn = document.getElementById('submit-adjustment');
+        if (submitBtn && this.machine.is('adjustment')) {
+            submitBtn.disabled = !complete;
+        }
+        
+        const hint = document.getElementById('adjustment-hint');
+        if (hint) {
+            hint.textContent = complete
+                ? 'Keep adjusting until it sounds like you hear yourself, then continue'
+                : 'Press play and move the slider to continue';
+        }
+    }
+
+    async submitAdjustment() {
+        if (!this.voiceAdjuster || !this.voiceAdjuster.isComplete() || !this.machine.send('SUBMIT')) {
+            return;
+        }
+        
+        try {
+            const submitBtn = document.getElementById('submit-adjustment');
+            if (submitBtn) {
+                submitBtn.disabled = true;
+                submitBtn.textContent = 'Submitted ✓';
+            }
+            
+            this.voiceAdjuster.stop();
+            const result = this.voiceAdjuster.getResult();
+            const trial = this.trials[this.currentQuestion];
+            
+            const sessionQuestion = window.voiceQuizApp.session.questions[this.currentQuestion];
+            if (sessionQuestion) {
+                sessionQuestion.adjustment = result;
+            }
+            
+            const responseTime = (Date.now() - this.startTime) / 1000;
+            await window.userManager.recordResponse(
+                this.currentQuestion,
+                null,
+                trial.type,
+                responseTime,
+                { tags: [], text: '' },
+                false,
+                {
+                    responseType: 'adjustment',
+                    basedOn: trial.basedOn,
+                    ...result
+                }
+            );
+            
+            console.log(`🎛️ Adjustment recorded for question ${this.currentQuestion + 1}:`, result);
+            
+            await this.advanceToNextQuestion();
+        } catch (error) {
+            console.error('Error submitting adjustment:', error);
+            this.showError('An error occurred while saving your setting. Please try again.');
+            if (this.machine.send('RETRY')) {
+                this.updateAdjustmentState(this.voiceAdjuster.isComplete());
+            }
+        }
+    }
+
+    // 🎚️ Show raw, each processed version, the hidden reference and the anchor with a slider each
+    async showRatingPage(versions) {
+        const trial = this.trials[this.currentQuestion];
+        const questionData = this.questionData[this.currentQuestion];
+        
+        const anchor = await MushraRating.createAnchor(versions.raw, questionData.sampleRate, trial.anchorLowpassHz);
+        if (this.processingCancelled) {
+            throw new DOMException('Processing cancelled', 'AbortError');
+        }
+        
+        const stimuli = { ...versions, reference: versions.raw, anchor };
+        
+        if (!window.voiceQuizApp.session.questions[this.currentQuestion]) {
+            window.voiceQuizApp.session.add({
+                index: this.currentQuestion,
+                urls: {},
+                processed: {},
+                selectedVersion: null,
+                reasons: [],
+                randomizedVersions: null
+            });
+        }
+        const sessionQuestion = window.voiceQuizApp.session.questions[this.currentQuestion];
+        sessionQuestion.trialType = trial.type;
+        sessionQuestion.isCatch = false;
+        sessionQuestion.speechDuration = questionData.speechDuration;
+        sessionQuestion.recordingQuality = questionData.recordingQuality;
+        sessionQuestion.stimulusOrder = trial.stimuli;
+        
+        if (!this.mushraRating) {
+            this.mushraRating = new MushraRating(this.getAudioContext());
+        }
+        this.mushraRating.load(stimuli, trial.stimuli, questionData.sampleRate);
+        
+        this.stopAllAudio();
+        if (!this.machine.send('SHOW_RATING')) {
+            throw new DOMException('Processing cancelled', 'AbortError');
+        }
+        
+        const counter = document.getElementById('rating-question-counter');
+        if (counter) {
+            counter.textContent = `Question ${this.currentQuestion + 1} of ${this.trials.length}`;
+        }
+        
+        const comment = document.getElementById('rating-comment');
+        if (comment) comment.value = '';
+        
+        this.updateRatingSubmitState(false);
+        
+        const container = document.getElementById('rating-stimuli');
+        if (container) {
+            this.mushraRating.render(container, (complete) => this.updateRatingSubmitState(complete));
+        }
+        
+        const submitBtn = document.getElementById('submit-ratings');
+        if (submitBtn) {
+            submitBtn.onclick = () => this.submitRatings();
+        }
+        
+        console.log(`✅ Rating page ready for question ${this.currentQuestion + 1}:`, trial.stimuli.length, 'stimuli');
+    }
+
+    updateRatingSubmitState(complete) {
+        const submitBtn = document.getElementById('submit-ratings');
+        if (submitBtn && this.machine.is('rating')) {
+            submitBtn.disabled = !complete;
+        }
+        
+        const hint = document.getElementById('rating-hint');
+        if (hint) {
+            hint.textContent = complete
+                ? 'All samples rated - you can still adjust before continuing'
+                : 'Play every sample and move every slider to continue';
+        }
+    }
+
+    async submitRatings() {
+        if (!this.mushraRating || !this.mushraRating.isComplete() || !this.machine.send('SUBMIT')) {
+            return;
+        }
+        
+        try {
+            const submitBtn = document.getElementById('submit-ratings');
+            if (submitBtn) {
+                submitBtn.disabled = true;
+                submitBtn.textContent = 'Submitted ✓';
+            }
+            
+            this.mushraRating.stop();
+            const result = this.mushraRating.getResult();
+            const trial = this.trials[this.currentQuestion];
             
-            // DEBUG: Log what we're passing to handleQuestionProcessed
-            console.log('🔍 Passing to handleQuestionProcessed:', {
-                questionIndex: this.currentQuestion,
-                randomizedVersionsKeys: Object.keys(randomizedVersions || {}),
-                randomizedVersionsType: typeof randomizedVersions,
-                isArray: Array.isArray(randomizedVersions)
-            });
+            // Highest-rated real version (not the reference or anchor) stands in for the A/B choice
+            const candidates = result.stimulusOrder.filter(id => id !== 'reference' && id !== 'anchor');
+            const preferredVersion = candidates.reduce((best, id) =>
+                result.ratings[id] > result.ratings[best] ? id : best, candidates[0]);
             
-            // Handle question processing with session management
-            handleQuestionProcessed(this.currentQuestion, randomizedVersions);
+            const commentField = document.getElementById('rating-comment');
+            const comment = commentField ? commentField.value.trim() : '';
             
-            // Show comparison page - let user interact before moving to next question
-            this.showComparisonPage();
+            const sessionQuestion = window.voiceQuizApp.session.questions[this.currentQuestion];
+            if (sessionQuestion) {
+                sessionQuestion.selectedVersion = preferredVersion;
+                sessionQuestion.ratings = result.ratings;
+                sessionQuestion.comment = comment;
+            }
             
-            // CRITICAL: Don't automatically progress to next question
-            // Let the user click "Next" button to move forward
+            const responseTime = (Date.now() - this.startTime) / 1000;
+            await window.userManager.recordResponse(
+                this.currentQuestion,
+                null,
+                trial.type,
+                responseTime,
+                { tags: [], text: comment },
+                false,
+                {
+                    responseType: 'mushra',
+                    ratings: result.ratings,
+                    stimulusOrder: result.stimulusOrder,
+                    playCounts: result.playCounts,
+                    preferredVersion
+                }
+            );
             
-            // CRITICAL: Delete original recording immediately after processing for privacy
-            await this.deleteOriginalRecording();
+            console.log(`🎚️ Ratings recorded for question ${this.currentQuestion + 1}:`, result.ratings);
             
+            await this.advanceToNextQuestion();
         } catch (error) {
-            console.error('Processing error:', error);
-            this.showError('Failed to process audio. Please try recording again.');
-        } finally {
-            // Always reset processing flag
-            this.isProcessing = false;
-            console.log('🔄 processRecording() completed for question:', this.currentQuestion);
+            console.error('Error submitting ratings:', error);
+            this.showError('An error occurred while saving your ratings. Please try again.');
+            if (this.machine.send('RETRY')) {
+                this.updateRatingSubmitState(this.mushraRating.isComplete());
+            }
         }
     }
 
@@ -1188,14 +2126,18 @@ class VoiceQuizApp {
             right: versions[rightVersion]
         };
         
+        // 👂 ABX trials add X, a second copy of whichever of A/B the trial picked
+        const versionMapping = { left: leftVersion, right: rightVersion };
+        if (currentTrial.isAbx) {
+            randomized.x = versions[currentTrial.comparisonSetup.xVersion];
+            versionMapping.x = currentTrial.comparisonSetup.xVersion;
+        }
+        
         // 🔧 ENHANCED: Store randomized versions in question data
         if (this.questionData[this.currentQuestion]) {
             const processedType = leftVersion === 'raw' ? rightVersion : leftVersion;
             
-            this.questionData[this.currentQuestion].randomizedVersions = {
-                left: leftVersion,
-                right: rightVersion
-            };
+            this.questionData[this.currentQuestion].randomizedVersions = { ...versionMapping };
             this.questionData[this.currentQuestion].processedBuffer = versions[processedType];
             this.questionData[this.currentQuestion].processedType = processedType;
             
@@ -1234,15 +2176,16 @@ class VoiceQuizApp {
             
             // 🔍 ADDED: Verify audio buffer initialization
             this.verifyAudioBufferInitialization(randomized, currentQuestionData);
-            currentQuestionData.randomizedVersions = {
-                left: leftVersion,
-                right: rightVersion
-            };
+            currentQuestionData.randomizedVersions = { ...versionMapping };
             
             // Also store trial info for context
             currentQuestionData.trialType = currentTrial.type;
             currentQuestionData.isCatch = currentTrial.isCatch;
+            currentQuestionData.isAbx = !!currentTrial.isAbx;
+            currentQuestionData.isPair = !!currentTrial.isPair;
             currentQuestionData.comparisonSetup = currentTrial.comparisonSetup;
+            currentQuestionData.speechDuration = this.questionData[this.currentQuestion]?.speechDuration ?? null;
+            currentQuestionData.recordingQuality = this.questionData[this.currentQuestion]?.recordingQuality ?? null;
             
             console.log(`🎯 Question ${this.currentQuestion + 1} mapping stored:`, {
                 left: leftVersion,
@@ -1302,41 +2245,38 @@ class VoiceQuizApp {
     }
 
     showProcessingPage() {
-        this.hideAllScreens();
-        const processingPage = document.getElementById('processing-page');
-        if (processingPage) {
-            processingPage.classList.add('active');
-        } else {
-            console.error('processing-page element not found');
+        // 🔧 FIXED: Progress now comes from the processing worker instead of a timer
+        this.updateProcessingProgress({ progress: 0, completed: 0, total: 3 });
+    }
+
+    updateProcessingProgress({ progress, completed, total }) {
+        const progressBar = document.getElementById('processing-progress');
+        if (progressBar) {
+            progressBar.classList.add('determinate');
+            progressBar.style.width = `${Math.round(Math.min(1, progress) * 100)}%`;
         }
         
-        // Update processing status
         const processingStatus = document.getElementById('processing-status');
         if (processingStatus) {
-            processingStatus.textContent = `Processing question ${this.currentQuestion + 1} of ${this.trials.length}`;
+            processingStatus.textContent = `Processing question ${this.currentQuestion + 1} of ${this.trials.length}` +
+                ` · ${completed} of ${total} versions ready`;
         }
-        
-        // Animate progress bar
-        this.animateProcessingProgress();
     }
 
-    animateProcessingProgress() {
-        const progressBar = document.getElementById('processing-progress');
-        if (!progressBar) {
-            console.error('processing-progress element not found');
-            return;
-        }
+    cancelProcessing() {
+        if (!this.machine.send('CANCEL')) return;
         
-        let width = 0;
+        console.log('🛑 Re-record requested while processing question:', this.currentQuestion + 1);
+        this.processingCancelled = true;
         
-        const interval = setInterval(() => {
-            width += 2;
-            progressBar.style.width = width + '%';
-            
-            if (width >= 100) {
-                clearInterval(interval);
-            }
-        }, 50);
+        if (window.audioProcessor && window.audioProcessor.cancelProcessing) {
+            window.audioProcessor.cancelProcessing();
+        }
+        
+        // Discard this take entirely and go back to recording the same question
+        delete this.questionData[this.currentQuestion];
+        this.currentRecording = null;
+        this.showRecordingPage();
     }
 
     showComparisonPage() {
@@ -1351,12 +2291,8 @@ class VoiceQuizApp {
             this.keyboardHandler = null;
         }
         
-        this.hideAllScreens();
-        const comparisonPage = document.getElementById('comparison-page');
-        if (comparisonPage) {
-            comparisonPage.classList.add('active');
-        } else {
-            console.error('comparison-page element not found');
+        if (!this.machine.send('SHOW_CHOICE')) {
+            throw new DOMException('Processing cancelled', 'AbortError');
         }
         
         // Update question counter
@@ -1381,6 +2317,7 @@ class VoiceQuizApp {
         
         // Reset comparison UI completely
         this.resetComparisonUI();
+        this.configureComparisonMode(this.currentTrial.isAbx ? 'abx' : 'choice');
         
         // Wire up ALL event listeners fresh for this question
         this.wireComparisonEventListeners();
@@ -1394,6 +2331,55 @@ class VoiceQuizApp {
         console.log(`✅ Comparison page ready for question ${this.currentQuestion + 1}`);
     }
 
+    // 👂 ABX trials reuse the two cards as A and B, add X, and skip the preference feedback
+    // 🎛️ Adjustment trials swap the cards for the slider panel
+    configureComparisonMode(mode) {
+        const isAbx = mode === 'abx';
+        const isAdjustment = mode === 'adjustment';
+        
+        const comparisonPage = document.getElementById('comparison-page');
+        if (comparisonPage) {
+            comparisonPage.classList.toggle('abx-mode', isAbx);
+            comparisonPage.classList.toggle('adjust-mode', isAdjustment);
+        }
+        
+        const abxPanel = document.getElementById('abx-panel');
+        if (abxPanel) abxPanel.classList.toggle('hidden', !isAbx);
+        
+        const adjustmentPanel = document.getElementById('adjustment-panel');
+        if (adjustmentPanel) adjustmentPanel.classList.toggle('hidden', !isAdjustment);
+        
+        const title = document.getElementById('comparison-title');
+        if (title) {
+            title.textContent = isAdjustment ? 'Tune Your Voice'
+                : isAbx ? 'Which Version Matches X?' : 'Choose Your Preferred Version';
+        }
+        
+        const selectLeft = document.getElementById('select-left');
+        const selectRight = document.getElementById('select-right');
+        if (selectLeft) selectLeft.textContent = isAbx ? 'X is A' : 'Choose A';
+        if (selectRight) selectRight.textContent = isAbx ? 'X is B' : 'Choose B';
+        
+        const submitBtn = document.getElementById('submit-feedback');
+        if (submitBtn) submitBtn.textContent = isAbx ? 'Confirm & Continue' : 'Submit Feedback & Continue';
+    }
+
+    // 👂 Play A, B, then X with a short gap; any manual play button cancels the sequence
+    playAbxSequence() {
+        if (this.choiceMade) return;
+        
+        const token = ++this.abxSequenceToken;
+        const sequence = ['left', 'right', 'x'];
+        
+        const playStep = (index) => {
+            if (index >= sequence.length || token !== this.abxSequenceToken || this.choiceMade) return;
+            this.playChoice(sequence[index], () => {
+                setTimeout(() => playStep(index + 1), ABX_SEQUENCE_GAP_MS);
+            });
+        };
+        playStep(0);
+    }
+
     resetComparisonUI() {
         console.log('🧹 Resetting comparison UI completely');
         
@@ -1498,7 +2484,6 @@ class VoiceQuizApp {
         // Reset all state flags
         this.selectedChoice = null;
         this.choiceMade = false;
-        this.submitted = false;
         this.currentlyPlayingAudio = null;
         this.currentlyPlayingVersion = null;
         this.currentAudioUrl = null;
@@ -1516,7 +2501,7 @@ class VoiceQuizApp {
         const selectionTime = Date.now();
         
         // ANALYTICS: Track selection behavior
-        this.trackSelectionBehavior(choice, selectionTime);
+        const selectionLatency = this.trackSelectionBehavior(choice, selectionTime);
         
         this.selectedChoice = choice;
         this.choiceMade = choice;
@@ -1597,6 +2582,7 @@ class VoiceQuizApp {
         
         if (currentQuestionData) {
             currentQuestionData.selectedChoice = choice; // Store the UI choice (left/right)
+            currentQuestionData.selectionLatency = selectionLatency; // ms since the chosen side last started playing
             currentQuestionData.trialType = currentTrial.type;
             currentQuestionData.isCatch = currentTrial.isCatch;
             
@@ -1658,7 +2644,7 @@ class VoiceQuizApp {
         console.log(`✅ Choice selected: ${choice} for trial type: ${currentTrial.type}`);
     }
 
-    playChoice(choice) {
+    playChoice(choice, onEnded = null) {
         // Prevent playing after choice is made
         if (this.choiceMade) {
             console.log('🔄 Ignoring playChoice call - choice already made');
@@ -1708,6 +2694,7 @@ class VoiceQuizApp {
             this.currentlyPlayingAudio = null;
             this.currentlyPlayingVersion = null;
             this.stopAudioVisualization();
+            if (onEnded) onEnded();
         });
         
         audio.addEventListener('error', (e) => {
@@ -1718,13 +2705,13 @@ class VoiceQuizApp {
         });
         
         // Start playback
-        audio.play().then(() => {
+        this.routeToOutput(audio).then(() => audio.play()).then(() => {
             console.log(`🎵 Playing choice: ${choice}`);
             
             // Update UI to show which choice is playing
             const playingInfo = document.getElementById('playing-info');
             if (playingInfo) {
-                const choiceLabel = choice === 'left' ? 'Left Audio' : 'Right Audio';
+                const choiceLabel = { left: 'Left Audio', right: 'Right Audio', x: 'Version X' }[choice];
                 playingInfo.innerHTML = `<span class="text-blue-400">🎵 Playing: ${choiceLabel}</span>`;
             }
             
@@ -1736,6 +2723,8 @@ class VoiceQuizApp {
                 this.playbackState.hasPlayedLeft = true;
             } else if (choice === 'right') {
                 this.playbackState.hasPlayedRight = true;
+            } else if (choice === 'x') {
+                this.playbackState.hasPlayedX = true;
             }
             
             // Track playback time
@@ -1744,6 +2733,12 @@ class VoiceQuizApp {
                 this.selectionBehaviorData.playbackTimes[choice] = [];
             }
             this.selectionBehaviorData.playbackTimes[choice].push(playTime);
+            this.trackInteraction('audio_play_start', { version: choice, timestamp: playTime });
+            
+            // 🔧 FIXED: Per-trial playback for the payload (ms since the trial started), used by the data-quality checks
+            currentQuestionData.playbackTimes = currentQuestionData.playbackTimes || {};
+            (currentQuestionData.playbackTimes[choice] = currentQuestionData.playbackTimes[choice] || [])
+                .push(Math.max(0, playTime - (this.startTime || playTime)));
             
             console.log('🔧 Playback state updated:', {
                 choice,
@@ -1781,6 +2776,8 @@ class VoiceQuizApp {
                 });
             }
             
+            this.routeToOutput(audioCtx);
+            
             const source = audioCtx.createMediaElementSource(audio);
             const analyser = audioCtx.createAnalyser();
             
@@ -1910,6 +2907,10 @@ class VoiceQuizApp {
             }
         });
         
+        if (this.voiceAdjuster) {
+            this.voiceAdjuster.stop();
+        }
+        
         // Stop app's audio references
         if (this.currentlyPlayingAudio) {
             console.log('🔇 Stopping currently playing audio');
@@ -1968,13 +2969,11 @@ class VoiceQuizApp {
     async nextQuestion() {
         console.log('🔄 nextQuestion() called for question:', this.currentQuestion);
         
-        // Prevent multiple simultaneous calls
-        if (this.isMovingToNext) {
-            console.log('🔄 Ignoring nextQuestion call - already moving to next question');
+        // Only one submission per answer screen; repeats arrive while submitting and are rejected
+        if (!this.machine.can('SUBMIT')) {
+            console.log('🔄 Ignoring nextQuestion call in state:', this.machine.state);
             return;
         }
-
-        this.isMovingToNext = true;
         
         try {
             // 🔧 FIXED: Enhanced validation - ensure all required steps are complete
@@ -1983,10 +2982,11 @@ class VoiceQuizApp {
             
             if (!validationResult.isValid) {
                 this.showError(validationResult.errorMessage);
-                this.isMovingToNext = false;
                 return;
             }
             
+            this.machine.send('SUBMIT');
+            
             // Record response time and feedback
             const responseTime = (Date.now() - this.startTime) / 1000;
             const feedback = this.collectFeedback();
@@ -1996,6 +2996,11 @@ class VoiceQuizApp {
             const selectedChoice = this.selectedChoice;
             const isCatch = currentTrial.isCatch;
             
+            // 📈 Staircase: stay on this question until the procedure has converged or run out of steps
+            if (currentTrial.isStaircase && !(await this.advanceStaircase(currentQuestionData))) {
+                return;
+            }
+            
             // 🔧 FIXED: Get the actual processing type that was selected
             let actualProcessingType = currentTrial.type; // Default fallback
             
@@ -2013,6 +3018,26 @@ class VoiceQuizApp {
                 console.warn(`⚠️ No selectedVersion found for question ${this.currentQuestion + 1}, using trial type as fallback`);
             }
             
+            let details = currentTrial.isStaircase ? { staircase: this.staircaseResult } : null;
+            
+            // 👂 ABX answers measure detection, not preference: keep the mode under test and score the answer
+            if (currentTrial.isAbx) {
+                const { xVersion, correctAnswer } = currentTrial.comparisonSetup;
+                actualProcessingType = currentTrial.type;
+                details = {
+                    responseType: 'abx',
+                    xVersion,
+                    correctAnswer,
+                    correct: selectedChoice === correctAnswer,
+                    playedX: this.playbackState.hasPlayedX
+                };
+            }
+            
+            // ⚖️ Processed-vs-processed pairs: the choice ranks two modes, raw isn't on offer
+            if (currentTrial.isPair) {
+                details = { responseType: 'pair', pair: [...currentTrial.pair] };
+            }
+            
             // Record the response with CORRECT actual processing type
             await window.userManager.recordResponse(
                 this.currentQuestion,
@@ -2020,7 +3045,8 @@ class VoiceQuizApp {
                 actualProcessingType,  // 🔧 FIXED: Use actual processing type, not trial type
                 responseTime,
                 feedback,
-                isCatch
+                isCatch,
+                details
             );
 
             // DEBUG: Verify version mapping before moving to next question
@@ -2035,30 +3061,42 @@ class VoiceQuizApp {
                 });
             }
 
-            // Clean up current question
-            await this.completeQuestionCleanup();
-
-            // Move to next question
-            this.currentQuestion++;
-            
-            if (this.currentQuestion < this.trials.length) {
-                // Show recording page for next question
-                this.showRecordingPage();
-                this.updateQuestionDisplay();
-                
-                // The flow will continue when recording is processed:
-                // processRecording() -> handleQuestionProcessed() -> showComparisonPage()
-                console.log(`✅ Moved to question ${this.currentQuestion + 1}, ready for recording`);
-            } else {
-                // Quiz completed
-                await this.completeQuiz();
-            }
+            await this.advanceToNextQuestion();
 
         } catch (error) {
             console.error('Error in nextQuestion:', error);
             this.showError('An error occurred while processing your response. Please try again.');
-        } finally {
-            this.isMovingToNext = false;
+            if (this.machine.send('RETRY')) {
+                // Back on the same choice: let the participant submit again
+                this.configureComparisonMode(this.currentTrial.isAbx ? 'abx' : 'choice');
+                const submitBtn = document.getElementById('submit-feedback');
+                if (submitBtn) submitBtn.disabled = false;
+            }
+        }
+    }
+
+    // Shared by the two-card and rating screens once the response has been recorded
+    async advanceToNextQuestion() {
+        // Clean up current question
+        await this.completeQuestionCleanup();
+
+        // Move to next question
+        this.currentQuestion++;
+        
+        if (this.currentQuestion < this.trials.length) {
+            this.machine.send('NEXT_QUESTION');
+            await this.saveCheckpoint();
+            
+            // Show recording page for next question
+            this.showRecordingPage();
+            this.updateQuestionDisplay();
+            
+            // The flow will continue when recording is processed:
+            // processRecording() -> handleQuestionProcessed() -> showComparisonPage()
+            console.log(`✅ Moved to question ${this.currentQuestion + 1}, ready for recording`);
+        } else {
+            // Quiz completed
+            await this.completeQuiz();
         }
     }
 
@@ -2099,16 +3137,20 @@ class VoiceQuizApp {
             // Complete the study
             await window.userManager.completeStudy();
             
-            // Send webhook data to Make.com
+            // The outbox holds the finished session from here on
+            await this.discardCheckpoint();
+            
+            // Show results first so the submission status is visible while it sends
+            this.showResultsPage();
+            this.updateSubmissionStatus({ sessionId: window.userManager.sessionId, status: 'submitting' });
+            
+            // Send webhook data to Make.com (queued in the outbox if this attempt fails)
             await this.sendWebhookData();
             
             // 🔧 FIXED: Clean up all question data
             this.questionData = {};
             console.log('🔧 Cleaned up all question data');
             
-            // Show results
-            this.showResultsPage();
-            
         } catch (error) {
             console.error('Error completing quiz:', error);
             this.showError('Failed to complete the quiz. Please try again.');
@@ -2117,59 +3159,112 @@ class VoiceQuizApp {
 
     async sendWebhookData() {
         try {
-            // Get user data
-            const userData = window.userManager.getUserData();
-            const responses = window.userManager.getAllResponses();
-            
-            // Add trial type information to responses
-            const enhancedResponses = responses.map((response, index) => {
-                const trial = this.trials && this.trials[index];
-                return {
-                    ...response,
-                    trialType: trial ? trial.type : 'unknown',
-                    isCatch: trial ? trial.isCatch : false
-                };
-            });
+            // 🔧 FIXED: Identity stays out of the session; at most a salted pseudonym goes with the responses
+            const identity = window.userManager.getIdentity();
+            const privacy = this.studyProtocol?.definition.privacy || {};
+            const participantId = await this.getParticipantId(identity);
+            const enhancedResponses = this.getTrialResponses();
             
             // Prepare session data for webhook
             const sessionData = {
                 sessionId: window.userManager.sessionId,
-                userEmail: userData.email,
-                firstName: userData.firstName,
-                lastName: userData.lastName,
+                participantId,
                 startTime: window.userManager.currentUser?.registrationDate || new Date().toISOString(),
                 totalDuration: window.userManager.getStudyProgress()?.totalDuration || 0,
-                deviceInfo: window.userManager.deviceInfo,
+                // 🔧 FIXED: UserManager keeps deviceInfo on currentUser (window.userManager.deviceInfo was always undefined)
+                deviceInfo: {
+                    ...(window.userManager.currentUser?.deviceInfo || window.userManager.getDeviceInfo()),
+                    audioDevices: window.audioDevices ? window.audioDevices.describe(window.audioRecorder?.stream) : null
+                },
                 versionOrder: window.userManager.versionOrder,
-                responses: enhancedResponses
+                processingPreset: window.userManager.processingPreset,
+                counterbalancing: window.userManager.counterbalancing,
+                staircase: this.staircaseResult,
+                study: this.studyProtocol ? { id: this.studyProtocol.id, version: this.studyProtocol.version } : null,
+                responses: enhancedResponses,
+                rapidSelections: this.selectionBehaviorData.rapidSelections,
+                preflight: this.preflightResult,
+                headphoneCheck: this.headphoneResult,
+                transitionLog: this.machine.getLog()
             };
 
-            // Send webhook
-            const result = await window.webhookService.sendSessionData(sessionData);
+            // Send webhook (identity is passed only so the payload audit can look for it)
+            const result = await window.webhookService.sendSessionData(sessionData, { identity });
             
             if (result.success) {
                 console.log('✅ Webhook sent successfully');
+            } else if (result.queued) {
+                console.warn('📮 Webhook queued for retry:', result.error);
             } else {
                 console.warn('⚠️ Webhook failed:', result.error);
             }
 
+            // Compensation contact details go to their own sink, never with the responses
+            if (privacy.contactSink && identity) {
+                const contactResult = await window.webhookService.sendContactDetails(identity, {
+                    sink: privacy.contactSink,
+                    sessionId: sessionData.sessionId,
+                    study: sessionData.study
+                });
+                if (!contactResult.success) {
+                    console.warn('⚠️ Contact details not delivered yet:', contactResult.error);
+                }
+            }
+
         } catch (error) {
             console.error('❌ Error sending webhook:', error);
             // Don't throw error to avoid breaking the completion flow
         }
     }
 
+    // The salted pseudonym studies with privacy.identity "pseudonym" send; null otherwise
+    async getParticipantId(identity) {
+        const privacy = this.studyProtocol?.definition.privacy || {};
+        return privacy.identity === 'pseudonym' && identity
+            ? PrivacyGuard.pseudonymize(identity.email, privacy.salt)
+            : null;
+    }
+
+    // Recorded responses with the trial type they answered (the mode under test, 'pair', 'abx', ...)
+    // and how the participant listened before answering
+    getTrialResponses() {
+        const questions = window.voiceQuizApp.session.questions || [];
+        return window.userManager.getAllResponses().map((response, index) => {
+            const trial = this.trials && this.trials[index];
+            const question = questions[response.questionId];
+            return {
+                ...response,
+                trialType: trial ? trial.type : 'unknown',
+                isCatch: trial ? trial.isCatch : false,
+                playbackTimes: question?.playbackTimes || {},
+                selectionLatency: question?.selectionLatency ?? null,
+                speechDuration: question?.speechDuration ?? null,
+                recordingQuality: question?.recordingQuality ?? null
+            };
+        });
+    }
+
+    updateSubmissionStatus({ sessionId, status }) {
+        if (sessionId !== window.userManager?.sessionId) return;
+        
+        const statusEl = document.getElementById('submission-status');
+        if (!statusEl) return;
+        
+        const messages = {
+            submitting: 'Submitting your responses…',
+            saved: '✓ Your responses have been saved',
+            queued: 'Connection problem - your responses are stored on this device and will be sent automatically',
+            failed: 'Your responses could not be submitted. Please contact the study team.'
+        };
+        statusEl.textContent = messages[status] || '';
+        statusEl.dataset.status = status;
+    }
+
     showResultsPage() {
         // CRITICAL: Stop all audio when moving to results page
         this.stopAllAudio();
         
-        this.hideAllScreens();
-        const resultsPage = document.getElementById('results-page');
-        if (resultsPage) {
-            resultsPage.classList.add('active');
-        } else {
-            console.error('results-page element not found');
-        }
+        this.machine.send('FINISH');
         
         // Export session data
         const results = window.voiceQuizApp.session.questions.map(q => ({
@@ -2178,6 +3273,17 @@ class VoiceQuizApp {
             reasons: q.reasons
         }));
         console.log('Export payload →', results);
+        if (this.staircaseResult) {
+            console.log('📈 Staircase result →', this.staircaseResult);
+        }
+        const discrimination = window.webhookService?.analyzeDiscrimination(window.userManager.getAllResponses());
+        if (discrimination) {
+            console.log('👂 ABX discrimination →', discrimination);
+        }
+        const { scale } = this.getVoicePreferenceSummary();
+        if (scale) {
+            console.log('⚖️ Bradley-Terry scale →', scale.ranking.join(' > '), scale.scale);
+        }
         
         // Generate and display results
         const analytics = window.userManager.getAnalytics();
@@ -2201,8 +3307,8 @@ class VoiceQuizApp {
     getVoicePreferenceSummary() {
         const questions = window.voiceQuizApp.session.questions || [];
 
-        // ✅ Only count the 9 real trials (exclude the guaranteed raw catch trial)
-        const realQuestions = questions.filter(q => !q.isCatch && q.selectedVersion);
+        // ✅ Only count the 9 real trials (exclude the guaranteed raw catch trial and the staircase)
+        const realQuestions = questions.filter(q => !q.isCatch && !q.isAbx && !q.isPair && q.trialType !== 'staircase' && q.selectedVersion);
 
         let rawCount = 0;
         for (const q of realQuestions) {
@@ -2210,17 +3316,23 @@ class VoiceQuizApp {
         }
 
         const modifiedCount = realQuestions.length - rawCount;
-        const preference = rawCount >= 5 ? "raw" : "enhanced"; // 5+ out of 9 = raw preference
+        const preference = rawCount > realQuestions.length / 2 ? "raw" : "enhanced"; // Majority, e.g. 5+ out of 9
 
         const message = preference === "raw"
             ? "You chose your regular recorded voice more often. That suggests you're more comfortable with how your voice naturally sounds in recordings — which is uncommon, and really valuable insight for us."
             : "You chose enhanced versions of your voice more often. That means you may prefer how your voice feels on the inside — closer to how you naturally hear yourself in your head.";
 
+        // Bradley-Terry scale over raw and every mode; for the researcher only, mode names stay off screen
+        const scale = window.PreferenceAnalysis
+            ? PreferenceAnalysis.fitBradleyTerry(PreferenceAnalysis.comparisonsFrom(this.getTrialResponses()))
+            : null;
+
         return {
             rawCount,
             modifiedCount,
             preference,
-            message
+            message,
+            scale
         };
     }
 
@@ -2327,6 +3439,9 @@ class VoiceQuizApp {
         this.processedVersions = null;
         this.selectedVersion = null;
         this.isRegistered = false;
+        this.staircase = null;
+        this.staircaseResult = null;
+        this.discardCheckpoint();
         
         // 🔧 FIXED: Clean up all question data for new quiz
         this.questionData = {};
@@ -2345,16 +3460,29 @@ class VoiceQuizApp {
             interactionTimestamps: []
         };
         
-        // Show landing page
+        // Show landing page; the next session gets a log of its own
+        this.machine.send('RESTART');
+        this.machine.clearLog();
+        
+        console.log('🔄 New quiz started with complete memory reset');
+    }
+
+    // 🚦 QuizStateMachine listener: show the screen of the state just entered
+    renderScreen({ fromScreen, toScreen }) {
+        if (!toScreen || toScreen === fromScreen) return;
+        
+        if (this.uiController) {
+            this.uiController.transitionToScreen(fromScreen, toScreen);
+            return;
+        }
+        
         this.hideAllScreens();
-        const landingPage = document.getElementById('landing-page');
-        if (landingPage) {
-            landingPage.classList.add('active');
+        const page = document.getElementById(`${toScreen}-page`);
+        if (page) {
+            page.classList.add('active');
         } else {
-            console.error('landing-page element not found');
+            console.error(`${toScreen}-page element not found`);
         }
-        
-        console.log('🔄 New quiz started with complete memory reset');
     }
 
     hideAllScreens() {
@@ -2417,102 +3545,37 @@ class VoiceQuizApp {
     verifyTrialLogic() {
         console.log('🔍 === TRIAL LOGIC VERIFICATION ===');
         
-        if (!this.trials || this.trials.length !== 10) {
-            console.error('❌ INVALID: Expected exactly 10 trials, got:', this.trials?.length || 0);
+        if (!this.studyProtocol) {
+            console.error('❌ INVALID: No study definition loaded');
             return false;
         }
         
-        let verification = {
-            totalTrials: this.trials.length,
-            catchTrials: 0,
-            realTrials: 0,
-            processingModes: {},
-            rawSideDistribution: { left: 0, right: 0 },
-            errors: []
-        };
+        // 🔧 FIXED: Check against the study's declared constraints instead of fixed counts
+        const { errors, distribution, expected } = this.studyProtocol.checkTrials(this.trials);
         
-        // Analyze each trial
         this.trials.forEach((trial, index) => {
-            const { type, isCatch, comparisonSetup } = trial;
-            const { leftVersion, rightVersion } = comparisonSetup || {};
-            
+            const { leftVersion, rightVersion } = trial.comparisonSetup || {};
             console.log(`🔍 Question ${index + 1}:`, {
-                type,
-                isCatch,
+                type: trial.type,
+                isCatch: trial.isCatch,
                 leftVersion,
                 rightVersion
             });
-            
-            // Count trial types
-            if (isCatch) {
-                verification.catchTrials++;
-            } else {
-                verification.realTrials++;
-                verification.processingModes[type] = (verification.processingModes[type] || 0) + 1;
-            }
-            
-            // Verify exactly one raw version per trial (except catch trials)
-            const hasRawLeft = leftVersion === 'raw';
-            const hasRawRight = rightVersion === 'raw';
-            const rawCount = (hasRawLeft ? 1 : 0) + (hasRawRight ? 1 : 0);
-            
-            if (!isCatch) {
-                if (rawCount !== 1) {
-                    verification.errors.push(`Question ${index + 1}: Expected exactly 1 raw version, got ${rawCount}`);
-                }
-            } else {
-                console.log(`✅ Question ${index + 1} is the expected catch trial (raw vs raw)`);
-            }
-            
-            // Track raw side distribution
-            if (hasRawLeft) verification.rawSideDistribution.left++;
-            if (hasRawRight) verification.rawSideDistribution.right++;
-            
-            // Verify catch trial is raw vs raw
-            if (isCatch && (leftVersion !== 'raw' || rightVersion !== 'raw')) {
-                verification.errors.push(`Question ${index + 1}: Catch trial should be raw vs raw, got ${leftVersion} vs ${rightVersion}`);
-            }
-            
-            // Verify non-catch trials have one processed version
-            if (!isCatch) {
-                const hasProcessed = leftVersion !== 'raw' || rightVersion !== 'raw';
-                if (!hasProcessed) {
-                    verification.errors.push(`Question ${index + 1}: Non-catch trial should have one processed version`);
-                }
-            }
         });
         
-        // Verify catch trial count
-        if (verification.catchTrials !== 1) {
-            verification.errors.push(`Expected exactly 1 catch trial, got ${verification.catchTrials}`);
-        }
-        
-        // Verify processing mode distribution
-        const expectedModes = { light: 3, medium: 3, deep: 3 };
-        for (const [mode, expected] of Object.entries(expectedModes)) {
-            const actual = verification.processingModes[mode] || 0;
-            if (actual !== expected) {
-                verification.errors.push(`Expected ${expected} ${mode} trials, got ${actual}`);
-            }
-        }
-        
-        // Verify raw side distribution is balanced
-        const totalRealTrials = verification.realTrials;
-        const rawOnLeft = verification.rawSideDistribution.left;
-        const rawOnRight = verification.rawSideDistribution.right;
-        
         console.log('📊 Trial Distribution Analysis:', {
-            totalTrials: verification.totalTrials,
-            catchTrials: verification.catchTrials,
-            realTrials: verification.realTrials,
-            processingModes: verification.processingModes,
-            rawSideDistribution: verification.rawSideDistribution,
-            rawBalance: `${rawOnLeft}/${totalRealTrials} left, ${rawOnRight}/${totalRealTrials} right`
+            study: `${this.studyProtocol.id} v${this.studyProtocol.version}`,
+            totalTrials: distribution.totalTrials,
+            catchTrials: distribution.catchTrials,
+            realTrials: distribution.realTrials,
+            processingModes: distribution.conditions,
+            processedSide: distribution.processedSide,
+            maxImbalance: expected.maxImbalance
         });
         
-        if (verification.errors.length > 0) {
+        if (errors.length > 0) {
             console.error('❌ TRIAL LOGIC ERRORS FOUND:');
-            verification.errors.forEach(error => console.error('  -', error));
+            errors.forEach(error => console.error('  -', error));
             return false;
         } else {
             console.log('✅ TRIAL LOGIC VERIFICATION PASSED');
@@ -2557,7 +3620,7 @@ class VoiceQuizApp {
         // Show raw side distribution
         const rawSideCounts = { left: 0, right: 0 };
         this.trials.forEach(trial => {
-            if (!trial.isCatch) {
+            if (!trial.isCatch && trial.comparisonSetup) {
                 if (trial.comparisonSetup.leftVersion === 'raw') rawSideCounts.left++;
                 if (trial.comparisonSetup.rightVersion === 'raw') rawSideCounts.right++;
             }
@@ -2572,140 +3635,39 @@ class VoiceQuizApp {
     logQuizDistribution(trials) {
         console.log('🎯 === QUIZ DISTRIBUTION VERIFICATION ===');
         
-        if (!trials || trials.length !== 10) {
-            console.error('❌ INVALID: Expected exactly 10 trials, got:', trials?.length || 0);
+        if (!this.studyProtocol) {
+            console.error('❌ INVALID: No study definition loaded');
             return;
         }
         
-        // Initialize counters
-        const distribution = {
-            totalTrials: trials.length,
-            catchTrials: 0,
-            realTrials: 0,
-            processingModes: { light: 0, medium: 0, deep: 0 },
-            rawSideDistribution: { left: 0, right: 0 },
-            versionDistribution: { light: 0, medium: 0, deep: 0, raw: 0 },
-            errors: []
-        };
-        
-        // Analyze each trial
         console.log('📋 Detailed Trial Analysis:');
-        trials.forEach((trial, index) => {
-            const { type, isCatch, comparisonSetup } = trial;
-            const { leftVersion, rightVersion } = comparisonSetup || {};
-            
+        (trials || []).forEach((trial, index) => {
+            const { leftVersion, rightVersion } = trial.comparisonSetup || {};
             console.log(`  Question ${index + 1}:`, {
-                type,
-                isCatch,
+                type: trial.type,
+                isCatch: trial.isCatch,
                 leftVersion,
                 rightVersion,
-                description: isCatch ? '🎯 CATCH TRIAL (raw vs raw)' : `${type} vs raw`
+                description: trial.isCatch ? '🎯 CATCH TRIAL (raw vs raw)' : `${trial.type} vs raw`
             });
-            
-            // Count trial types
-            if (isCatch) {
-                distribution.catchTrials++;
-                distribution.versionDistribution.raw += 2; // Both left and right are raw
-            } else {
-                distribution.realTrials++;
-                distribution.processingModes[type]++;
-                
-                // Count versions (one raw, one processed)
-                if (leftVersion === 'raw') distribution.versionDistribution.raw++;
-                if (rightVersion === 'raw') distribution.versionDistribution.raw++;
-                if (leftVersion !== 'raw') distribution.versionDistribution[leftVersion]++;
-                if (rightVersion !== 'raw') distribution.versionDistribution[rightVersion]++;
-            }
-            
-            // Track raw side distribution (including catch trial)
-            if (leftVersion === 'raw') distribution.rawSideDistribution.left++;
-            if (rightVersion === 'raw') distribution.rawSideDistribution.right++;
-            
-            // Verify logic
-            if (!isCatch) {
-                const rawCount = (leftVersion === 'raw' ? 1 : 0) + (rightVersion === 'raw' ? 1 : 0);
-                if (rawCount !== 1) {
-                    distribution.errors.push(`Question ${index + 1}: Expected exactly 1 raw version, got ${rawCount}`);
-                }
-            } else {
-                if (leftVersion !== 'raw' || rightVersion !== 'raw') {
-                    distribution.errors.push(`Question ${index + 1}: Catch trial should be raw vs raw, got ${leftVersion} vs ${rightVersion}`);
-                }
-            }
         });
         
-        // Verify expected distribution
-        const expected = {
-            totalTrials: 10,
-            catchTrials: 1,
-            realTrials: 9,
-            processingModes: { light: 3, medium: 3, deep: 3 },
-            rawSideDistribution: { left: 5, right: 5 }, // Acceptable: 5/6 or 6/5 (4/5 or 5/4 in real trials + 1/1 from catch)
-            versionDistribution: { light: 3, medium: 3, deep: 3, raw: 11 } // 9 real trials + 2 from catch trial
-        };
+        // 🔧 FIXED: Expected values come from the study definition, not magic numbers
+        const { errors, distribution, expected } = this.studyProtocol.checkTrials(trials);
         
         console.log('📊 ACTUAL Distribution:', distribution);
         console.log('📊 EXPECTED Distribution:', expected);
         
-        // Check for discrepancies
-        let hasErrors = false;
-        
-        if (distribution.catchTrials !== expected.catchTrials) {
-            console.error(`❌ Catch trials: Expected ${expected.catchTrials}, got ${distribution.catchTrials}`);
-            hasErrors = true;
-        }
-        
-        if (distribution.realTrials !== expected.realTrials) {
-            console.error(`❌ Real trials: Expected ${expected.realTrials}, got ${distribution.realTrials}`);
-            hasErrors = true;
-        }
-        
-        for (const [mode, expectedCount] of Object.entries(expected.processingModes)) {
-            const actualCount = distribution.processingModes[mode];
-            if (actualCount !== expectedCount) {
-                console.error(`❌ ${mode} trials: Expected ${expectedCount}, got ${actualCount}`);
-                hasErrors = true;
-            }
-        }
-        
-        // Accept either 5/6 or 6/5 distribution (4/5 or 5/4 in real trials + 1/1 from catch)
-        const rawLeftCount = distribution.rawSideDistribution.left;
-        const rawRightCount = distribution.rawSideDistribution.right;
-        const isAcceptableDistribution = 
-            (rawLeftCount === 5 && rawRightCount === 6) || 
-            (rawLeftCount === 6 && rawRightCount === 5);
-        
-        if (!isAcceptableDistribution) {
-            console.error(`❌ Raw distribution: Got ${rawLeftCount}-left, ${rawRightCount}-right. Expected either 5-left/6-right or 6-left/5-right`);
-            hasErrors = true;
-        } else {
-            console.log(`✅ Raw distribution: ${rawLeftCount}-left, ${rawRightCount}-right (acceptable)`);
-        }
-        
-        for (const [version, expectedCount] of Object.entries(expected.versionDistribution)) {
-            const actualCount = distribution.versionDistribution[version];
-            if (actualCount !== expectedCount) {
-                console.error(`❌ ${version} versions: Expected ${expectedCount}, got ${actualCount}`);
-                hasErrors = true;
-            }
-        }
-        
-        if (distribution.errors.length > 0) {
-            console.error('❌ LOGIC ERRORS FOUND:');
-            distribution.errors.forEach(error => console.error(`  - ${error}`));
-            hasErrors = true;
-        }
-        
-        if (!hasErrors) {
+        if (errors.length === 0) {
             console.log('✅ QUIZ DISTRIBUTION VERIFICATION PASSED');
-            console.log('✅ All distributions match expected values');
-            console.log(`✅ Raw distribution: ${rawLeftCount}-left, ${rawRightCount}-right (acceptable)`);
-            console.log('✅ 3 light, 3 medium, 3 deep, 1 catch trial');
+            console.log(`✅ Processed side: ${distribution.processedSide.left}-left, ${distribution.processedSide.right}-right (max imbalance ${expected.maxImbalance})`);
+            console.log(`✅ Conditions: ${JSON.stringify(distribution.conditions)}, ${distribution.catchTrials} catch trial(s)`);
         } else {
             console.error('❌ QUIZ DISTRIBUTION VERIFICATION FAILED');
+            errors.forEach(error => console.error(`  - ${error}`));
         }
         
-                console.log('🎯 === END QUIZ DISTRIBUTION VERIFICATION ===');
+        console.log('🎯 === END QUIZ DISTRIBUTION VERIFICATION ===');
     }
     
     // 🔍 ADDED: Verify audio buffer initialization
@@ -2764,9 +3726,9 @@ class VoiceQuizApp {
 
     // ANALYTICS: Track selection behavior and detect gaming patterns
      trackSelectionBehavior(version, selectionTime) {
-        // Calculate selection latency (time since last audio play)
+        // Calculate selection latency (time since the chosen side last started playing on this trial)
         const lastPlayTime = this.getLastPlayTime(version);
-        const selectionLatency = lastPlayTime ? selectionTime - lastPlayTime : null;
+        const selectionLatency = lastPlayTime !== null ? selectionTime - lastPlayTime : null;
         
         // Store selection latency
         if (!this.selectionBehaviorData.selectionLatency[version]) {
@@ -2796,17 +3758,17 @@ class VoiceQuizApp {
             selectionLatency: selectionLatency,
             timestamp: selectionTime
         });
+        
+        return selectionLatency;
     }
     
-    // Get the last play time for a specific version
+    // When the side last started playing on this trial; null if it wasn't played on this trial
+    // (the session-wide interaction log would reach back into earlier questions)
     getLastPlayTime(version) {
-        const interactions = this.selectionBehaviorData.interactionTimestamps;
-        for (let i = interactions.length - 1; i >= 0; i--) {
-            if (interactions[i].action === 'audio_play_start' && interactions[i].data.version === version) {
-                return interactions[i].data.timestamp;
-            }
-        }
-        return null;
+        const currentQuestionData = window.voiceQuizApp.session.questions[this.currentQuestion];
+        const plays = currentQuestionData?.playbackTimes?.[version];
+        if (!plays || plays.length === 0 || !this.startTime) return null;
+        return this.startTime + plays[plays.length - 1];
     }
     
     // Track all user interactions with timestamps
@@ -3023,7 +3985,7 @@ class VoiceQuizApp {
     exportAnalyticsData() {
         const analyticsData = {
             sessionId: this.userManager ? this.userManager.sessionId : 'unknown',
-            userId: this.userManager ? this.userManager.userData.email : 'anonymous',
+            userId: this.userManager?.currentUser ? this.userManager.currentUser.id : 'anonymous',
             timestamp: new Date().toISOString(),
             basicAnalytics: this.getAnalyticsSummary(),
             detailedAnalytics: this.trackDetailedAnalytics(),
@@ -3050,6 +4012,13 @@ class VoiceQuizApp {
         
         // 1. Stop all audio playback
         this.stopAllAudio();
+        if (this.mushraRating) {
+            this.mushraRating.cleanup();
+        }
+        if (this.voiceAdjuster) {
+            this.voiceAdjuster.cleanup();
+            this.voiceAdjuster = null;
+        }
         
         // 2. Delete original recording
         await this.deleteOriginalRecording();
@@ -3090,6 +4059,7 @@ class VoiceQuizApp {
         // 🔧 ENHANCED: Reset explicit playback state
         this.playbackState.hasPlayedLeft = false;
         this.playbackState.hasPlayedRight = false;
+        this.playbackState.hasPlayedX = false;
         console.log('🔧 Reset playback state for next question');
         
         // 10. Force garbage collection
@@ -3329,14 +4299,24 @@ class VoiceQuizApp {
         const playLeft = document.getElementById('play-left');
         const playRight = document.getElementById('play-right');
         if (playLeft) {
-            playLeft.onclick = () => this.playChoice('left');
+            playLeft.onclick = () => { this.abxSequenceToken++; this.playChoice('left'); };
             console.log('✅ Wired play-left button');
         }
         if (playRight) {
-            playRight.onclick = () => this.playChoice('right');
+            playRight.onclick = () => { this.abxSequenceToken++; this.playChoice('right'); };
             console.log('✅ Wired play-right button');
         }
         
+        // ABX-only controls (hidden on preference trials)
+        const playX = document.getElementById('play-x');
+        const playSequence = document.getElementById('play-abx-sequence');
+        if (playX) {
+            playX.onclick = () => { this.abxSequenceToken++; this.playChoice('x'); };
+        }
+        if (playSequence) {
+            playSequence.onclick = () => this.playAbxSequence();
+        }
+        
         // Wire up select buttons
         const selectLeft = document.getElementById('select-left');
         const selectRight = document.getElementById('select-right');
@@ -3383,13 +4363,12 @@ class VoiceQuizApp {
 
     
     handleSubmitFeedback() {
-        if (this.submitted) {
+        const submitBtn = document.getElementById('submit-feedback');
+        if (!this.machine.can('SUBMIT') || submitBtn?.disabled) {
             console.log('🔄 Ignoring submit feedback call - already submitted');
             return;
         }
         
-        this.submitted = true;
-        
         // 1) Gather feedback
         const reasons = Array.from(
             document.querySelectorAll('input[name="reason"]:checked')
@@ -3418,7 +4397,6 @@ class VoiceQuizApp {
         // 3) Proceed directly to next question without showing confirmation toast
         
         // 4) Disable submit button immediately to prevent double-submits
-        const submitBtn = document.getElementById('submit-feedback');
         if (submitBtn) {
             submitBtn.disabled = true;
             submitBtn.textContent = 'Submitted ✓';
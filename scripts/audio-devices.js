@@ -0,0 +1,187 @@
+/**
+ * Audio Devices - Microphone and speaker choice for the session
+ * Lists inputs and outputs with enumerateDevices(), remembers the participant's choice in
+ * sessionStorage (so it survives a reload and a resumed session, but not the browser tab),
+ * routes playback to the chosen output with setSinkId() where the browser supports it, and
+ * follows devicechange events: a chosen device that is unplugged falls back to the default.
+ *
+ * Device IDs stay in this tab; describe() gives only labels and kinds for the payload.
+ */
+
+const AUDIO_DEVICES_STORAGE_KEY = 'voiceQuizAudioDevices';
+
+class AudioDevices {
+    constructor() {
+        this.input = null;  // { deviceId, label } or null for the browser default
+        this.output = null;
+        this.known = { inputs: [], outputs: [] };
+        this.listeners = new Set();
+        this.outputTargets = new Set(); // Long-lived AudioContexts that follow the output choice
+
+        this.restore();
+        if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+            navigator.mediaDevices.addEventListener('devicechange', () => this.handleDeviceChange());
+        }
+    }
+
+    static isSupported() {
+        return !!(navigator.mediaDevices && navigator.mediaDevices.enumerateDevices);
+    }
+
+    // Output choice needs setSinkId on media elements and on AudioContext (the comparison, rating and slider play through one)
+    static get outputSelectionSupported() {
+        return typeof HTMLMediaElement !== 'undefined' && 'setSinkId' in HTMLMediaElement.prototype &&
+            typeof AudioContext !== 'undefined' && 'setSinkId' in AudioContext.prototype;
+    }
+
+    /**
+     * Current inputs and outputs. Labels are empty until microphone permission is granted.
+     * @returns {Promise<{inputs: Array<{deviceId: string, label: string}>, outputs: Array<{deviceId: string, label: string}>}>}
+     */
+    async list() {
+        if (!AudioDevices.isSupported()) return this.known;
+
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        const ofKind = kind => devices
+            .filter(device => device.kind === kind && device.deviceId)
+            .map((device, index) => ({
+                deviceId: device.deviceId,
+                label: device.label || `${kind === 'audioinput' ? 'Microphone' : 'Speaker'} ${index + 1}`
+            }));
+        this.known = {
+            inputs: ofKind('audioinput'),
+            outputs: AudioDevices.outputSelectionSupported ? ofKind('audiooutput') : []
+        };
+        return this.known;
+    }
+
+    selectInput(deviceId) {
+        this.input = this.find('inputs', deviceId);
+        this.save();
+        return this.input;
+    }
+
+    // Re-routes every registered AudioContext; elements pick it up when they next play (see applyOutput)
+    async selectOutput(deviceId) {
+        this.output = this.find('outputs', deviceId);
+        this.save();
+        await Promise.all(Array.from(this.outputTargets, target => this.applyOutput(target)));
+        return this.output;
+    }
+
+    get inputId() {
+        return this.input ? this.input.deviceId : null;
+    }
+
+    get outputId() {
+        return this.output ? this.output.deviceId : null;
+    }
+
+    /**
+     * Send an <audio> element or AudioContext to the chosen output. Never throws: a failure
+     * (unsupported, device gone) leaves it on the default output.
+     * @param {HTMLMediaElement|AudioContext} target
+     * @param {{follow?: boolean}} options - follow: keep re-routing the target when the choice changes
+     */
+    async applyOutput(target, { follow = false } = {}) {
+        if (!target || typeof target.setSinkId !== 'function' || !AudioDevices.outputSelectionSupported) return false;
+        if (follow) this.outputTargets.add(target);
+
+        const sinkId = this.outputId || '';
+        if ((target.sinkId || '') === sinkId) return true;
+        try {
+            await target.setSinkId(sinkId);
+            return true;
+        } catch (error) {
+            console.warn('🔈 Could not switch audio output:', error);
+            return false;
+        }
+    }
+
+    // Listener gets { inputLost, outputLost, devices } after every devicechange
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Labels and kinds of the devices in use, for deviceInfo. Never includes device IDs.
+     * @param {MediaStream|null} stream - The open microphone stream; its track names the default input
+     */
+    describe(stream = null) {
+        const track = stream && stream.getAudioTracks ? stream.getAudioTracks()[0] : null;
+        return {
+            input: {
+                kind: 'audioinput',
+                label: (track && track.label) || (this.input && this.input.label) || null,
+                chosen: !!this.input
+            },
+            output: {
+                kind: 'audiooutput',
+                label: this.output ? this.output.label : null,
+                chosen: !!this.output
+            }
+        };
+    }
+
+    find(group, deviceId) {
+        if (!deviceId) return null;
+        const device = this.known[group].find(candidate => candidate.deviceId === deviceId);
+        return device ? { deviceId: device.deviceId, label: device.label } : { deviceId, label: null };
+    }
+
+    async handleDeviceChange() {
+        let devices;
+        try {
+            devices = await this.list();
+        } catch (error) {
+            console.warn('🔈 Could not list audio devices:', error);
+            return;
+        }
+
+        // An empty list means the browser isn't showing devices yet (no permission), not that they are gone
+        const missing = (selected, group) => !!selected && devices[group].length > 0 &&
+            !devices[group].some(device => device.deviceId === selected.deviceId);
+        const inputLost = missing(this.input, 'inputs');
+        const outputLost = missing(this.output, 'outputs');
+        if (inputLost) {
+            console.warn(`🎙️ ${this.input.label || 'Chosen microphone'} was disconnected; using the default`);
+            this.selectInput(null);
+        }
+        if (outputLost) {
+            console.warn(`🔈 ${this.output.label || 'Chosen output'} was disconnected; using the default`);
+            await this.selectOutput(null);
+        }
+
+        this.listeners.forEach(listener => {
+            try {
+                listener({ inputLost, outputLost, devices });
+            } catch (error) {
+                console.error('Audio device listener error:', error);
+            }
+        });
+    }
+
+    save() {
+        try {
+            sessionStorage.setItem(AUDIO_DEVICES_STORAGE_KEY, JSON.stringify({ input: this.input, output: this.output }));
+        } catch (error) {
+            console.warn('Could not remember audio devices:', error);
+        }
+    }
+
+    restore() {
+        try {
+            const saved = JSON.parse(sessionStorage.getItem(AUDIO_DEVICES_STORAGE_KEY) || 'null');
+            if (saved) {
+                this.input = saved.input || null;
+                this.output = AudioDevices.outputSelectionSupported ? saved.output || null : null;
+            }
+        } catch (error) {
+            console.warn('Could not restore audio devices:', error);
+        }
+    }
+}
+
+window.AudioDevices = AudioDevices;
+window.audioDevices = new AudioDevices();
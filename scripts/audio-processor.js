@@ -3,6 +3,11 @@
  * Handles general audio processing with Superpowered SDK
  */
 
+import { PitchShifter } from './pitch-shifter.js';
+import { OfflineRenderer } from './offline-renderer.js';
+import { processingPresets } from './processing-presets.js';
+import { BackgroundProcessor } from './background-processor.js';
+
 class AudioProcessor {
   constructor() {
     this.audioContext = null;
@@ -11,6 +16,19 @@ class AudioProcessor {
     this.workletNode = null;
     this.isInitialized = false;
     this.pendingRequests = new Map();
+        this.pitchShifter = new PitchShifter();
+
+        // 🔧 FIXED: Same preset as ResearchAudioProcessor, adjusted for this playback device
+        this.deviceProfile = window.deviceAwareProcessor ? window.deviceAwareProcessor.getDeviceProfile() : null;
+        this.processingSettings = {};
+        for (const mode of processingPresets.getModes()) {
+            const base = processingPresets.getModeSettings(mode);
+            this.processingSettings[mode] = window.deviceAwareProcessor
+                ? window.deviceAwareProcessor.adjustProcessingForDevice(base, mode)
+                : base;
+        }
+        this.offlineRenderer = new OfflineRenderer(this.processingSettings, this.pitchShifter);
+        this.backgroundProcessor = new BackgroundProcessor(this.processingSettings, this.offlineRenderer);
         
         console.log('🎯 AudioProcessor v2.7.2 created');
   }
@@ -184,13 +202,13 @@ class AudioProcessor {
     }
   }
 
-  async processRecording(audioBuffer) {
+  async processRecording(audioBuffer, options = {}) {
     if (!this.isInitialized) await this.initialize();
 
         console.log('🎵 Processing audio with Superpowered AudioWorklet');
         
         try {
-            // ✅ CRITICAL FIX: Create fallback processing when AudioWorklet fails
+            // ✅ Same contract for every path: raw + three processed Float32Arrays
             const processedVersions = {
                 raw: audioBuffer.getChannelData(0), // Get raw Float32Array
                 light: null,
@@ -198,27 +216,35 @@ class AudioProcessor {
                 deep: null
             };
             
-            // Try to use AudioWorklet if available
-            if (this.workletNode) {
-                console.log('🔧 Using AudioWorklet for processing');
-                
-                // For now, since AudioWorklet is having issues, create simple processed versions
-                // This is a fallback until AudioWorklet is working properly
-                const rawData = audioBuffer.getChannelData(0);
-                const sampleRate = audioBuffer.sampleRate;
-                
-                // Create simple processed versions as fallback
-                processedVersions.light = this._createLightProcessing(rawData, sampleRate);
-                processedVersions.medium = this._createMediumProcessing(rawData, sampleRate);
-                processedVersions.deep = this._createDeepProcessing(rawData, sampleRate);
-                
-                console.log('✅ Fallback processing completed');
-            } else {
-                console.warn('⚠️ No AudioWorklet available, using basic fallback processing');
-                
-                const rawData = audioBuffer.getChannelData(0);
-                const sampleRate = audioBuffer.sampleRate;
-                
+            const rawData = processedVersions.raw;
+            const sampleRate = audioBuffer.sampleRate;
+
+            // 🔧 ENHANCED: Pitch shift in a worker so long recordings don't freeze the page
+            if (BackgroundProcessor.isSupported()) {
+                try {
+                    Object.assign(processedVersions, await this.backgroundProcessor.process(rawData, sampleRate, options));
+                } catch (workerError) {
+                    if (workerError.name === 'AbortError') throw workerError;
+                    console.warn('⚠️ Worker processing failed, rendering on the main thread:', workerError);
+                }
+            }
+
+            // 🔧 ENHANCED: Render the full filter chains offline when the browser supports it
+            if (!processedVersions.light && OfflineRenderer.isSupported()) {
+                try {
+                    console.log('🎛️ Rendering processed versions with OfflineAudioContext');
+                    Object.assign(processedVersions, await this.offlineRenderer.renderAll(rawData, sampleRate));
+                } catch (renderError) {
+                    console.warn('⚠️ Offline rendering failed, using pitch-only fallback:', renderError);
+                    processedVersions.light = null;
+                    processedVersions.medium = null;
+                    processedVersions.deep = null;
+                }
+            }
+
+            if (!processedVersions.light || !processedVersions.medium || !processedVersions.deep) {
+                console.warn('⚠️ Using pitch-only fallback processing (no native filter chain)');
+
                 processedVersions.light = this._createLightProcessing(rawData, sampleRate);
                 processedVersions.medium = this._createMediumProcessing(rawData, sampleRate);
                 processedVersions.deep = this._createDeepProcessing(rawData, sampleRate);
@@ -236,51 +262,80 @@ class AudioProcessor {
             return processedVersions;
             
         } catch (error) {
-            console.error('❌ Audio processing failed:', error);
+            if (error.name === 'AbortError') {
+                console.log('🛑 Audio processing cancelled');
+            } else {
+                console.error('❌ Audio processing failed:', error);
+            }
             throw error;
         }
     }
 
+    // Stop an in-flight processRecording() (e.g. the participant chose to re-record)
+    cancelProcessing() {
+        this.backgroundProcessor.cancel();
+    }
+
+    /**
+     * Render one version of a preset mode with some settings overridden (adaptive staircase steps).
+     * @param {Float32Array} rawData - Mono recording
+     * @param {number} sampleRate - Sample rate of rawData
+     * @param {string} mode - Preset mode whose device-adjusted settings are the starting point
+     * @param {object} overrides - e.g. { pitchCents: -80 }
+     * @returns {Promise<Float32Array>}
+     */
+    async processVariant(rawData, sampleRate, mode, overrides = {}, options = {}) {
+        const settings = { ...this.processingSettings[mode], ...overrides };
+
+        if (BackgroundProcessor.isSupported()) {
+            try {
+                return await this.backgroundProcessor.processVariant(rawData, sampleRate, mode, settings, options);
+            } catch (workerError) {
+                if (workerError.name === 'AbortError') throw workerError;
+                console.warn('⚠️ Worker processing failed, rendering variant on the main thread:', workerError);
+            }
+        }
+
+        const shifted = settings.pitchCents
+            ? this.pitchShifter.process(rawData, sampleRate, settings)
+            : new Float32Array(rawData);
+        return this.offlineRenderer.renderShiftedVersion(mode, shifted, rawData, sampleRate, settings);
+    }
+
+    // Pitch/formant only, used by the adjustment panel which applies its EQ live
+    async shiftPitch(rawData, sampleRate, settings) {
+        if (BackgroundProcessor.isSupported()) {
+            try {
+                return await this.backgroundProcessor.shiftPitch(rawData, sampleRate, settings);
+            } catch (workerError) {
+                if (workerError.name === 'AbortError') throw workerError;
+                console.warn('⚠️ Worker pitch shift failed, shifting on the main thread:', workerError);
+            }
+        }
+        return this.pitchShifter.process(rawData, sampleRate, settings);
+    }
+
     // ✅ FALLBACK PROCESSING METHODS
+    // 🔧 FIXED: Real pitch shifting (TD-PSOLA) instead of gain/low-pass stand-ins
     _createLightProcessing(rawData, sampleRate) {
         console.log('🔹 Creating light processing fallback');
-        // Simple gain reduction for light processing
-        const processed = new Float32Array(rawData.length);
-        for (let i = 0; i < rawData.length; i++) {
-            processed[i] = rawData[i] * 0.8; // Slight volume reduction
-        }
-        return processed;
+        return this._createPitchShiftedVersion('light', rawData, sampleRate);
     }
 
     _createMediumProcessing(rawData, sampleRate) {
         console.log('🔸 Creating medium processing fallback');
-        // Simple filtering effect for medium processing
-        const processed = new Float32Array(rawData.length);
-        let previousSample = 0;
-        
-        for (let i = 0; i < rawData.length; i++) {
-            // Simple low-pass filter effect
-            const alpha = 0.7;
-            processed[i] = alpha * rawData[i] + (1 - alpha) * previousSample;
-            previousSample = processed[i];
-        }
-        return processed;
+        return this._createPitchShiftedVersion('medium', rawData, sampleRate);
     }
 
     _createDeepProcessing(rawData, sampleRate) {
         console.log('🔴 Creating deep processing fallback');
-        // More pronounced processing for deep mode
-        const processed = new Float32Array(rawData.length);
-        let previousSample = 0;
-        
-        for (let i = 0; i < rawData.length; i++) {
-            // More aggressive filtering + gain reduction
-            const alpha = 0.5;
-            const filtered = alpha * rawData[i] + (1 - alpha) * previousSample;
-            processed[i] = filtered * 0.6; // Reduce volume more
-            previousSample = filtered;
-        }
-        return processed;
+        return this._createPitchShiftedVersion('deep', rawData, sampleRate);
+    }
+
+    _createPitchShiftedVersion(mode, rawData, sampleRate) {
+        const settings = this.processingSettings[mode];
+        const shifted = this.pitchShifter.process(rawData, sampleRate, settings);
+        return this.offlineRenderer.matchLoudness(shifted, rawData);
     }
 
     async requestMicrophoneAccess() {
@@ -332,6 +387,7 @@ class AudioProcessor {
     
     // Clear pending requests
     this.pendingRequests.clear();
+    this.backgroundProcessor.cleanup();
     
         // Cleanup worklet
     if (this.workletNode) {
@@ -380,6 +436,11 @@ class AudioProcessor {
         console.log('✅ AudioProcessor cleanup completed');
     }
 
+    // Which parameters this processor renders with, recorded alongside each response
+    async getPresetInfo() {
+        return processingPresets.getPresetInfo(this.deviceProfile);
+    }
+
     // Diagnostic methods for debugging
     getStatus() {
         return {
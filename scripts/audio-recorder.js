@@ -7,6 +7,10 @@ class AudioRecorder {
         this.stream = null;
         this.audioContext = null;
         this.analyser = null;
+        this.source = null;
+        this.vadAnalyser = null; // Longer window than `analyser`, for voice activity (see watchForSilence)
+        this.silenceTimer = null;
+        this.inputDeviceId = null; // Chosen microphone (see AudioDevices); null = browser default
         
         this.constraints = {
             audio: {
@@ -29,8 +33,14 @@ class AudioRecorder {
             // Request microphone permission with fallbacks
             let stream;
             try {
-                stream = await navigator.mediaDevices.getUserMedia(this.constraints);
+                stream = await navigator.mediaDevices.getUserMedia(this.withInputDevice(this.constraints));
             } catch (permissionError) {
+                // The chosen microphone was unplugged or renamed: carry on with the default one
+                if (this.inputDeviceId && ['OverconstrainedError', 'NotFoundError'].includes(permissionError.name)) {
+                    console.warn('Chosen microphone unavailable, using the default:', permissionError);
+                    this.inputDeviceId = null;
+                    return this.initialize();
+                }
                 console.warn('Primary audio constraints failed, trying fallback:', permissionError);
                 
                 // Try with more basic constraints
@@ -43,7 +53,7 @@ class AudioRecorder {
                 };
                 
                 try {
-                    stream = await navigator.mediaDevices.getUserMedia(fallbackConstraints);
+                    stream = await navigator.mediaDevices.getUserMedia(this.withInputDevice(fallbackConstraints));
                 } catch (fallbackError) {
                     console.error('Fallback audio constraints also failed:', fallbackError);
                     throw new Error(`Microphone access failed: ${fallbackError.message}`);
@@ -57,8 +67,9 @@ class AudioRecorder {
                 this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
                 this.analyser = this.audioContext.createAnalyser();
                 
-                const source = this.audioContext.createMediaStreamSource(this.stream);
-                source.connect(this.analyser);
+                this.source = this.audioContext.createMediaStreamSource(this.stream);
+                this.source.connect(this.analyser);
+                this.vadAnalyser = null;
                 
                 this.analyser.fftSize = 256;
             } catch (audioContextError) {
@@ -84,6 +95,25 @@ class AudioRecorder {
         }
     }
 
+    withInputDevice(constraints) {
+        if (!this.inputDeviceId) return constraints;
+        return { audio: { ...constraints.audio, deviceId: { exact: this.inputDeviceId } } };
+    }
+
+    // Switch microphones; an open stream is reopened on the new device
+    async setInputDevice(deviceId) {
+        if (this.isRecording) {
+            throw new Error('Cannot switch microphones while recording');
+        }
+        if (this.inputDeviceId === (deviceId || null)) return;
+
+        this.inputDeviceId = deviceId || null;
+        if (this.stream) {
+            this.cleanup();
+            await this.initialize();
+        }
+    }
+
     async startRecording() {
         if (this.isRecording) {
             console.warn('Recording already in progress');
@@ -147,7 +177,72 @@ class AudioRecorder {
         }
     }
 
+    /**
+     * Call onSilence once the detector has heard speech followed by silenceMs of silence.
+     * @param {VoiceActivityDetector} detector
+     * @returns {boolean} false when there is no audio context to listen with
+     */
+    watchForSilence(detector, silenceMs, onSilence, intervalMs = 50) {
+        this.stopSilenceWatch();
+        if (!this.audioContext || !this.source) {
+            console.warn('Auto-stop unavailable without audio analysis');
+            return false;
+        }
+
+        this.ensureVadAnalyser();
+        const monitor = detector.createMonitor();
+        const block = new Float32Array(this.vadAnalyser.fftSize);
+        let lastUpdate = Date.now();
+
+        this.silenceTimer = setInterval(() => {
+            const now = Date.now();
+            this.vadAnalyser.getFloatTimeDomainData(block);
+            const state = monitor.update(block, now - lastUpdate);
+            lastUpdate = now;
+
+            if (state.heardSpeech && state.silenceMs >= silenceMs) {
+                this.stopSilenceWatch();
+                onSilence(state);
+            }
+        }, intervalMs);
+        return true;
+    }
+
+    // 2048-sample analyser (≈46 ms) so polling every 50 ms sees nearly all of the input
+    ensureVadAnalyser() {
+        if (!this.vadAnalyser) {
+            this.vadAnalyser = this.audioContext.createAnalyser();
+            this.vadAnalyser.fftSize = 2048;
+            this.source.connect(this.vadAnalyser);
+        }
+        if (this.audioContext.state === 'suspended') {
+            this.audioContext.resume();
+        }
+        return this.vadAnalyser;
+    }
+
+    /**
+     * Latest block of raw input samples, for level meters (see MicPreflight.createMeter).
+     * @returns {Float32Array|null} null when there is no audio context to listen with
+     */
+    getInputSamples() {
+        if (!this.audioContext || !this.source) return null;
+        const analyser = this.ensureVadAnalyser();
+        const block = new Float32Array(analyser.fftSize);
+        analyser.getFloatTimeDomainData(block);
+        return block;
+    }
+
+    stopSilenceWatch() {
+        if (this.silenceTimer) {
+            clearInterval(this.silenceTimer);
+            this.silenceTimer = null;
+        }
+    }
+
     async stopRecording() {
+        this.stopSilenceWatch();
+
         if (!this.isRecording || !this.mediaRecorder) {
             console.warn('No recording in progress');
             return null;
@@ -341,6 +436,8 @@ class AudioRecorder {
 
     cleanup() {
         try {
+            this.stopSilenceWatch();
+
             // Stop recording if active
             if (this.isRecording && this.mediaRecorder) {
                 this.mediaRecorder.stop();
@@ -364,6 +461,8 @@ class AudioRecorder {
             // Clear arrays
             this.audioChunks = [];
             this.analyser = null;
+            this.source = null;
+            this.vadAnalyser = null;
 
             console.log('Audio recorder cleaned up successfully');
         } catch (error) {
@@ -0,0 +1,207 @@
+/**
+ * Background Processor - Main-thread client for processing-worker.js
+ * Pitch shifting runs in the worker; the native filter chain still renders here
+ * because OfflineAudioContext is not available inside workers.
+ * Cancelling terminates the worker, so a long job never has to finish first.
+ */
+
+// Share of the progress bar given to the worker's pitch stage vs. the filter chain
+const PITCH_STAGE_WEIGHT = 0.85;
+
+class BackgroundProcessor {
+    constructor(processingSettings, offlineRenderer) {
+        this.processingSettings = processingSettings;
+        this.offlineRenderer = offlineRenderer;
+        this.worker = null;
+        this.currentJob = null;
+        this.nextJobId = 1;
+
+        console.log('🧵 BackgroundProcessor created');
+    }
+
+    static isSupported() {
+        return typeof Worker !== 'undefined';
+    }
+
+    /**
+     * Create every processed version without blocking the UI thread.
+     * @param {Float32Array} rawData - Mono recording (copied, never detached)
+     * @param {number} sampleRate - Sample rate of rawData
+     * @param {{onProgress?: function({progress: number, completed: number, total: number})}} options
+     * @returns {Promise<{raw: Float32Array, light: Float32Array, medium: Float32Array, deep: Float32Array}>}
+     */
+    async process(rawData, sampleRate, options = {}) {
+        // Only one job at a time; a new recording supersedes the old one
+        if (this.currentJob) {
+            this.cancel();
+        }
+
+        const onProgress = options.onProgress || (() => {});
+        const jobId = this.nextJobId++;
+        const startTime = performance.now();
+
+        const shifted = await this._runWorker(jobId, rawData, sampleRate, this.processingSettings, onProgress);
+
+        const versions = { raw: rawData };
+        const modes = Object.keys(shifted);
+
+        for (let i = 0; i < modes.length; i++) {
+            this._throwIfCancelled(jobId);
+
+            const mode = modes[i];
+            versions[mode] = await this.offlineRenderer.renderShiftedVersion(mode, shifted[mode], rawData, sampleRate);
+
+            onProgress({
+                progress: PITCH_STAGE_WEIGHT + (1 - PITCH_STAGE_WEIGHT) * (i + 1) / modes.length,
+                completed: i + 1,
+                total: modes.length
+            });
+        }
+
+        this._throwIfCancelled(jobId);
+        this.currentJob = null;
+
+        console.log(`✅ Background processing completed in ${Math.round(performance.now() - startTime)}ms`);
+        return versions;
+    }
+
+    /**
+     * Create one processed version from explicit settings (e.g. a staircase step).
+     * @param {Float32Array} rawData - Mono recording (copied, never detached)
+     * @param {number} sampleRate - Sample rate of rawData
+     * @param {string} label - Name used in logs and worker messages
+     * @param {object} settings - Full processing settings for this version
+     * @returns {Promise<Float32Array>}
+     */
+    async processVariant(rawData, sampleRate, label, settings, options = {}) {
+        if (this.currentJob) {
+            this.cancel();
+        }
+
+        const onProgress = options.onProgress || (() => {});
+        const jobId = this.nextJobId++;
+
+        const shifted = await this._runWorker(jobId, rawData, sampleRate, { [label]: settings }, onProgress);
+        this._throwIfCancelled(jobId);
+
+        const version = await this.offlineRenderer.renderShiftedVersion(label, shifted[label], rawData, sampleRate, settings);
+        this._throwIfCancelled(jobId);
+        this.currentJob = null;
+
+        onProgress({ progress: 1, completed: 1, total: 1 });
+        return version;
+    }
+
+    // Pitch/formant only, no filter chain (the adjustment panel applies its EQ live)
+    async shiftPitch(rawData, sampleRate, settings) {
+        if (this.currentJob) {
+            this.cancel();
+        }
+
+        const jobId = this.nextJobId++;
+        const shifted = await this._runWorker(jobId, rawData, sampleRate, { adjustment: settings }, () => {});
+        this._throwIfCancelled(jobId);
+        this.currentJob = null;
+
+        return shifted.adjustment;
+    }
+
+    cancel() {
+        if (!this.currentJob) return;
+
+        console.log(`🛑 Cancelling processing job ${this.currentJob.id}`);
+
+        // Terminating is the only way to stop a synchronous PSOLA pass mid-way
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+
+        const job = this.currentJob;
+        this.currentJob = null;
+        job.reject(new DOMException('Processing cancelled', 'AbortError'));
+    }
+
+    cleanup() {
+        this.cancel();
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+
+    _getWorker() {
+        if (!this.worker) {
+            this.worker = new Worker(new URL('./processing-worker.js', import.meta.url), { type: 'module' });
+        }
+        return this.worker;
+    }
+
+    _runWorker(jobId, rawData, sampleRate, settings, onProgress) {
+        return new Promise((resolve, reject) => {
+            const worker = this._getWorker();
+            const shifted = {};
+
+            this.currentJob = { id: jobId, reject };
+
+            worker.onmessage = (event) => {
+                const data = event.data;
+                if (data.jobId !== jobId) return;
+
+                switch (data.type) {
+                    case 'progress':
+                        onProgress({
+                            progress: PITCH_STAGE_WEIGHT * (data.index + data.progress) / data.total,
+                            completed: data.index,
+                            total: data.total
+                        });
+                        break;
+
+                    case 'variant':
+                        shifted[data.mode] = data.samples;
+                        break;
+
+                    case 'done':
+                        resolve(shifted);
+                        break;
+
+                    case 'error':
+                        this.currentJob = null;
+                        reject(new Error(data.message));
+                        break;
+                }
+            };
+
+            worker.onerror = (event) => {
+                // Module workers are missing on some older browsers; the caller falls back
+                event.preventDefault();
+                this.currentJob = null;
+                if (this.worker) {
+                    this.worker.terminate();
+                    this.worker = null;
+                }
+                reject(new Error(event.message || 'Processing worker failed'));
+            };
+
+            // Transfer a copy so the caller's buffer stays usable for raw playback
+            const samples = new Float32Array(rawData);
+            worker.postMessage({
+                type: 'process',
+                jobId,
+                samples,
+                sampleRate,
+                settings
+            }, [samples.buffer]);
+        });
+    }
+
+    _throwIfCancelled(jobId) {
+        if (!this.currentJob || this.currentJob.id !== jobId) {
+            throw new DOMException('Processing cancelled', 'AbortError');
+        }
+    }
+}
+
+// Export for both ES6 modules and global use
+export { BackgroundProcessor };
+window.BackgroundProcessor = BackgroundProcessor;
@@ -0,0 +1,202 @@
+/**
+ * Canvas Charts - Minimal bar and histogram charts drawn on <canvas>
+ * Used by dashboard.html so pilot data can be inspected offline with no chart library or CDN.
+ * Every chart scales for devicePixelRatio and redraws from scratch on each call.
+ */
+
+const CHART_COLORS = {
+    bar: '#4f6bed',
+    accent: '#e0793b',
+    muted: '#9aa3b5',
+    axis: '#5b6475',
+    grid: '#e3e6ee',
+    text: '#1f2430',
+    reference: '#c0392b'
+};
+const CHART_FONT = '12px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
+const CHART_PADDING = { top: 16, right: 16, bottom: 42, left: 48 };
+
+const CanvasCharts = {
+    COLORS: CHART_COLORS,
+
+    // Size the backing store to the element's CSS size so lines stay sharp on HiDPI screens
+    _prepare(canvas) {
+        const ratio = window.devicePixelRatio || 1;
+        const width = canvas.clientWidth || canvas.width;
+        const height = canvas.clientHeight || canvas.height;
+        canvas.width = Math.round(width * ratio);
+        canvas.height = Math.round(height * ratio);
+
+        const context = canvas.getContext('2d');
+        context.setTransform(ratio, 0, 0, ratio, 0, 0);
+        context.clearRect(0, 0, width, height);
+        context.font = CHART_FONT;
+        context.textBaseline = 'middle';
+        return { context, width, height };
+    },
+
+    _empty(canvas, message = 'No data') {
+        const { context, width, height } = CanvasCharts._prepare(canvas);
+        context.fillStyle = CHART_COLORS.muted;
+        context.textAlign = 'center';
+        context.fillText(message, width / 2, height / 2);
+    },
+
+    // Horizontal grid lines and y labels; returns the value -> y mapping
+    _yAxis(context, plot, min, max, format) {
+        const y = value => plot.bottom - ((value - min) / (max - min)) * (plot.bottom - plot.top);
+        context.textAlign = 'right';
+        for (let i = 0; i <= 4; i++) {
+            const value = min + ((max - min) * i) / 4;
+            context.strokeStyle = CHART_COLORS.grid;
+            context.beginPath();
+            context.moveTo(plot.left, y(value));
+            context.lineTo(plot.right, y(value));
+            context.stroke();
+            context.fillStyle = CHART_COLORS.axis;
+            context.fillText(format(value), plot.left - 6, y(value));
+        }
+        return y;
+    },
+
+    /**
+     * Vertical bars with optional error bars and a dashed reference line.
+     * @param {HTMLCanvasElement} canvas
+     * @param {Array<{label: string, value: number|null, lower?: number, upper?: number, note?: string, color?: string}>} bars
+     * @param {{min?: number, max?: number, reference?: number, format?: function(number): string}} options
+     */
+    barChart(canvas, bars, { min = 0, max = null, reference = null, format = value => String(value) } = {}) {
+        const values = bars.filter(bar => bar.value !== null && bar.value !== undefined);
+        if (values.length === 0) {
+            CanvasCharts._empty(canvas);
+            return;
+        }
+
+        const { context, width, height } = CanvasCharts._prepare(canvas);
+        const top = max ?? (Math.max(0, ...values.map(bar => bar.upper ?? bar.value)) * 1.1 || 1);
+        const bottom = Math.min(min, ...values.map(bar => bar.lower ?? bar.value));
+        const plot = {
+            left: CHART_PADDING.left,
+            right: width - CHART_PADDING.right,
+            top: CHART_PADDING.top,
+            bottom: height - CHART_PADDING.bottom
+        };
+        const y = CanvasCharts._yAxis(context, plot, bottom, top, format);
+
+        const slot = (plot.right - plot.left) / bars.length;
+        const barWidth = Math.min(64, slot * 0.6);
+        bars.forEach((bar, i) => {
+            const centre = plot.left + slot * (i + 0.5);
+            context.textAlign = 'center';
+            context.fillStyle = CHART_COLORS.text;
+            context.fillText(bar.label, centre, plot.bottom + 14);
+            if (bar.note) {
+                context.fillStyle = CHART_COLORS.muted;
+                context.fillText(bar.note, centre, plot.bottom + 30);
+            }
+            if (bar.value === null || bar.value === undefined) return;
+
+            const zero = y(Math.max(bottom, 0));
+            context.fillStyle = bar.color || CHART_COLORS.bar;
+            context.fillRect(centre - barWidth / 2, Math.min(zero, y(bar.value)), barWidth, Math.abs(zero - y(bar.value)));
+
+            if (bar.lower !== undefined && bar.upper !== undefined) {
+                context.strokeStyle = CHART_COLORS.text;
+                context.beginPath();
+                context.moveTo(centre, y(bar.lower));
+                context.lineTo(centre, y(bar.upper));
+                [bar.lower, bar.upper].forEach(end => {
+                    context.moveTo(centre - 6, y(end));
+                    context.lineTo(centre + 6, y(end));
+                });
+                context.stroke();
+            }
+        });
+
+        if (reference !== null) {
+            context.strokeStyle = CHART_COLORS.reference;
+            context.setLineDash([5, 4]);
+            context.beginPath();
+            context.moveTo(plot.left, y(reference));
+            context.lineTo(plot.right, y(reference));
+            context.stroke();
+            context.setLineDash([]);
+        }
+    },
+
+    /**
+     * Histogram with equal-width bins from 0 to the 95th percentile; larger values go in the last bin.
+     * @param {number[]} values
+     * @param {{bins?: number, unit?: string}} options
+     */
+    histogram(canvas, values, { bins = 20, unit = '' } = {}) {
+        const finite = values.filter(value => Number.isFinite(value) && value >= 0).sort((a, b) => a - b);
+        if (finite.length === 0) {
+            CanvasCharts._empty(canvas);
+            return;
+        }
+
+        const cap = finite[Math.floor(0.95 * (finite.length - 1))] || finite[finite.length - 1] || 1;
+        const binWidth = cap / bins || 1;
+        const counts = new Array(bins).fill(0);
+        finite.forEach(value => {
+            counts[Math.min(bins - 1, Math.floor(value / binWidth))]++;
+        });
+
+        const { context, width, height } = CanvasCharts._prepare(canvas);
+        const plot = {
+            left: CHART_PADDING.left,
+            right: width - CHART_PADDING.right,
+            top: CHART_PADDING.top,
+            bottom: height - CHART_PADDING.bottom
+        };
+        const y = CanvasCharts._yAxis(context, plot, 0, Math.max(...counts) * 1.1, value => String(Math.round(value)));
+
+        const slot = (plot.right - plot.left) / bins;
+        counts.forEach((count, i) => {
+            context.fillStyle = i === bins - 1 ? CHART_COLORS.accent : CHART_COLORS.bar;
+            context.fillRect(plot.left + slot * i + 1, y(count), slot - 2, plot.bottom - y(count));
+        });
+
+        context.fillStyle = CHART_COLORS.axis;
+        context.textAlign = 'center';
+        [0, 0.25, 0.5, 0.75, 1].forEach(fraction => {
+            context.fillText(`${(cap * fraction).toFixed(1)}${unit}`, plot.left + (plot.right - plot.left) * fraction, plot.bottom + 14);
+        });
+        context.fillText(`last bin: ≥ ${(binWidth * (bins - 1)).toFixed(1)}${unit}`, (plot.left + plot.right) / 2, plot.bottom + 30);
+    },
+
+    /**
+     * Horizontal bars for category counts, largest first.
+     * @param {Object<string, number>} counts
+     */
+    categoryChart(canvas, counts, { limit = 8 } = {}) {
+        const entries = Object.entries(counts).sort(([, a], [, b]) => b - a).slice(0, limit);
+        if (entries.length === 0) {
+            CanvasCharts._empty(canvas);
+            return;
+        }
+
+        const { context, width, height } = CanvasCharts._prepare(canvas);
+        const labelWidth = 110;
+        const rowHeight = Math.min(28, (height - 8) / entries.length);
+        const maxCount = Math.max(...entries.map(([, count]) => count));
+        const barSpace = width - labelWidth - 48;
+
+        entries.forEach(([label, count], i) => {
+            const middle = 4 + rowHeight * (i + 0.5);
+            context.textAlign = 'right';
+            context.fillStyle = CHART_COLORS.text;
+            context.fillText(label.length > 16 ? `${label.slice(0, 15)}…` : label, labelWidth - 8, middle);
+
+            const barLength = (count / maxCount) * barSpace;
+            context.fillStyle = CHART_COLORS.bar;
+            context.fillRect(labelWidth, middle - rowHeight * 0.35, barLength, rowHeight * 0.7);
+            context.textAlign = 'left';
+            context.fillStyle = CHART_COLORS.axis;
+            context.fillText(String(count), labelWidth + barLength + 6, middle);
+        });
+    }
+};
+
+window.CanvasCharts = CanvasCharts;
@@ -0,0 +1,120 @@
+/**
+ * Counterbalancing - Assigns each session one row of a Latin square over
+ * condition order x processed-side start, so order effects balance across participants
+ *
+ * Row selection:  ?cb=<row>  explicit row (0-based, wraps)
+ *                 ?pid=<id>  participant index, or any id string (hashed)
+ *                 otherwise  random row
+ */
+
+class Counterbalancing {
+    constructor(conditionTypes, design = 'williams') {
+        if (!Array.isArray(conditionTypes) || conditionTypes.length === 0) {
+            throw new Error('Counterbalancing needs at least one condition');
+        }
+        if (!['williams', 'latin'].includes(design)) {
+            throw new Error(`Unknown counterbalancing design: ${design}`);
+        }
+
+        this.conditionTypes = conditionTypes;
+        this.design = design;
+
+        const orders = design === 'williams'
+            ? Counterbalancing.williamsSquare(conditionTypes.length)
+            : Counterbalancing.latinSquare(conditionTypes.length);
+
+        // Every condition order is crossed with both side starts
+        this.rows = [];
+        for (const sideStart of ['procLeft', 'procRight']) {
+            for (const order of orders) {
+                this.rows.push({
+                    conditionOrder: order.map(i => conditionTypes[i]),
+                    sideStart
+                });
+            }
+        }
+    }
+
+    // Cyclic Latin square: row r is 0..n-1 rotated by r
+    static latinSquare(n) {
+        return Array.from({ length: n }, (_, r) =>
+            Array.from({ length: n }, (_, c) => (c + r) % n)
+        );
+    }
+
+    // Williams design: first-order carryover balanced; odd n needs the mirrored rows too
+    static williamsSquare(n) {
+        const first = [0];
+        let low = 1;
+        let high = n - 1;
+        let takeLow = true;
+        while (first.length < n) {
+            first.push(takeLow ? low++ : high--);
+            takeLow = !takeLow;
+        }
+
+        const rows = Array.from({ length: n }, (_, r) => first.map(v => (v + r) % n));
+        return n % 2 === 1 ? rows.concat(rows.map(row => [...row].reverse())) : rows;
+    }
+
+    // FNV-1a, so non-numeric participant ids still map to a stable row
+    static hashId(id) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < id.length; i++) {
+            hash ^= id.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash;
+    }
+
+    getRowCount() {
+        return this.rows.length;
+    }
+
+    getRow(index) {
+        const rowIndex = ((index % this.rows.length) + this.rows.length) % this.rows.length;
+        return {
+            rowId: `${this.design}-${this.conditionTypes.length}x2-r${rowIndex}`,
+            rowIndex,
+            totalRows: this.rows.length,
+            design: this.design,
+            conditionOrder: [...this.rows[rowIndex].conditionOrder],
+            sideStart: this.rows[rowIndex].sideStart
+        };
+    }
+
+    /**
+     * Pick this session's row from the URL, falling back to a random row.
+     * @returns {{rowId: string, rowIndex: number, totalRows: number, design: string,
+     *            conditionOrder: string[], sideStart: string, source: string}}
+     */
+    assign(search = window.location.search, random = Math.random) {
+        const params = new URLSearchParams(search);
+        const explicitRow = params.get('cb');
+        const participant = params.get('pid');
+
+        let index;
+        let source;
+
+        if (explicitRow !== null && /^\d+$/.test(explicitRow)) {
+            index = parseInt(explicitRow, 10);
+            source = 'row';
+        } else if (participant) {
+            index = /^\d+$/.test(participant)
+                ? parseInt(participant, 10)
+                : Counterbalancing.hashId(participant);
+            source = 'pid';
+        } else {
+            index = Math.floor(random() * this.rows.length);
+            source = 'random';
+        }
+
+        const assignment = { ...this.getRow(index), source };
+        console.log('⚖️ Counterbalancing row assigned:', assignment);
+        return assignment;
+    }
+}
+
+// Export for both ES6 modules and global use
+export { Counterbalancing };
+window.Counterbalancing = Counterbalancing;
@@ -0,0 +1,227 @@
+/**
+ * Data Quality - Per-session quality flags, a composite score and the exclusion decision
+ * Shared by the quiz (classic script, window.DataQuality; WebhookService adds the result to every
+ * payload as dataQuality), dashboard.html and tools/analyze-sessions.js (Node, require), so a
+ * received session can be re-assessed offline with other thresholds.
+ *
+ * Catch trials play the same raw recording on both sides, so there is no wrong answer to give;
+ * what a catch trial can show is whether the participant listened before choosing.
+ * Checks that need data a session doesn't have (e.g. playback from before schema 1.3.0)
+ * report null and are left out of the score instead of flagging everyone.
+ */
+
+const DATA_QUALITY_FLAGS = ['catchUnheard', 'rapidSelections', 'zeroPlayback', 'constantSide', 'implausibleDuration', 'headphoneCheckFailed'];
+
+const DATA_QUALITY_DEFAULTS = {
+    maxCatchUnheard: 0,            // catch trials answered without playing both sides
+    rapidSelectionMs: 1000,        // choice made this soon after starting the chosen version
+    maxRapidSelectionRate: 0.25,
+    maxZeroPlaybackRate: 0,        // choices made without playing either version
+    maxSameSideRate: 0.9,          // same card on (almost) every choice
+    minSideTrials: 6,              // fewer choices than this can't show a side habit
+    minDurationSeconds: 60,
+    maxDurationSeconds: 5400,
+    minScore: 0.6,
+    // A failed headphone check only excludes when listed here; the study's headphoneCheck.onFail decides what the participant sees
+    excludeOn: DATA_QUALITY_FLAGS.filter(flag => flag !== 'headphoneCheckFailed')
+};
+
+// Share of the score each check can take away (renormalised over the checks that ran)
+const DATA_QUALITY_WEIGHTS = {
+    catchUnheard: 0.3,
+    rapidSelections: 0.2,
+    zeroPlayback: 0.2,
+    constantSide: 0.2,
+    implausibleDuration: 0.1,
+    headphoneCheckFailed: 0 // Listening conditions, not attention: flagged but not scored
+};
+
+// StudyProtocol checks the study's "quality" block against this. Rates and the score are fractions;
+// rapidSelectionMs is capped because the quiz only logs selections under 3 s
+const DATA_QUALITY_OPTIONS = {
+    block: 'quality',
+    defaults: DATA_QUALITY_DEFAULTS,
+    ranges: {
+        maxCatchUnheard: [0, Infinity],
+        rapidSelectionMs: [0, 3000],
+        maxRapidSelectionRate: [0, 1],
+        maxZeroPlaybackRate: [0, 1],
+        maxSameSideRate: [0, 1],
+        minSideTrials: [0, Infinity],
+        minDurationSeconds: [0, Infinity],
+        maxDurationSeconds: [0, Infinity],
+        minScore: [0, 1]
+    },
+    choices: { excludeOn: DATA_QUALITY_FLAGS },
+    ordered: [['minDurationSeconds', 'maxDurationSeconds']]
+};
+
+// Responses where a left or right card was chosen after listening (ratings and adjustments have no sides)
+const SIDED_RESPONSE_TYPES = ['choice', 'pair', 'abx'];
+
+const roundRate = (value, places = 3) => Math.round(value * 10 ** places) / 10 ** places;
+
+const DataQuality = {
+    FLAGS: DATA_QUALITY_FLAGS,
+    DEFAULTS: DATA_QUALITY_DEFAULTS,
+    OPTIONS: DATA_QUALITY_OPTIONS,
+
+    // Defaults with the study's overrides applied
+    resolveThresholds(thresholds = null) {
+        return { ...DATA_QUALITY_DEFAULTS, ...(thresholds || {}), excludeOn: [...(thresholds?.excludeOn || DATA_QUALITY_DEFAULTS.excludeOn)] };
+    },
+
+    _heard(response, side) {
+        return Array.isArray(response.playbackTimes?.[side]) && response.playbackTimes[side].length > 0;
+    },
+
+    /**
+     * Assess one session.
+     * @param {object[]} responses - Payload responses (selectedVersion 'left'/'right', playbackTimes, isCatch)
+     * @param {{rapidSelections?: Array<{question: number, latency: number}>, totalDuration?: number,
+     *          thresholds?: object, playbackTracked?: boolean, headphoneCheck?: object|null}} session
+     * @returns {{thresholds: object, rapidSelections: object[], checks: object, flags: string[], score: number,
+     *           excluded: boolean, exclusionReasons: string[]}}
+     */
+    assess(responses, { rapidSelections = [], totalDuration = null, thresholds = null, playbackTracked = true, headphoneCheck = null } = {}) {
+        const limits = DataQuality.resolveThresholds(thresholds);
+        const sided = responses.filter(response => SIDED_RESPONSE_TYPES.includes(response.responseType || 'choice'));
+        const choices = sided.filter(response => response.selectedVersion === 'left' || response.selectedVersion === 'right');
+        const catchTrials = sided.filter(response => response.isCatch);
+        const checks = {};
+
+        // 1. Catch trials answered without hearing both (identical) sides
+        if (playbackTracked && catchTrials.length > 0) {
+            const unheard = catchTrials.filter(response => !DataQuality._heard(response, 'left') || !DataQuality._heard(response, 'right'));
+            checks.catchUnheard = {
+                value: unheard.length,
+                trials: catchTrials.length,
+                questions: unheard.map(response => response.questionId),
+                flagged: unheard.length > limits.maxCatchUnheard,
+                penalty: unheard.length / catchTrials.length
+            };
+        } else {
+            checks.catchUnheard = { value: null, trials: catchTrials.length, flagged: false };
+        }
+
+        // 2. Choices made within rapidSelectionMs of starting the chosen version (one per question)
+        if (playbackTracked && sided.length > 0) {
+            const rapidQuestions = [...new Set(rapidSelections
+                .filter(selection => selection.latency < limits.rapidSelectionMs)
+                .map(selection => selection.question))];
+            const rate = rapidQuestions.length / sided.length;
+            checks.rapidSelections = {
+                value: roundRate(rate),
+                count: rapidQuestions.length,
+                trials: sided.length,
+                questions: rapidQuestions,
+                flagged: rate > limits.maxRapidSelectionRate,
+                penalty: Math.min(1, rate)
+            };
+        } else {
+            checks.rapidSelections = { value: null, count: 0, trials: sided.length, flagged: false };
+        }
+
+        // 3. Choices made without playing anything
+        if (playbackTracked && sided.length > 0) {
+            const silent = sided.filter(response => !Object.values(response.playbackTimes || {}).some(plays => plays.length > 0));
+            const rate = silent.length / sided.length;
+            checks.zeroPlayback = {
+                value: roundRate(rate),
+                count: silent.length,
+                trials: sided.length,
+                questions: silent.map(response => response.questionId),
+                flagged: rate > limits.maxZeroPlaybackRate,
+                penalty: rate
+            };
+        } else {
+            checks.zeroPlayback = { value: null, count: 0, trials: sided.length, flagged: false };
+        }
+
+        // 4. The same card on (almost) every choice
+        const left = choices.filter(response => response.selectedVersion === 'left').length;
+        if (choices.length >= limits.minSideTrials) {
+            const rate = Math.max(left, choices.length - left) / choices.length;
+            checks.constantSide = {
+                value: roundRate(rate),
+                side: left >= choices.length - left ? 'left' : 'right',
+                trials: choices.length,
+                flagged: rate > limits.maxSameSideRate,
+                // 50/50 costs nothing, a single side costs the full weight
+                penalty: (rate - 0.5) / 0.5
+            };
+        } else {
+            checks.constantSide = { value: null, trials: choices.length, flagged: false };
+        }
+
+        // 5. Too fast to have recorded and listened, or left open far too long
+        if (typeof totalDuration === 'number' && totalDuration > 0) {
+            const flagged = totalDuration < limits.minDurationSeconds || totalDuration > limits.maxDurationSeconds;
+            checks.implausibleDuration = { value: Math.round(totalDuration), flagged, penalty: flagged ? 1 : 0 };
+        } else {
+            checks.implausibleDuration = { value: null, flagged: false };
+        }
+
+        // 6. Listened over loudspeakers, going by the headphone screening test (see HeadphoneCheck)
+        if (headphoneCheck) {
+            checks.headphoneCheckFailed = {
+                value: headphoneCheck.passed ? 0 : 1,
+                attempts: headphoneCheck.attempts,
+                flagged: !headphoneCheck.passed,
+                penalty: 0
+            };
+        } else {
+            checks.headphoneCheckFailed = { value: null, flagged: false };
+        }
+
+        let lost = 0;
+        let weight = 0;
+        DATA_QUALITY_FLAGS.forEach(flag => {
+            const check = checks[flag];
+            if (check.value === null) return;
+            weight += DATA_QUALITY_WEIGHTS[flag];
+            lost += DATA_QUALITY_WEIGHTS[flag] * check.penalty;
+            delete check.penalty;
+        });
+        const score = weight > 0 ? roundRate(1 - lost / weight) : 1;
+
+        const flags = DATA_QUALITY_FLAGS.filter(flag => checks[flag].flagged);
+        const exclusionReasons = flags.filter(flag => limits.excludeOn.includes(flag));
+        if (score < limits.minScore) {
+            exclusionReasons.push('lowScore');
+        }
+
+        return {
+            thresholds: limits,
+            // Kept so the session can be re-assessed with a different rapidSelectionMs
+            rapidSelections: rapidSelections.map(({ question, latency }) => ({ question, latency })),
+            checks,
+            flags,
+            score,
+            excluded: exclusionReasons.length > 0,
+            exclusionReasons
+        };
+    },
+
+    /**
+     * Re-assess a received payload, e.g. with stricter thresholds than the study used.
+     * Rapid selections come from the payload's own dataQuality block when it has one.
+     */
+    assessPayload(payload, thresholds = null) {
+        const [major, minor] = String(payload.schemaVersion || '0.0').split('.').map(Number);
+        return DataQuality.assess(payload.responses || [], {
+            rapidSelections: payload.dataQuality?.rapidSelections || [],
+            totalDuration: payload.totalDuration,
+            thresholds: thresholds ?? payload.dataQuality?.thresholds ?? null,
+            // Playback (and with it selection latency) is only tracked from schema 1.3.0
+            playbackTracked: major > 1 || (major === 1 && minor >= 3),
+            headphoneCheck: payload.headphoneCheck || null
+        });
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DataQuality };
+} else {
+    window.DataQuality = DataQuality;
+}
@@ -143,37 +143,22 @@ class DeviceAwareProcessor {
         return settings;
     }
 
-    getDeviceAdjustments() {
-        const adjustments = {
-            pitchAdjustment: 0,
-            eqAdjustment: 0,
-            compressionAdjustment: 0,
-            formantAdjustment: 0
-        };
+    // Key into the preset's deviceAdjustments table
+    getDeviceProfile() {
+        if (this.deviceInfo.platform === 'iOS' || this.deviceInfo.platform === 'Android') {
+            return this.deviceInfo.platform;
+        }
+        return this.deviceInfo.isMobile ? 'mobile' : 'desktop';
+    }
 
-        if (this.deviceInfo.isMobile) {
-            // Mobile devices typically have smaller speakers and different acoustics
-            adjustments.pitchAdjustment = +10; // Mobile mics often need less aggressive processing
-            adjustments.eqAdjustment = -5; // Reduce EQ intensity
-            adjustments.compressionAdjustment = +5; // Slightly more compression for mobile playback
-            
-            if (this.deviceInfo.platform === 'iOS') {
-                // iOS devices have good built-in audio processing
-                adjustments.formantAdjustment = +5;
-            } else if (this.deviceInfo.platform === 'Android') {
-                // Android devices vary more in quality
-                adjustments.formantAdjustment = 0;
-                adjustments.eqAdjustment = -10;
-            }
-        } else {
-            // Desktop/laptop adjustments
-            adjustments.pitchAdjustment = -5; // Desktop mics may need more correction
-            adjustments.eqAdjustment = +5; // Can handle more aggressive EQ
-            adjustments.compressionAdjustment = 0; // Standard compression
-            adjustments.formantAdjustment = 0; // Standard formant correction
+    getDeviceAdjustments() {
+        // 🔧 FIXED: Offsets now live in the shared processing preset (scripts/processing-presets.js)
+        if (!window.processingPresets) {
+            console.warn('⚠️ Processing presets not loaded, no device adjustments applied');
+            return { pitchCents: 0, formant: 0, eqIntensity: 0, compRatio: 0 };
         }
 
-        return adjustments;
+        return window.processingPresets.getDeviceAdjustments(this.getDeviceProfile());
     }
 
     getRecordingConstraints() {
@@ -206,25 +191,17 @@ class DeviceAwareProcessor {
     }
 
     adjustProcessingForDevice(processingConfig, version) {
-        const adjustments = this.getDeviceAdjustments();
-        const adjusted = { ...processingConfig };
-
-        // Apply device-specific adjustments
-        adjusted.pitchShiftCents += adjustments.pitchAdjustment;
-        adjusted.formantCorrection += (adjustments.formantAdjustment / 100);
-        
-        // Adjust EQ based on device
-        if (adjusted.eq) {
-            adjusted.eq.low += adjustments.eqAdjustment / 10;
-            adjusted.eq.mid += adjustments.eqAdjustment / 15;
-            adjusted.eq.high += adjustments.eqAdjustment / 20;
+        if (!window.processingPresets) {
+            return { ...processingConfig };
         }
 
-        // Ensure values stay within reasonable bounds
-        adjusted.pitchShiftCents = Math.max(-300, Math.min(100, adjusted.pitchShiftCents));
-        adjusted.formantCorrection = Math.max(0.5, Math.min(1.2, adjusted.formantCorrection));
+        // 🔧 FIXED: Uses the preset's own keys (pitchCents, formant, shelf gains, comp ratio)
+        const adjusted = window.processingPresets.applyDeviceAdjustments(
+            processingConfig,
+            this.getDeviceAdjustments()
+        );
 
-        console.log(`Processing adjusted for ${this.deviceInfo.type} (${this.deviceInfo.platform}):`, adjusted);
+        console.log(`Processing adjusted for ${this.deviceInfo.type} (${this.getDeviceProfile()}) ${version}:`, adjusted);
         return adjusted;
     }
 
@@ -317,13 +294,7 @@ class DeviceAwareProcessor {
         // Apply device-specific settings to audio processor
         const performanceProfile = this.getPerformanceProfile();
         
-        // Update processing configurations with device adjustments
-        Object.keys(audioProcessor.processingConfigs).forEach(version => {
-            audioProcessor.processingConfigs[version] = this.adjustProcessingForDevice(
-                audioProcessor.processingConfigs[version], 
-                version
-            );
-        });
+        // Device adjustments are applied by the processors themselves when they load the preset
 
         // Set performance-based options
         audioProcessor.enableParallelProcessing = performanceProfile.enableParallelProcessing;
@@ -0,0 +1,260 @@
+/**
+ * Headphone Check - Antiphase screening test (Woods et al., 2017) run before the first question
+ * Each trial plays three 200 Hz tones; the participant picks the quietest. One tone is 6 dB
+ * quieter (the right answer), one is at full level with the right channel phase-inverted.
+ * Over headphones the inverted tone sounds as loud as the reference; over loudspeakers the two
+ * channels partly cancel in the air, so it sounds quietest and speaker listeners pick it.
+ * Tones are made with Web Audio oscillators, so the test needs no audio files.
+ *
+ * The study's "headphoneCheck" block decides what a failed check does (onFail):
+ *   exclude - the participant can't go on to the quiz, now or after a reload (see rememberScreenOut)
+ *   warn    - the participant is told, continues, and the session is flagged
+ *   flag    - the participant continues unaware and the session is flagged
+ */
+
+const HEADPHONE_CHECK_DEFAULTS = {
+    enabled: true,
+    onFail: 'warn',
+    trials: 6,
+    passCount: 5,          // correct trials needed to pass an attempt
+    maxAttempts: 2,
+    frequency: 200,        // Hz; low tones cancel best between loudspeakers
+    levelDb: -20           // reference tone level in dBFS
+};
+
+const HEADPHONE_CHECK_OPTIONS = {
+    block: 'headphoneCheck',
+    defaults: HEADPHONE_CHECK_DEFAULTS,
+    ranges: {
+        trials: [1, 20],
+        passCount: [1, 20],
+        maxAttempts: [1, 5],
+        frequency: [100, 1000],
+        levelDb: [-40, -6]
+    },
+    choices: { onFail: ['exclude', 'warn', 'flag'] },
+    integers: ['trials', 'passCount', 'maxAttempts'],
+    ordered: [['passCount', 'trials']]
+};
+
+// The three tones of a trial, in the order they are shuffled from
+const HEADPHONE_TONES = ['reference', 'quiet', 'antiphase'];
+
+const TONE_SECONDS = 1;
+const TONE_GAP_SECONDS = 0.5;
+const TONE_RAMP_SECONDS = 0.1;
+const QUIET_TONE_DB = -6;
+const CALIBRATION_SECONDS = 3;
+
+const fromDb = (db) => 10 ** (db / 20);
+
+// Studies this browser was screened out of: { [studyId]: { sessionId, screenedOutAt, result } }
+const SCREEN_OUT_STORAGE_KEY = 'voiceQuizScreenOuts';
+
+class HeadphoneCheck {
+    /**
+     * @param {object|null} options - The study's headphoneCheck block, already checked against HEADPHONE_CHECK_OPTIONS
+     * @param {function(): number} random - Source for the tone order (tests can pass a seeded one)
+     */
+    constructor(options = null, random = Math.random) {
+        this.options = { ...HEADPHONE_CHECK_DEFAULTS, ...(options || {}) };
+        this.random = random;
+        this.reset();
+    }
+
+    // Start over with no attempts made
+    reset() {
+        this.attempts = [];
+    }
+
+    get currentAttempt() {
+        return this.attempts[this.attempts.length - 1] || null;
+    }
+
+    // The trial waiting for an answer (created on first call), starting a new attempt when none is running; null once finished
+    nextTrial() {
+        let attempt = this.currentAttempt;
+        if (!attempt || attempt.complete) {
+            if (this.finished) return null;
+            attempt = { trials: [], correct: 0, complete: false, passed: false };
+            this.attempts.push(attempt);
+        }
+        if (attempt.trials.length === 0 || attempt.trials[attempt.trials.length - 1].response !== null) {
+            attempt.trials.push(this.createTrial());
+        }
+        return attempt.trials[attempt.trials.length - 1];
+    }
+
+    get passed() {
+        return this.attempts.some(attempt => attempt.passed);
+    }
+
+    // Passed, or out of attempts
+    get finished() {
+        const last = this.currentAttempt;
+        return this.passed || (this.attempts.length >= this.options.maxAttempts && !!last && last.complete);
+    }
+
+    createTrial() {
+        const order = [...HEADPHONE_TONES];
+        for (let i = order.length - 1; i > 0; i--) {
+            const j = Math.floor(this.random() * (i + 1));
+            [order[i], order[j]] = [order[j], order[i]];
+        }
+        return { order, answer: order.indexOf('quiet'), response: null };
+    }
+
+    /**
+     * Record the participant's pick for the current trial.
+     * @param {number} choice - Index (0-2) of the tone they heard as quietest
+     * @returns {{correct: boolean, trial: number, attemptComplete: boolean, attemptPassed: boolean, finished: boolean}}
+     */
+    respond(choice) {
+        if (!Number.isInteger(choice) || choice < 0 || choice >= HEADPHONE_TONES.length) {
+            throw new Error(`Invalid headphone check response: ${choice}`);
+        }
+        const trial = this.nextTrial();
+        if (!trial) {
+            throw new Error('Headphone check is already finished');
+        }
+
+        const attempt = this.currentAttempt;
+        trial.response = choice;
+        const correct = choice === trial.answer;
+        if (correct) attempt.correct++;
+
+        if (attempt.trials.length >= this.options.trials) {
+            attempt.complete = true;
+            attempt.passed = attempt.correct >= this.options.passCount;
+        }
+        return {
+            correct,
+            trial: attempt.trials.length,
+            attemptComplete: attempt.complete,
+            attemptPassed: attempt.passed,
+            finished: this.finished
+        };
+    }
+
+    /**
+     * What goes into the session once the check is finished:
+     * { passed, attempts, correct (in the last attempt), trials (per attempt), onFail }
+     */
+    get result() {
+        const last = this.currentAttempt;
+        return {
+            passed: this.passed,
+            attempts: this.attempts.length,
+            correct: last ? last.correct : 0,
+            trials: this.options.trials,
+            onFail: this.options.onFail
+        };
+    }
+
+    /**
+     * Remember that an onFail "exclude" check screened this browser out of a study, so a reload
+     * doesn't hand out fresh attempts.
+     * @param {string} studyId
+     * @param {{sessionId: string, screenedOutAt: string, result: object}} screenOut
+     */
+    static rememberScreenOut(studyId, screenOut) {
+        try {
+            const screenOuts = HeadphoneCheck._loadScreenOuts();
+            screenOuts[studyId] = screenOut;
+            localStorage.setItem(SCREEN_OUT_STORAGE_KEY, JSON.stringify(screenOuts));
+        } catch (error) {
+            console.error('Failed to save headphone screen-out:', error);
+        }
+    }
+
+    // The screen-out remembered for a study, or null
+    static recallScreenOut(studyId) {
+        return HeadphoneCheck._loadScreenOuts()[studyId] || null;
+    }
+
+    static _loadScreenOuts() {
+        try {
+            return JSON.parse(localStorage.getItem(SCREEN_OUT_STORAGE_KEY)) || {};
+        } catch (error) {
+            console.error('Failed to load headphone screen-outs:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Schedule one trial's three tones.
+     * @param {AudioContext} audioContext
+     * @param {{order: string[]}} trial
+     * @returns {{ended: Promise<void>, stop: function(): void}}
+     */
+    play(audioContext, trial, destination = audioContext.destination) {
+        const start = audioContext.currentTime + 0.1;
+        const tones = trial.order.map((tone, index) => this._tone(audioContext, destination, {
+            start: start + index * (TONE_SECONDS + TONE_GAP_SECONDS),
+            duration: TONE_SECONDS,
+            level: this.options.levelDb + (tone === 'quiet' ? QUIET_TONE_DB : 0),
+            antiphase: tone === 'antiphase'
+        }));
+        return HeadphoneCheck._playback(tones);
+    }
+
+    // An in-phase tone at the reference level, to set a comfortable volume before the trials
+    playCalibration(audioContext, destination = audioContext.destination) {
+        const tone = this._tone(audioContext, destination, {
+            start: audioContext.currentTime + 0.1,
+            duration: CALIBRATION_SECONDS,
+            level: this.options.levelDb,
+            antiphase: false
+        });
+        return HeadphoneCheck._playback([tone]);
+    }
+
+    // Oscillator → ramped gain → left and right (right inverted for antiphase) → stereo merger
+    _tone(audioContext, destination, { start, duration, level, antiphase }) {
+        const oscillator = audioContext.createOscillator();
+        oscillator.type = 'sine';
+        oscillator.frequency.value = this.options.frequency;
+
+        const envelope = audioContext.createGain();
+        const peak = fromDb(level);
+        envelope.gain.setValueAtTime(0, start);
+        envelope.gain.linearRampToValueAtTime(peak, start + TONE_RAMP_SECONDS);
+        envelope.gain.setValueAtTime(peak, start + duration - TONE_RAMP_SECONDS);
+        envelope.gain.linearRampToValueAtTime(0, start + duration);
+
+        const right = audioContext.createGain();
+        right.gain.value = antiphase ? -1 : 1;
+        const merger = audioContext.createChannelMerger(2);
+
+        oscillator.connect(envelope);
+        envelope.connect(merger, 0, 0);
+        envelope.connect(right);
+        right.connect(merger, 0, 1);
+        merger.connect(destination);
+
+        oscillator.start(start);
+        oscillator.stop(start + duration);
+        const ended = new Promise(resolve => {
+            oscillator.onended = () => {
+                merger.disconnect();
+                resolve();
+            };
+        });
+        return { oscillator, ended };
+    }
+
+    static _playback(tones) {
+        return {
+            ended: Promise.all(tones.map(tone => tone.ended)).then(() => undefined),
+            stop: () => tones.forEach(({ oscillator }) => {
+                try {
+                    oscillator.stop();
+                } catch (error) {
+                    // Already stopped
+                }
+            })
+        };
+    }
+}
+
+export { HeadphoneCheck, HEADPHONE_CHECK_DEFAULTS, HEADPHONE_CHECK_OPTIONS };
@@ -0,0 +1,118 @@
+/**
+ * Mic Preflight - Checks the participant's microphone and room before the first question
+ * The preflight screen shows a live level meter, records a short test take the participant
+ * can play back, and assesses it with the same metrics as the per-question quality gate
+ * (RecordingQuality), plus one check of its own: how loud the room is between words.
+ * The quiz only moves on to the first question once a test take passes (unless the study
+ * sets "preflight": { "required": false }).
+ */
+
+import { VoiceActivityDetector } from './voice-activity.js';
+import { RecordingQuality } from './recording-quality.js';
+
+const PREFLIGHT_DEFAULTS = {
+    required: true,          // false lets participants continue without a passing test take
+    testSeconds: 5,          // length of the test recording
+    minSpeechSeconds: 2,     // a test take only needs one sentence, not a full answer
+    maxNoiseFloorDb: -45     // quietest 10% of the take louder than this = noisy room
+};
+
+const PREFLIGHT_OPTIONS = {
+    block: 'preflight',
+    defaults: PREFLIGHT_DEFAULTS,
+    ranges: {
+        testSeconds: [2, 30],
+        minSpeechSeconds: [0, 30],
+        maxNoiseFloorDb: [-100, 0]
+    },
+    ordered: [['minSpeechSeconds', 'testSeconds']]
+};
+
+const ROOM_NOISE_GUIDANCE = 'Your room is noisy even when you aren\'t speaking. Turn off fans, TVs or music, or move somewhere quieter.';
+
+// Level meter scale and ballistics
+const METER_FLOOR_DB = -60;
+const METER_CLIP_DB = -1;
+const PEAK_HOLD_MS = 1000;
+const PEAK_FALL_DB_PER_SECOND = 20;
+
+const toDb = (value) => 20 * Math.log10(value + 1e-10);
+
+class MicPreflight {
+    /**
+     * @param {object|null} options - The study's preflight block, already checked against PREFLIGHT_OPTIONS
+     * @param {{voiceActivity?: VoiceActivityDetector, recordingQuality?: RecordingQuality}} checks
+     *   The app's detector and quality gate, so the test take is judged like a real answer
+     */
+    constructor(options = null, { voiceActivity = new VoiceActivityDetector(), recordingQuality = new RecordingQuality() } = {}) {
+        this.options = { ...PREFLIGHT_DEFAULTS, ...(options || {}) };
+        this.voiceActivity = voiceActivity;
+        // Same thresholds as the study's answers, except a shorter test take is enough and a failure always counts
+        this.quality = new RecordingQuality({
+            ...recordingQuality.thresholds,
+            minSpeechSeconds: this.options.minSpeechSeconds,
+            enforce: true
+        });
+    }
+
+    // Position (0-1) of a dBFS level on the meter
+    static meterPosition(db) {
+        return Math.min(1, Math.max(0, (db - METER_FLOOR_DB) / -METER_FLOOR_DB));
+    }
+
+    /**
+     * Live meter for the microphone: feed it the latest block every few ms.
+     * update() returns { rmsDb, peakDb, peakHoldDb, clipping }; the held peak stays up for
+     * PEAK_HOLD_MS, then falls, and clipping stays set for as long as the held peak is near full scale.
+     */
+    createMeter() {
+        let peakHoldDb = METER_FLOOR_DB;
+        let heldMs = 0;
+
+        return {
+            update: (samples, elapsedMs) => {
+                let peak = 0;
+                let sumSquares = 0;
+                for (let i = 0; i < samples.length; i++) {
+                    const magnitude = Math.abs(samples[i]);
+                    if (magnitude > peak) peak = magnitude;
+                    sumSquares += samples[i] * samples[i];
+                }
+                const rmsDb = Math.max(METER_FLOOR_DB, toDb(Math.sqrt(sumSquares / Math.max(1, samples.length))));
+                const peakDb = Math.max(METER_FLOOR_DB, toDb(peak));
+
+                if (peakDb >= peakHoldDb) {
+                    peakHoldDb = peakDb;
+                    heldMs = 0;
+                } else {
+                    heldMs += elapsedMs;
+                    if (heldMs > PEAK_HOLD_MS) {
+                        peakHoldDb = Math.max(peakDb, peakHoldDb - PEAK_FALL_DB_PER_SECOND * elapsedMs / 1000);
+                    }
+                }
+                return { rmsDb, peakDb, peakHoldDb, clipping: peakHoldDb >= METER_CLIP_DB };
+            }
+        };
+    }
+
+    /**
+     * Judge a test take.
+     * @param {Float32Array} samples - Mono samples of the whole test take
+     * @param {number} sampleRate
+     * @returns {{metrics: object, problems: Array<{check: string, message: string}>, passed: boolean}}
+     *   metrics as RecordingQuality.measure(); problems may include 'roomNoise' besides its checks
+     */
+    assess(samples, sampleRate) {
+        const detection = this.voiceActivity.detect(samples, sampleRate);
+        const { metrics, problems } = this.quality.assess(samples, sampleRate, detection);
+
+        // 'noisy' already tells the participant to find a quieter room
+        const noisy = problems.some(problem => problem.check === 'noisy');
+        if (!noisy && metrics.noiseFloorDb !== null && metrics.noiseFloorDb > this.options.maxNoiseFloorDb) {
+            problems.push({ check: 'roomNoise', message: ROOM_NOISE_GUIDANCE });
+        }
+        return { metrics, problems, passed: problems.length === 0 };
+    }
+}
+
+export { MicPreflight, PREFLIGHT_DEFAULTS, PREFLIGHT_OPTIONS };
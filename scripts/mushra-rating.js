@@ -0,0 +1,257 @@
+/**
+ * MUSHRA Rating - Multi-stimulus 0-100 rating of every version of one recording
+ * Stimuli: raw, each processed condition, a hidden reference (a second copy of raw,
+ * so raw vs reference ratings show how consistent the participant is) and a
+ * low-passed anchor that should land at the bottom of the scale.
+ *
+ * All stimuli loop in sync through one AudioContext; switching keeps the playback
+ * position and crossfades, so participants compare the same words instantly.
+ */
+
+const SWITCH_FADE_SECONDS = 0.015;
+const DEFAULT_RATING = 50;
+
+// ITU-R BS.1534 scale labels, top to bottom
+const SCALE_LABELS = ['Excellent', 'Good', 'Fair', 'Poor', 'Bad'];
+
+class MushraRating {
+    constructor(audioContext) {
+        this.audioContext = audioContext;
+        this.buffers = {};
+        this.order = [];
+        this.ratings = {};
+        this.rated = new Set();
+        this.playCounts = {};
+        this.current = null;
+        this.duration = 0;
+        this.onChange = null;
+        this.container = null;
+
+        console.log('🎚️ MushraRating created');
+    }
+
+    /**
+     * Low-pass the raw recording to make the anchor (3.5 kHz is the usual MUSHRA anchor).
+     * @returns {Promise<Float32Array>}
+     */
+    static async createAnchor(rawData, sampleRate, cutoffHz = 3500) {
+        const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+
+        if (OfflineContext) {
+            const context = new OfflineContext(1, rawData.length, sampleRate);
+            const buffer = context.createBuffer(1, rawData.length, sampleRate);
+            buffer.copyToChannel(rawData, 0);
+
+            const source = context.createBufferSource();
+            source.buffer = buffer;
+
+            // Two cascaded Butterworth sections for a steep enough cut
+            let previous = source;
+            for (let i = 0; i < 2; i++) {
+                const filter = context.createBiquadFilter();
+                filter.type = 'lowpass';
+                filter.frequency.value = cutoffHz;
+                filter.Q.value = Math.SQRT1_2;
+                previous.connect(filter);
+                previous = filter;
+            }
+            previous.connect(context.destination);
+
+            source.start(0);
+            const rendered = await context.startRendering();
+            return new Float32Array(rendered.getChannelData(0));
+        }
+
+        // Fallback: four one-pole stages
+        const alpha = 1 - Math.exp(-2 * Math.PI * cutoffHz / sampleRate);
+        const output = new Float32Array(rawData);
+        for (let stage = 0; stage < 4; stage++) {
+            let state = 0;
+            for (let i = 0; i < output.length; i++) {
+                state += alpha * (output[i] - state);
+                output[i] = state;
+            }
+        }
+        return output;
+    }
+
+    /**
+     * @param {Object<string, Float32Array>} stimuli - Samples keyed by stimulus id
+     * @param {string[]} order - Display order (already shuffled by the study protocol)
+     * @param {number} sampleRate - Sample rate of every stimulus
+     */
+    load(stimuli, order, sampleRate) {
+        this.cleanup();
+
+        this.order = order.filter(id => stimuli[id]);
+        this.duration = Math.min(...this.order.map(id => stimuli[id].length)) / sampleRate;
+
+        this.order.forEach(id => {
+            const samples = stimuli[id];
+            const buffer = this.audioContext.createBuffer(1, samples.length, sampleRate);
+            buffer.copyToChannel(samples, 0);
+            this.buffers[id] = buffer;
+            this.ratings[id] = DEFAULT_RATING;
+            this.playCounts[id] = 0;
+        });
+
+        console.log(`🎚️ Loaded ${this.order.length} stimuli (${this.duration.toFixed(1)}s each)`);
+    }
+
+    // Blind labels only: "Sample A", "Sample B", ...
+    static labelFor(index) {
+        return `Sample ${String.fromCharCode(65 + index)}`;
+    }
+
+    render(container, onChange = null) {
+        this.container = container;
+        this.onChange = onChange;
+        container.innerHTML = '';
+
+        const scale = document.createElement('div');
+        scale.className = 'rating-scale';
+        SCALE_LABELS.forEach(label => {
+            const span = document.createElement('span');
+            span.textContent = label;
+            scale.appendChild(span);
+        });
+        container.appendChild(scale);
+
+        this.order.forEach((id, index) => {
+            const row = document.createElement('div');
+            row.className = 'rating-row';
+            row.dataset.index = index;
+
+            const label = document.createElement('span');
+            label.className = 'rating-label';
+            label.textContent = MushraRating.labelFor(index);
+
+            const play = document.createElement('button');
+            play.className = 'play-button';
+            play.textContent = '▶️';
+            play.setAttribute('aria-label', `Play ${MushraRating.labelFor(index)}`);
+            play.onclick = () => this.toggle(id);
+
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.min = '0';
+            slider.max = '100';
+            slider.step = '1';
+            slider.value = String(this.ratings[id]);
+            slider.className = 'rating-slider';
+            slider.setAttribute('aria-label', `Rating for ${MushraRating.labelFor(index)}`);
+
+            const value = document.createElement('span');
+            value.className = 'rating-value';
+            value.textContent = '–';
+
+            slider.oninput = () => {
+                this.ratings[id] = parseInt(slider.value, 10);
+                this.rated.add(id);
+                value.textContent = slider.value;
+                row.classList.add('rated');
+                if (this.onChange) this.onChange(this.isComplete());
+            };
+
+            row.append(label, play, slider, value);
+            container.appendChild(row);
+        });
+    }
+
+    toggle(id) {
+        if (this.current && this.current.id === id) {
+            this.stop();
+        } else {
+            this.play(id);
+        }
+    }
+
+    // Start `id` at the position the previous stimulus had reached
+    play(id) {
+        const buffer = this.buffers[id];
+        if (!buffer) return;
+
+        if (this.audioContext.state === 'suspended') {
+            this.audioContext.resume();
+        }
+
+        const now = this.audioContext.currentTime;
+        const position = this.current
+            ? (this.current.offset + now - this.current.startedAt) % this.duration
+            : 0;
+
+        this._fadeOut(this.current, now);
+
+        const source = this.audioContext.createBufferSource();
+        source.buffer = buffer;
+        source.loop = true;
+        source.loopEnd = this.duration;
+
+        const gain = this.audioContext.createGain();
+        gain.gain.setValueAtTime(0, now);
+        gain.gain.linearRampToValueAtTime(1, now + SWITCH_FADE_SECONDS);
+
+        source.connect(gain);
+        gain.connect(this.audioContext.destination);
+        source.start(now, position);
+
+        this.current = { id, source, gain, startedAt: now, offset: position };
+        this.playCounts[id]++;
+        this._updatePlayingState();
+    }
+
+    stop() {
+        if (!this.current) return;
+        this._fadeOut(this.current, this.audioContext.currentTime);
+        this.current = null;
+        this._updatePlayingState();
+    }
+
+    // Every stimulus heard at least once and every slider moved
+    isComplete() {
+        return this.order.every(id => this.playCounts[id] > 0 && this.rated.has(id));
+    }
+
+    getResult() {
+        return {
+            ratings: { ...this.ratings },
+            stimulusOrder: [...this.order],
+            playCounts: { ...this.playCounts }
+        };
+    }
+
+    cleanup() {
+        this.stop();
+        this.buffers = {};
+        this.order = [];
+        this.ratings = {};
+        this.rated = new Set();
+        this.playCounts = {};
+        if (this.container) {
+            this.container.innerHTML = '';
+        }
+    }
+
+    _fadeOut(playing, now) {
+        if (!playing) return;
+        playing.gain.gain.cancelScheduledValues(now);
+        playing.gain.gain.setValueAtTime(playing.gain.gain.value, now);
+        playing.gain.gain.linearRampToValueAtTime(0, now + SWITCH_FADE_SECONDS);
+        playing.source.stop(now + SWITCH_FADE_SECONDS);
+    }
+
+    _updatePlayingState() {
+        if (!this.container) return;
+        this.container.querySelectorAll('.rating-row').forEach(row => {
+            const isPlaying = !!this.current && this.order[row.dataset.index] === this.current.id;
+            const button = row.querySelector('.play-button');
+            button.classList.toggle('playing', isPlaying);
+            button.textContent = isPlaying ? '⏸️' : '▶️';
+        });
+        if (this.onChange) this.onChange(this.isComplete());
+    }
+}
+
+// Export for both ES6 modules and global use
+export { MushraRating };
+window.MushraRating = MushraRating;
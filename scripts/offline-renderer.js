@@ -0,0 +1,177 @@
+/**
+ * Offline Renderer - Builds the light/medium/deep chains from native Web Audio nodes
+ * Renders faster than realtime in an OfflineAudioContext, so every participant
+ * hears output that is deterministic for a given recording and processingSettings table
+ */
+
+class OfflineRenderer {
+    constructor(processingSettings, pitchShifter = null) {
+        this.processingSettings = processingSettings;
+        this.pitchShifter = pitchShifter;
+
+        console.log('🎛️ OfflineRenderer created');
+    }
+
+    static isSupported() {
+        return typeof window !== 'undefined' &&
+            !!(window.OfflineAudioContext || window.webkitOfflineAudioContext);
+    }
+
+    /**
+     * Render every processed version of a recording.
+     * @param {Float32Array} rawData - Mono recording
+     * @param {number} sampleRate - Sample rate of rawData
+     * @returns {Promise<{raw: Float32Array, light: Float32Array, medium: Float32Array, deep: Float32Array}>}
+     */
+    async renderAll(rawData, sampleRate) {
+        const startTime = performance.now();
+        const versions = { raw: rawData };
+
+        // Sequential on purpose: one OfflineAudioContext alive at a time keeps memory flat on phones
+        for (const mode of ['light', 'medium', 'deep']) {
+            versions[mode] = await this.renderVersion(mode, rawData, sampleRate);
+        }
+
+        console.log(`✅ Offline rendering completed in ${Math.round(performance.now() - startTime)}ms`);
+        return versions;
+    }
+
+    async renderVersion(mode, rawData, sampleRate) {
+        const settings = this.processingSettings[mode];
+        if (!settings) {
+            throw new Error(`Unknown processing mode: ${mode}`);
+        }
+
+        // Pitch shifting has no native node, so it runs before the filter graph
+        const source = this.pitchShifter && settings.pitchCents
+            ? this.pitchShifter.process(rawData, sampleRate, settings)
+            : rawData;
+
+        return this.renderShiftedVersion(mode, source, rawData, sampleRate);
+    }
+
+    // Filter chain + loudness match for a version whose pitch shift was done elsewhere (e.g. in a worker)
+    async renderShiftedVersion(mode, shifted, rawData, sampleRate, settings = this.processingSettings[mode]) {
+        if (!settings) {
+            throw new Error(`Unknown processing mode: ${mode}`);
+        }
+
+        const rendered = OfflineRenderer.isSupported()
+            ? await this.renderChain(shifted, sampleRate, settings)
+            : new Float32Array(shifted);
+        const matched = this.matchLoudness(rendered, rawData);
+
+        console.log(`🎛️ ${mode} rendered: ${settings.pitchCents} cents, ${settings.hpFreq}-${settings.lpFreq}Hz`);
+        return matched;
+    }
+
+    // Run samples through the native node chain for one settings entry
+    async renderChain(samples, sampleRate, settings) {
+        const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        const context = new OfflineContext(1, samples.length, sampleRate);
+
+        const buffer = context.createBuffer(1, samples.length, sampleRate);
+        buffer.copyToChannel(samples, 0);
+
+        const source = context.createBufferSource();
+        source.buffer = buffer;
+
+        const nodes = this.buildChain(context, settings);
+        let previous = source;
+        for (const node of nodes) {
+            previous.connect(node);
+            previous = node;
+        }
+        previous.connect(context.destination);
+
+        source.start(0);
+        const result = await context.startRendering();
+
+        // Copy out so the rendered AudioBuffer can be garbage collected
+        return new Float32Array(result.getChannelData(0));
+    }
+
+    // Same stage order as VoiceProcessor.processVersion() in voice-processor-worklet.js
+    buildChain(context, settings) {
+        const nodes = [];
+
+        const biquad = (type, frequency, options = {}) => {
+            const filter = context.createBiquadFilter();
+            filter.type = type;
+            filter.frequency.value = frequency;
+            if (options.Q !== undefined) filter.Q.value = options.Q;
+            if (options.gain !== undefined) filter.gain.value = options.gain;
+            return filter;
+        };
+
+        if (settings.hpFreq) {
+            nodes.push(biquad('highpass', settings.hpFreq, { Q: Math.SQRT1_2 }));
+        }
+
+        if (settings.lpFreq) {
+            nodes.push(biquad('lowpass', settings.lpFreq, { Q: Math.SQRT1_2 }));
+        }
+
+        if (settings.shelfLow) {
+            nodes.push(biquad('lowshelf', settings.shelfLow.freq, { gain: settings.shelfLow.gain }));
+        }
+
+        if (settings.shelfHigh) {
+            nodes.push(biquad('highshelf', settings.shelfHigh.freq, { gain: settings.shelfHigh.gain }));
+        }
+
+        if (settings.notch) {
+            nodes.push(biquad('notch', settings.notch.freq, { Q: settings.notch.q || 1.0 }));
+        }
+
+        if (settings.vibro) {
+            nodes.push(biquad('peaking', settings.vibro.freq || 60, {
+                Q: settings.vibro.q || 1.0,
+                gain: settings.vibro.gain || 6
+            }));
+        }
+
+        if (settings.comp) {
+            const compressor = context.createDynamicsCompressor();
+            compressor.threshold.value = settings.comp.threshold;
+            compressor.ratio.value = settings.comp.ratio;
+            compressor.knee.value = settings.comp.knee || 0;
+            compressor.attack.value = 0.003;
+            compressor.release.value = 0.25;
+            nodes.push(compressor);
+        }
+
+        return nodes;
+    }
+
+    // Match the raw loudness so participants compare timbre, not volume
+    matchLoudness(processed, reference) {
+        let processedEnergy = 0;
+        let referenceEnergy = 0;
+        let peak = 0;
+
+        for (let i = 0; i < processed.length; i++) {
+            processedEnergy += processed[i] * processed[i];
+            referenceEnergy += reference[i] * reference[i];
+        }
+
+        if (processedEnergy === 0) return processed;
+
+        let gain = Math.sqrt(referenceEnergy / processedEnergy);
+        for (let i = 0; i < processed.length; i++) {
+            peak = Math.max(peak, Math.abs(processed[i] * gain));
+        }
+
+        // Never push the matched version into clipping
+        if (peak > 0.99) gain *= 0.99 / peak;
+
+        for (let i = 0; i < processed.length; i++) {
+            processed[i] *= gain;
+        }
+        return processed;
+    }
+}
+
+// Export for both ES6 modules and global use
+export { OfflineRenderer };
+window.OfflineRenderer = OfflineRenderer;
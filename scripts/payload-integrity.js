@@ -0,0 +1,188 @@
+/**
+ * Payload Integrity - Schema validation and HMAC signing of webhook payloads
+ * Shared by the quiz (classic script, window.PayloadIntegrity) and by
+ * tools/verify-payload.js (Node, require), so both sides check exactly the same rules.
+ *
+ * Signature: HMAC-SHA256 (WebCrypto) over the canonical JSON of the payload without its
+ * `signature` field, keyed with the study's signing secret. Canonical JSON sorts object
+ * keys, so a payload that was re-formatted after receipt still verifies.
+ * The secret ships to the browser with the study definition: this detects tampered or
+ * hand-made payloads and payloads from other studies, not a determined attacker.
+ */
+
+const SIGNATURE_ALGORITHM = 'HMAC-SHA256';
+const SIGNATURE_HEADER = 'X-Quiz-Signature';
+const MIN_SECRET_LENGTH = 32;
+// What the bundled studies ship with; each deployment replaces it with its own secret
+const PLACEHOLDER_SECRET = 'REPLACE-ME-with-a-per-deployment-signing-secret';
+
+const PayloadIntegrity = {
+    SIGNATURE_HEADER,
+    MIN_SECRET_LENGTH,
+    PLACEHOLDER_SECRET,
+
+    /**
+     * Validate against the JSON Schema subset our schemas use: type, enum, const, required,
+     * properties, additionalProperties, items, minItems, minimum, maximum, minLength, pattern.
+     * @returns {string[]} Human-readable problems; empty when valid
+     */
+    validate(schema, value, path = 'payload') {
+        const errors = [];
+
+        if (schema.type !== undefined) {
+            const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            if (!types.some(type => PayloadIntegrity._isType(value, type))) {
+                errors.push(`${path} must be ${types.join(' or ')}`);
+                return errors;
+            }
+        }
+        if (schema.const !== undefined && value !== schema.const) {
+            errors.push(`${path} must be ${JSON.stringify(schema.const)}`);
+        }
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push(`${path} must be one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}`);
+        }
+
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} must be >= ${schema.minimum}`);
+            if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} must be <= ${schema.maximum}`);
+        }
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                errors.push(`${path} must be at least ${schema.minLength} characters`);
+            }
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+                errors.push(`${path} must match ${schema.pattern}`);
+            }
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                errors.push(`${path} must have at least ${schema.minItems} items`);
+            }
+            if (schema.items) {
+                value.forEach((item, index) => {
+                    errors.push(...PayloadIntegrity.validate(schema.items, item, `${path}[${index}]`));
+                });
+            }
+        } else if (value !== null && typeof value === 'object') {
+            // undefined members disappear in JSON, so they count as absent
+            (schema.required || []).forEach(key => {
+                if (value[key] === undefined) errors.push(`${path}.${key} is required`);
+            });
+            const properties = schema.properties || {};
+            Object.entries(value).forEach(([key, child]) => {
+                if (child === undefined) return;
+                if (properties[key]) {
+                    errors.push(...PayloadIntegrity.validate(properties[key], child, `${path}.${key}`));
+                } else if (schema.additionalProperties === false) {
+                    errors.push(`${path}.${key} is not allowed by the schema`);
+                } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                    errors.push(...PayloadIntegrity.validate(schema.additionalProperties, child, `${path}.${key}`));
+                }
+            });
+        }
+
+        return errors;
+    },
+
+    _isType(value, type) {
+        switch (type) {
+            case 'null': return value === null;
+            case 'array': return Array.isArray(value);
+            case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+            case 'integer': return Number.isInteger(value);
+            case 'number': return typeof value === 'number' && Number.isFinite(value);
+            default: return typeof value === type;
+        }
+    },
+
+    // JSON with object keys sorted at every level; undefined members dropped like JSON.stringify does
+    canonicalize(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => (item === undefined ? 'null' : PayloadIntegrity.canonicalize(item))).join(',')}]`;
+        }
+        if (value !== null && typeof value === 'object') {
+            return `{${Object.keys(value).sort()
+                .filter(key => value[key] !== undefined)
+                .map(key => `${JSON.stringify(key)}:${PayloadIntegrity.canonicalize(value[key])}`)
+                .join(',')}}`;
+        }
+        return JSON.stringify(value);
+    },
+
+    async hmac(secret, message) {
+        const encoder = new TextEncoder();
+        const key = await crypto.subtle.importKey(
+            'raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+        );
+        const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(message));
+        return Array.from(new Uint8Array(signature), byte => byte.toString(16).padStart(2, '0')).join('');
+    },
+
+    /**
+     * @param {object} payload - Unsigned payload
+     * @param {{keyId: string, secret: string}} signingKey
+     * @returns {Promise<object>} Copy of the payload with a `signature` block
+     */
+    async sign(payload, signingKey) {
+        const { signature, ...unsigned } = payload;
+        const value = await PayloadIntegrity.hmac(signingKey.secret, PayloadIntegrity.canonicalize(unsigned));
+        return {
+            ...unsigned,
+            signature: { algorithm: SIGNATURE_ALGORITHM, keyId: signingKey.keyId, value }
+        };
+    },
+
+    // Header value for HTTP sinks; the same HMAC as payload.signature
+    headerValue(payload) {
+        const signature = payload.signature;
+        return signature ? `keyId=${signature.keyId}, sha256=${signature.value}` : null;
+    },
+
+    /**
+     * Check a received payload: schema first, then the signature when a secret is given.
+     * @param {object} payload
+     * @param {{schema?: object, secret?: string}} options
+     * @returns {Promise<{valid: boolean, schemaErrors: string[], signature: string}>}
+     *          signature is 'valid', 'invalid', 'missing' or 'unchecked' (no secret given)
+     */
+    async verify(payload, { schema = null, secret = null } = {}) {
+        const schemaErrors = schema ? PayloadIntegrity.validate(schema, payload) : [];
+
+        let signature = 'unchecked';
+        if (!payload || !payload.signature) {
+            signature = 'missing';
+        } else if (secret) {
+            if (payload.signature.algorithm !== SIGNATURE_ALGORITHM) {
+                signature = 'invalid';
+            } else {
+                const { signature: received, ...unsigned } = payload;
+                const expected = await PayloadIntegrity.hmac(secret, PayloadIntegrity.canonicalize(unsigned));
+                signature = PayloadIntegrity._constantTimeEqual(expected, received.value) ? 'valid' : 'invalid';
+            }
+        }
+
+        return {
+            valid: schemaErrors.length === 0 && (signature === 'valid' || (!secret && signature !== 'missing')),
+            schemaErrors,
+            signature
+        };
+    },
+
+    _constantTimeEqual(a, b) {
+        if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
+        let difference = 0;
+        for (let i = 0; i < a.length; i++) {
+            difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+        }
+        return difference === 0;
+    }
+};
+
+// Export for Node (tools/verify-payload.js) and browser global use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PayloadIntegrity };
+} else {
+    window.PayloadIntegrity = PayloadIntegrity;
+}
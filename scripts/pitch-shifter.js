@@ -0,0 +1,257 @@
+/**
+ * Pitch Shifter - Pure JavaScript TD-PSOLA with formant preservation
+ * Used when the Superpowered PitchShift is not available in the processing path
+ */
+
+class PitchShifter {
+    constructor(options = {}) {
+        this.minPitchHz = options.minPitchHz || 70;     // Lowest expected speaking F0
+        this.maxPitchHz = options.maxPitchHz || 400;    // Highest expected speaking F0
+        this.hopMs = options.hopMs || 10;               // Pitch analysis hop
+        this.voicingThreshold = options.voicingThreshold || 0.5;
+        this.silenceDb = options.silenceDb || -45;      // Frames below this (re: loudest frame) are unvoiced
+        this.analysisRate = 12000;                      // Pitch detection runs on a decimated signal
+    }
+
+    /**
+     * Shift the pitch of a mono buffer without changing its duration.
+     * @param {Float32Array} input - Mono samples
+     * @param {number} sampleRate - Sample rate of the input
+     * @param {{pitchCents: number, formant: number}} settings - Same fields as processingSettings
+     *        formant is the amount of formant correction: 1 keeps the vocal tract
+     *        unchanged, 0 lets formants move with the pitch
+     * @param {function(number)} [onProgress] - Called with 0..1 as each stage finishes
+     * @returns {Float32Array} Processed samples, same length as input
+     */
+    process(input, sampleRate, settings = {}, onProgress = null) {
+        const pitchCents = settings.pitchCents || 0;
+        const formant = typeof settings.formant === 'number' ? settings.formant : 1;
+
+        if (!input || input.length === 0 || pitchCents === 0) {
+            return new Float32Array(input || 0);
+        }
+
+        const ratio = Math.pow(2, pitchCents / 1200);
+        const formantCorrection = Math.max(0, Math.min(1, formant));
+        const warp = Math.pow(ratio, 1 - formantCorrection);
+
+        const report = onProgress || (() => {});
+
+        // Stage weights roughly follow where the time goes (autocorrelation dominates)
+        const contour = this.detectPitch(input, sampleRate);
+        report(0.6);
+        const marks = this.placePitchMarks(input, sampleRate, contour);
+        report(0.7);
+        const output = this.overlapAdd(input, marks, ratio, warp);
+        report(1);
+
+        return output;
+    }
+
+    // Period contour (in samples at the input rate, 0 = unvoiced) for every analysis hop
+    detectPitch(input, sampleRate) {
+        const decimation = Math.max(1, Math.floor(sampleRate / this.analysisRate));
+        const rate = sampleRate / decimation;
+        const signal = this._decimate(input, decimation);
+
+        const minLag = Math.max(2, Math.floor(rate / this.maxPitchHz));
+        const maxLag = Math.ceil(rate / this.minPitchHz);
+        const frameSize = maxLag * 2;
+        const hop = Math.max(1, Math.round(rate * this.hopMs / 1000));
+        const frameCount = Math.max(1, Math.ceil(signal.length / hop));
+
+        // Frame energies for the silence gate
+        const energies = new Float32Array(frameCount);
+        let loudest = 0;
+        for (let f = 0; f < frameCount; f++) {
+            const start = f * hop;
+            const end = Math.min(signal.length, start + frameSize);
+            let sum = 0;
+            for (let i = start; i < end; i++) sum += signal[i] * signal[i];
+            energies[f] = end > start ? sum / (end - start) : 0;
+            if (energies[f] > loudest) loudest = energies[f];
+        }
+        const energyGate = loudest * Math.pow(10, this.silenceDb / 10);
+
+        const periods = new Float32Array(frameCount);
+        const correlation = new Float32Array(maxLag + 2);
+
+        for (let f = 0; f < frameCount; f++) {
+            const start = f * hop;
+            if (energies[f] <= energyGate || start + frameSize + maxLag > signal.length) {
+                continue;
+            }
+
+            // Normalised autocorrelation over the candidate lag range
+            let best = 0;
+            for (let lag = minLag; lag <= maxLag + 1; lag++) {
+                let cross = 0, e0 = 0, e1 = 0;
+                for (let i = start; i < start + frameSize; i++) {
+                    const a = signal[i];
+                    const b = signal[i + lag];
+                    cross += a * b;
+                    e0 += a * a;
+                    e1 += b * b;
+                }
+                const r = e0 > 0 && e1 > 0 ? cross / Math.sqrt(e0 * e1) : 0;
+                correlation[lag] = r;
+                if (lag <= maxLag && r > best) best = r;
+            }
+
+            if (best < this.voicingThreshold) continue;
+
+            // Take the first strong peak rather than the global maximum to avoid octave errors
+            let chosen = -1;
+            for (let lag = minLag + 1; lag <= maxLag; lag++) {
+                const r = correlation[lag];
+                if (r >= best * 0.9 && r >= correlation[lag - 1] && r >= correlation[lag + 1]) {
+                    chosen = lag;
+                    break;
+                }
+            }
+            if (chosen < 0) continue;
+
+            // Parabolic interpolation for a sub-sample period estimate
+            const y0 = correlation[chosen - 1];
+            const y1 = correlation[chosen];
+            const y2 = correlation[chosen + 1];
+            const denom = y0 - 2 * y1 + y2;
+            const offset = denom !== 0 ? 0.5 * (y0 - y2) / denom : 0;
+
+            periods[f] = (chosen + Math.max(-0.5, Math.min(0.5, offset))) * decimation;
+        }
+
+        return {
+            periods: this._medianSmooth(periods),
+            hopSamples: hop * decimation
+        };
+    }
+
+    // Analysis marks: pitch-synchronous in voiced regions, fixed spacing elsewhere
+    placePitchMarks(input, sampleRate, contour) {
+        const unvoicedStep = Math.max(1, Math.round(sampleRate * this.hopMs / 1000));
+        const marks = [];
+        let position = 0;
+        let previousVoiced = false;
+
+        while (position < input.length) {
+            const frame = Math.min(contour.periods.length - 1, Math.floor(position / contour.hopSamples));
+            const period = contour.periods[frame];
+
+            if (period > 0) {
+                // Snap to the strongest sample near the predicted mark so grains stay on glottal pulses
+                const radius = Math.round(period * (previousVoiced ? 0.15 : 0.5));
+                let best = position;
+                let bestValue = -1;
+                const from = Math.max(0, position - radius);
+                const to = Math.min(input.length - 1, position + radius);
+                for (let i = from; i <= to; i++) {
+                    const value = Math.abs(input[i]);
+                    if (value > bestValue) {
+                        bestValue = value;
+                        best = i;
+                    }
+                }
+                if (marks.length > 0 && best <= marks[marks.length - 1].position) {
+                    best = position;
+                }
+
+                marks.push({ position: best, period, voiced: true });
+                position = Math.round(best + period);
+                previousVoiced = true;
+            } else {
+                marks.push({ position, period: unvoicedStep, voiced: false });
+                position += unvoicedStep;
+                previousVoiced = false;
+            }
+        }
+
+        return marks;
+    }
+
+    // Re-space the grains at the target period and overlap-add them
+    overlapAdd(input, marks, ratio, warp) {
+        const length = input.length;
+        const output = new Float32Array(length);
+        const weight = new Float32Array(length);
+
+        if (marks.length === 0) {
+            return new Float32Array(input);
+        }
+
+        let synthesis = marks[0].position;
+        let k = 0;
+
+        while (synthesis < length) {
+            // Time scale is unchanged, so use the analysis mark closest to the synthesis instant
+            while (k + 1 < marks.length &&
+                   Math.abs(marks[k + 1].position - synthesis) <= Math.abs(marks[k].position - synthesis)) {
+                k++;
+            }
+
+            const mark = marks[k];
+            const grainWarp = mark.voiced ? warp : 1;
+            const halfLength = Math.max(1, Math.round(mark.period / grainWarp));
+            const centre = Math.round(synthesis);
+
+            for (let j = -halfLength; j <= halfLength; j++) {
+                const outIndex = centre + j;
+                if (outIndex < 0 || outIndex >= length) continue;
+
+                // Hann window spanning two periods of the output grain
+                const window = 0.5 + 0.5 * Math.cos(Math.PI * j / halfLength);
+                const source = mark.position + j * grainWarp;
+                const i0 = Math.floor(source);
+                if (i0 < 0 || i0 + 1 >= length) continue;
+
+                const frac = source - i0;
+                const sample = input[i0] + (input[i0 + 1] - input[i0]) * frac;
+
+                output[outIndex] += sample * window;
+                weight[outIndex] += window;
+            }
+
+            synthesis += mark.voiced ? mark.period / ratio : mark.period;
+        }
+
+        // Normalise by the window overlap so re-spacing does not modulate the level
+        for (let i = 0; i < length; i++) {
+            output[i] = weight[i] > 1e-3 ? output[i] / Math.max(weight[i], 0.25) : 0;
+        }
+
+        return output;
+    }
+
+    _decimate(input, factor) {
+        if (factor === 1) return input;
+
+        // Box-car low-pass before dropping samples
+        const length = Math.floor(input.length / factor);
+        const output = new Float32Array(length);
+        for (let i = 0; i < length; i++) {
+            let sum = 0;
+            const start = i * factor;
+            for (let j = 0; j < factor; j++) sum += input[start + j];
+            output[i] = sum / factor;
+        }
+        return output;
+    }
+
+    _medianSmooth(periods) {
+        const smoothed = new Float32Array(periods.length);
+        for (let i = 0; i < periods.length; i++) {
+            if (periods[i] === 0) continue;
+
+            const window = [periods[i - 1], periods[i], periods[i + 1]].filter(p => p > 0);
+            window.sort((a, b) => a - b);
+            smoothed[i] = window[Math.floor(window.length / 2)];
+        }
+        return smoothed;
+    }
+}
+
+// Export for both ES6 modules and global use (workers have no window)
+export { PitchShifter };
+if (typeof window !== 'undefined') {
+    window.PitchShifter = PitchShifter;
+}
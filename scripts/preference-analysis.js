@@ -0,0 +1,376 @@
+/**
+ * Preference Analysis - Researcher-side statistics over exported session payloads
+ * Works on the payload shape built by WebhookService.prepareWebhookPayload(), in the browser
+ * (window.PreferenceAnalysis) and in Node (require, see tools/analyze-sessions.js).
+ *
+ * Only two-card choice trials count as preferences: catch trials (raw vs raw), the staircase,
+ * ABX, rating and adjustment trials are left out. In a choice payload `trialType` is the mode
+ * under test, `actualProcessing` the version picked and `selectedVersion` the side ('left'/'right').
+ * Paired-comparison trials (responseType 'pair', processed vs processed) count towards side
+ * bias and the Bradley-Terry scale, which ranks raw, light, medium and deep on one axis.
+ *
+ * Pooled trial counts treat every choice as independent, which overstates the evidence when a
+ * few participants dominate; the participant-level sign test in `pooled.participants` does not.
+ */
+
+const CONFIDENCE_Z = 1.96; // 95% intervals
+// Pseudo-wins added to both sides of every compared pair so a version that won every
+// comparison still gets a finite strength (per-participant data is small)
+const BRADLEY_TERRY_PRIOR = 0.5;
+const BRADLEY_TERRY_MAX_ITERATIONS = 1000;
+
+const round = (value, places) => (value === null ? null : Math.round(value * Math.pow(10, places)) / Math.pow(10, places));
+
+const PreferenceAnalysis = {
+    /**
+     * Wilson score interval for a binomial proportion; stays inside [0, 1] at small n.
+     * @returns {{lower: number, upper: number}|null} null when there are no trials
+     */
+    wilsonInterval(successes, trials, z = CONFIDENCE_Z) {
+        if (trials === 0) return null;
+
+        const proportion = successes / trials;
+        const z2 = z * z;
+        const centre = (proportion + z2 / (2 * trials)) / (1 + z2 / trials);
+        const margin = (z / (1 + z2 / trials)) * Math.sqrt(proportion * (1 - proportion) / trials + z2 / (4 * trials * trials));
+        return {
+            lower: round(Math.max(0, centre - margin), 3),
+            upper: round(Math.min(1, centre + margin), 3)
+        };
+    },
+
+    /**
+     * Exact two-sided binomial test: the probability of an outcome no more likely than the one observed.
+     * @returns {number|null} p-value, null when there are no trials
+     */
+    binomialTest(successes, trials, probability = 0.5) {
+        if (trials === 0) return null;
+
+        // log pmf via running log-factorials, so pooled counts in the thousands don't overflow
+        const logFactorial = [0];
+        for (let i = 1; i <= trials; i++) {
+            logFactorial[i] = logFactorial[i - 1] + Math.log(i);
+        }
+        const logPmf = k => logFactorial[trials] - logFactorial[k] - logFactorial[trials - k] +
+            (k === 0 ? 0 : k * Math.log(probability)) +
+            (k === trials ? 0 : (trials - k) * Math.log(1 - probability));
+
+        const observed = logPmf(successes);
+        let pValue = 0;
+        for (let k = 0; k <= trials; k++) {
+            const value = logPmf(k);
+            // Relative tolerance so outcomes exactly as likely as the observed one are included
+            if (value <= observed + 1e-7) pValue += Math.exp(value);
+        }
+        return round(Math.min(1, pValue), 4);
+    },
+
+    // Proportion with its 95% interval and a test against 50%
+    proportion(successes, trials) {
+        return {
+            trials,
+            successes,
+            proportion: trials > 0 ? round(successes / trials, 3) : null,
+            ci95: PreferenceAnalysis.wilsonInterval(successes, trials),
+            pValue: PreferenceAnalysis.binomialTest(successes, trials)
+        };
+    },
+
+    /**
+     * Winner/loser pairs from choice and paired-comparison responses.
+     * Accepts payload responses (actualProcessing) and recorded responses (actualProcessingType).
+     * @returns {Array<{winner: string, loser: string}>}
+     */
+    comparisonsFrom(responses) {
+        const comparisons = [];
+        responses.forEach(response => {
+            const chosen = response.actualProcessing ?? response.actualProcessingType;
+            const responseType = response.responseType || 'choice';
+            if (!chosen) return;
+
+            if (responseType === 'pair') {
+                const pair = response.details?.pair || [];
+                if (pair.length === 2 && pair.includes(chosen)) {
+                    comparisons.push({ winner: chosen, loser: pair[0] === chosen ? pair[1] : pair[0] });
+                }
+            } else if (responseType === 'choice' && !response.isCatch) {
+                const mode = response.trialType;
+                if (!mode || ['raw', 'staircase', 'unknown'].includes(mode)) return;
+                comparisons.push(chosen === mode ? { winner: mode, loser: 'raw' } : { winner: 'raw', loser: mode });
+            }
+        });
+        return comparisons;
+    },
+
+    /**
+     * Bradley-Terry strengths by the MM algorithm (Hunter 2004): P(i beats j) = s_i / (s_i + s_j).
+     * Strengths are relative to the reference version (strength 1, log-strength 0); standard errors
+     * are for the log-strengths, from the inverse Fisher information with the reference fixed.
+     * @param {Array<{winner: string, loser: string}>} comparisons
+     * @returns {object|null} null when fewer than two versions were compared
+     */
+    fitBradleyTerry(comparisons, { reference = 'raw', prior = BRADLEY_TERRY_PRIOR } = {}) {
+        const wins = {};
+        const addWins = (winner, loser, amount) => {
+            wins[winner] = wins[winner] || {};
+            wins[winner][loser] = (wins[winner][loser] || 0) + amount;
+        };
+        comparisons.forEach(({ winner, loser }) => {
+            if (winner === loser) return;
+            addWins(winner, loser, 1);
+            addWins(loser, winner, 0);
+        });
+
+        const allItems = Object.keys(wins).sort();
+        if (allItems.length < 2) return null;
+        const anchor = allItems.includes(reference) ? reference : allItems[0];
+
+        // Strengths are only comparable within the versions linked to the reference by comparisons
+        const items = [anchor];
+        for (let i = 0; i < items.length; i++) {
+            Object.keys(wins[items[i]]).forEach(other => {
+                if (!items.includes(other)) items.push(other);
+            });
+        }
+        items.sort((a, b) => (a === anchor ? -1 : b === anchor ? 1 : a.localeCompare(b)));
+
+        const compared = (i, j) => wins[i][j] !== undefined;
+        const won = (i, j) => (compared(i, j) ? wins[i][j] + prior : 0);
+        const games = (i, j) => (compared(i, j) ? wins[i][j] + wins[j][i] + 2 * prior : 0);
+
+        let strengths = Object.fromEntries(items.map(item => [item, 1]));
+        let iterations = 0;
+        let converged = false;
+        while (!converged && iterations < BRADLEY_TERRY_MAX_ITERATIONS) {
+            iterations++;
+            const next = {};
+            items.forEach(i => {
+                let totalWins = 0;
+                let denominator = 0;
+                items.forEach(j => {
+                    if (i === j || !games(i, j)) return;
+                    totalWins += won(i, j);
+                    denominator += games(i, j) / (strengths[i] + strengths[j]);
+                });
+                next[i] = totalWins / denominator;
+            });
+            const scale = next[anchor];
+            items.forEach(item => { next[item] /= scale; });
+
+            converged = items.every(item => Math.abs(Math.log(next[item] / strengths[item])) < 1e-9);
+            strengths = next;
+        }
+
+        // Fisher information for the log-strengths, without the reference row and column
+        const free = items.filter(item => item !== anchor);
+        const information = free.map(i => free.map(j => {
+            if (i === j) {
+                return items.reduce((sum, k) => {
+                    if (k === i || !games(i, k)) return sum;
+                    const p = strengths[i] / (strengths[i] + strengths[k]);
+                    return sum + games(i, k) * p * (1 - p);
+                }, 0);
+            }
+            if (!games(i, j)) return 0;
+            const p = strengths[i] / (strengths[i] + strengths[j]);
+            return -games(i, j) * p * (1 - p);
+        }));
+        const covariance = PreferenceAnalysis._invert(information);
+
+        const scale = {};
+        items.forEach(item => {
+            const index = free.indexOf(item);
+            scale[item] = {
+                strength: round(strengths[item], 3),
+                logStrength: round(Math.log(strengths[item]), 3),
+                se: index === -1 ? 0 : covariance ? round(Math.sqrt(covariance[index][index]), 3) : null,
+                // Chance of being preferred over the reference version
+                winProbability: round(strengths[item] / (strengths[item] + 1), 3)
+            };
+        });
+
+        return {
+            model: 'bradley-terry',
+            reference: anchor,
+            comparisons: comparisons.filter(({ winner, loser }) => winner !== loser && items.includes(winner)).length,
+            prior,
+            iterations,
+            converged,
+            scale,
+            ranking: [...items].sort((a, b) => strengths[b] - strengths[a]),
+            unconnected: allItems.filter(item => !items.includes(item))
+        };
+    },
+
+    // Gauss-Jordan inverse of a small symmetric matrix; null when singular
+    _invert(matrix) {
+        const size = matrix.length;
+        const work = matrix.map((row, i) => [...row, ...row.map((_, j) => (i === j ? 1 : 0))]);
+        for (let column = 0; column < size; column++) {
+            let pivot = column;
+            for (let row = column + 1; row < size; row++) {
+                if (Math.abs(work[row][column]) > Math.abs(work[pivot][column])) pivot = row;
+            }
+            if (Math.abs(work[pivot][column]) < 1e-12) return null;
+            [work[column], work[pivot]] = [work[pivot], work[column]];
+
+            const divisor = work[column][column];
+            work[column] = work[column].map(value => value / divisor);
+            for (let row = 0; row < size; row++) {
+                if (row === column) continue;
+                const factor = work[row][column];
+                work[row] = work[row].map((value, j) => value - factor * work[column][j]);
+            }
+        }
+        return work.map(row => row.slice(size));
+    },
+
+    // Raw counts for one or more payloads; the statistics are derived from these
+    countChoices(payloads) {
+        const counts = { modes: {}, overall: [0, 0], sides: [0, 0], catchSides: [0, 0], comparisons: [] };
+
+        payloads.forEach(payload => {
+            counts.comparisons.push(...PreferenceAnalysis.comparisonsFrom(payload.responses || []));
+            (payload.responses || []).forEach(response => {
+                const responseType = response.responseType || 'choice';
+                const side = response.selectedVersion === 'left' ? 0 : response.selectedVersion === 'right' ? 1 : null;
+
+                // Processed-vs-processed picks still show which card the participant leans to
+                if (responseType === 'pair') {
+                    if (side !== null) counts.sides[side]++;
+                    return;
+                }
+                if (responseType !== 'choice') return;
+
+                if (response.isCatch) {
+                    if (side !== null) counts.catchSides[side]++;
+                    return;
+                }
+                if (response.trialType === 'staircase' || !response.actualProcessing) return;
+                if (side !== null) counts.sides[side]++;
+
+                const mode = response.trialType;
+                if (!mode || mode === 'raw' || mode === 'unknown') return;
+                const tally = counts.modes[mode] = counts.modes[mode] || [0, 0];
+                const processed = response.actualProcessing === mode ? 1 : 0;
+                tally[0] += processed;
+                tally[1]++;
+                counts.overall[0] += processed;
+                counts.overall[1]++;
+            });
+        });
+
+        return counts;
+    },
+
+    _statistics(counts) {
+        const modes = {};
+        Object.keys(counts.modes).sort().forEach(mode => {
+            modes[mode] = PreferenceAnalysis.proportion(...counts.modes[mode]);
+        });
+
+        const [left, right] = counts.sides;
+        const [catchLeft, catchRight] = counts.catchSides;
+        const catchTotal = catchLeft + catchRight;
+        // Which side the participant leans to on real trials (null when balanced)
+        const favouredSide = left === right ? null : left > right ? 'left' : 'right';
+
+        return {
+            processedByMode: modes,
+            processedOverall: PreferenceAnalysis.proportion(...counts.overall),
+            sideBias: { left, right, ...PreferenceAnalysis.proportion(left, left + right) },
+            // Raw vs raw has nothing to prefer: a consistent participant's catch picks follow their side habit
+            catchTrials: {
+                trials: catchTotal,
+                left: catchLeft,
+                right: catchRight,
+                sameSideRate: catchTotal > 0 ? round(Math.max(catchLeft, catchRight) / catchTotal, 3) : null,
+                matchesSideBias: catchTotal > 0 && favouredSide
+                    ? round((favouredSide === 'left' ? catchLeft : catchRight) / catchTotal, 3)
+                    : null
+            },
+            scale: PreferenceAnalysis.fitBradleyTerry(counts.comparisons)
+        };
+    },
+
+    /**
+     * Statistics for one participant (one or more of their sessions).
+     * @param {object|object[]} payloads - Session payloads as sent to the result sinks
+     */
+    analyzeParticipant(payloads) {
+        const sessions = Array.isArray(payloads) ? payloads : [payloads];
+        return {
+            participantId: sessions[0].participantId || null,
+            sessionIds: sessions.map(payload => payload.sessionId),
+            ...PreferenceAnalysis._statistics(PreferenceAnalysis.countChoices(sessions))
+        };
+    },
+
+    /**
+     * Per-participant and pooled statistics for a set of exported sessions.
+     * Sessions are deduplicated by sessionId (a session can reach several sinks) and grouped by
+     * participantId when present, otherwise each session is its own participant.
+     */
+    analyzeSessions(payloads) {
+        const sessions = new Map();
+        payloads.forEach(payload => {
+            if (payload && payload.sessionId && Array.isArray(payload.responses)) {
+                sessions.set(payload.sessionId, payload);
+            }
+        });
+
+        const groups = new Map();
+        sessions.forEach(payload => {
+            const key = payload.participantId || `session:${payload.sessionId}`;
+            groups.set(key, [...(groups.get(key) || []), payload]);
+        });
+
+        const participants = Array.from(groups.values()).map(group => PreferenceAnalysis.analyzeParticipant(group));
+        const pooled = PreferenceAnalysis._statistics(PreferenceAnalysis.countChoices(Array.from(sessions.values())));
+
+        return {
+            sessions: sessions.size,
+            participantCount: participants.length,
+            participants,
+            pooled: { ...pooled, participants: PreferenceAnalysis._signTests(participants) }
+        };
+    },
+
+    // Participant-level sign test: how many participants chose processed more often than raw, per mode
+    _signTests(participants) {
+        const tally = (pick) => {
+            let processed = 0;
+            let raw = 0;
+            let ties = 0;
+            participants.forEach(participant => {
+                const result = pick(participant);
+                if (!result || result.trials === 0) return;
+                if (result.successes * 2 > result.trials) processed++;
+                else if (result.successes * 2 < result.trials) raw++;
+                else ties++;
+            });
+            return {
+                preferProcessed: processed,
+                preferRaw: raw,
+                ties,
+                pValue: PreferenceAnalysis.binomialTest(processed, processed + raw)
+            };
+        };
+
+        const modes = new Set();
+        participants.forEach(participant => Object.keys(participant.processedByMode).forEach(mode => modes.add(mode)));
+
+        const byMode = {};
+        Array.from(modes).sort().forEach(mode => {
+            byMode[mode] = tally(participant => participant.processedByMode[mode]);
+        });
+        return { overall: tally(participant => participant.processedOverall), byMode };
+    }
+};
+
+// Export for Node (tools/analyze-sessions.js) and browser global use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PreferenceAnalysis };
+} else {
+    window.PreferenceAnalysis = PreferenceAnalysis;
+}
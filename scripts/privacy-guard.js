@@ -0,0 +1,135 @@
+/**
+ * Privacy Guard - Keeps participant identity out of the response stream
+ * Shared by the quiz (classic script, window.PrivacyGuard) and by
+ * tools/verify-payload.js (Node, require), so both sides audit with the same rules.
+ *
+ * Session payloads carry at most a pseudonymous participantId: SHA-256 (WebCrypto) of the
+ * study's salt and the normalised email, so repeat visits link up without the email itself.
+ * Contact details for compensation travel separately (WebhookService.sendContactDetails)
+ * and never share a payload with responses.
+ */
+
+// Keys that hold identity, compared lower-case with '_' and '-' removed
+const PII_KEYS = [
+    'email', 'useremail', 'emailaddress', 'firstname', 'lastname', 'fullname',
+    'phone', 'phonenumber', 'address', 'postcode', 'zipcode', 'ipaddress', 'dateofbirth'
+];
+const EMAIL_PATTERN = /[^\s@"'<>]+@[^\s@"'<>]+\.[a-z]{2,}/i;
+// Keys holding free text (device labels such as "Sam's AirPods"). Single first or last names are
+// only looked for here: elsewhere they collide with study values ("williams", "deep", "light")
+const FREE_TEXT_KEYS = ['label'];
+const MIN_SALT_LENGTH = 16;
+
+const PrivacyGuard = {
+    PII_KEYS,
+    MIN_SALT_LENGTH,
+
+    /**
+     * @param {string} identifier - Usually the participant's email
+     * @param {string} salt - Per-study salt, so IDs don't match across studies
+     * @returns {Promise<string>} 64 hex characters
+     */
+    async pseudonymize(identifier, salt) {
+        if (typeof identifier !== 'string' || !identifier.trim()) {
+            throw new Error('Cannot pseudonymize an empty identifier');
+        }
+        if (typeof salt !== 'string' || salt.length < MIN_SALT_LENGTH) {
+            throw new Error(`Pseudonym salt must be at least ${MIN_SALT_LENGTH} characters`);
+        }
+
+        const message = new TextEncoder().encode(`${salt}:${identifier.trim().toLowerCase()}`);
+        const digest = await crypto.subtle.digest('SHA-256', message);
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    },
+
+    /**
+     * Look for identity in a payload: PII keys, anything shaped like an email address,
+     * the participant's own email or full name anywhere, and their first or last name in free text.
+     * @param {object} payload
+     * @param {{email?: string, firstName?: string, lastName?: string}|null} identity
+     * @returns {string[]} Human-readable findings; empty when clean
+     */
+    audit(payload, identity = null, path = 'payload') {
+        const findings = [];
+        const known = PrivacyGuard._knownValues(identity);
+
+        const visit = (value, currentPath, freeText) => {
+            if (Array.isArray(value)) {
+                value.forEach((item, index) => visit(item, `${currentPath}[${index}]`, freeText));
+            } else if (value !== null && typeof value === 'object') {
+                Object.entries(value).forEach(([key, child]) => {
+                    if (child === undefined) return;
+                    if (PII_KEYS.includes(key.toLowerCase().replace(/[_-]/g, ''))) {
+                        findings.push(`${currentPath}.${key} is an identity field`);
+                    }
+                    visit(child, `${currentPath}.${key}`, FREE_TEXT_KEYS.includes(key));
+                });
+            } else if (typeof value === 'string') {
+                const lower = value.toLowerCase();
+                if (EMAIL_PATTERN.test(value)) {
+                    findings.push(`${currentPath} contains an email address`);
+                } else if (known.contained.some(item => lower.includes(item)) ||
+                    (freeText && known.names.some(name => name.test(lower)))) {
+                    findings.push(`${currentPath} contains the participant's name`);
+                }
+            }
+        };
+
+        visit(payload, path, false);
+        return findings;
+    },
+
+    // Fails loudly: a payload that leaks identity must never reach a result sink
+    assertClean(payload, identity = null) {
+        const findings = PrivacyGuard.audit(payload, identity);
+        if (findings.length > 0) {
+            throw new Error(`Payload leaks participant identity: ${findings.join('; ')}`);
+        }
+    },
+
+    /**
+     * Copy of the payload with the participant's first and last name cut out of free text, so a
+     * device called "Sam's AirPods" is sent as "[name]'s AirPods" instead of blocking the session.
+     */
+    redactFreeText(payload, identity = null) {
+        const { names } = PrivacyGuard._knownValues(identity);
+        if (names.length === 0) return payload;
+
+        const visit = (value, freeText) => {
+            if (Array.isArray(value)) {
+                return value.map(item => visit(item, freeText));
+            }
+            if (value !== null && typeof value === 'object') {
+                return Object.fromEntries(Object.entries(value).map(([key, child]) => [key, visit(child, FREE_TEXT_KEYS.includes(key))]));
+            }
+            if (freeText && typeof value === 'string') {
+                return names.reduce((text, name) => text.replace(new RegExp(name.source, 'giu'), '$1[name]'), value);
+            }
+            return value;
+        };
+        return visit(payload, false);
+    },
+
+    // Full name and email match anywhere in a string; single names as whole words of free text
+    _knownValues(identity) {
+        const clean = value => (typeof value === 'string' ? value.trim().toLowerCase() : '');
+        if (!identity) return { contained: [], names: [] };
+
+        const first = clean(identity.firstName);
+        const last = clean(identity.lastName);
+        const escape = name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return {
+            contained: [clean(identity.email), first && last ? `${first} ${last}` : ''].filter(Boolean),
+            names: [first, last]
+                .filter(name => name.length >= 2)
+                .map(name => new RegExp(`(^|[^\\p{L}])${escape(name)}(?=$|[^\\p{L}])`, 'iu'))
+        };
+    }
+};
+
+// Export for Node (tools/verify-payload.js) and browser global use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PrivacyGuard };
+} else {
+    window.PrivacyGuard = PrivacyGuard;
+}
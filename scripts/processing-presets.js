@@ -0,0 +1,179 @@
+/**
+ * Processing Presets - Single source of truth for light/medium/deep parameters
+ * Every processor, worklet and fallback reads from here. The preset is plain JSON
+ * so it can be hashed and stored alongside each response.
+ */
+
+const BONE_CONDUCTION_PRESET = {
+    id: 'bone-conduction',
+    version: '1.0.0',
+    description: 'Own-voice bone conduction simulation used by the voice clarity study',
+    modes: {
+        light: {
+            pitchCents: -60,
+            formant: 0.9,
+            hpFreq: 300,
+            lpFreq: 1200,
+            shelfLow: { freq: 500, gain: 3 },
+            shelfHigh: { freq: 2000, gain: -3 },
+            comp: null,
+            notch: null,
+            vibro: null
+        },
+        medium: {
+            pitchCents: -120,
+            formant: 1.0,
+            hpFreq: 250,
+            lpFreq: 1300,
+            shelfLow: { freq: 450, gain: 4 },
+            shelfHigh: { freq: 2200, gain: -4 },
+            comp: { ratio: 2, threshold: -18, knee: 6 },
+            notch: null,
+            vibro: null
+        },
+        deep: {
+            pitchCents: -120,
+            formant: 1.0,
+            hpFreq: 200,
+            lpFreq: 1400,
+            shelfLow: { freq: 400, gain: 5 },
+            shelfHigh: { freq: 2500, gain: -5 },
+            comp: { ratio: 3, threshold: -20 },
+            notch: { freq: 3000, q: 1.0 },
+            vibro: { freq: 60, gain: 6, q: 1.0 }
+        }
+    },
+    // Offsets applied per playback device profile (see DeviceAwareProcessor.getDeviceProfile)
+    // eqIntensity scales every shelf gain, compRatio is added to the compressor ratio
+    deviceAdjustments: {
+        desktop: { pitchCents: -5, formant: 0, eqIntensity: 0.05, compRatio: 0 },
+        mobile: { pitchCents: 10, formant: 0, eqIntensity: -0.05, compRatio: 0.5 },
+        iOS: { pitchCents: 10, formant: 0.05, eqIntensity: -0.05, compRatio: 0.5 },
+        Android: { pitchCents: 10, formant: 0, eqIntensity: -0.1, compRatio: 0.5 }
+    },
+    limits: {
+        pitchCents: { min: -300, max: 100 },
+        formant: { min: 0.5, max: 1.2 }
+    }
+};
+
+class ProcessingPresetRegistry {
+    constructor(preset) {
+        this.preset = preset;
+        this.hashPromise = null;
+    }
+
+    getPreset() {
+        return this.preset;
+    }
+
+    getModes() {
+        return Object.keys(this.preset.modes);
+    }
+
+    // Deep copy so callers can never mutate the registry
+    getModeSettings(mode, deviceProfile = null) {
+        const base = this.preset.modes[mode];
+        if (!base) {
+            throw new Error(`Unknown processing mode: ${mode}`);
+        }
+
+        const settings = JSON.parse(JSON.stringify(base));
+        return deviceProfile
+            ? this.applyDeviceAdjustments(settings, this.getDeviceAdjustments(deviceProfile))
+            : settings;
+    }
+
+    getAllModeSettings(deviceProfile = null) {
+        const all = {};
+        for (const mode of this.getModes()) {
+            all[mode] = this.getModeSettings(mode, deviceProfile);
+        }
+        return all;
+    }
+
+    getDeviceAdjustments(deviceProfile) {
+        const adjustments = this.preset.deviceAdjustments[deviceProfile];
+        return adjustments
+            ? { ...adjustments }
+            : { pitchCents: 0, formant: 0, eqIntensity: 0, compRatio: 0 };
+    }
+
+    getLimits() {
+        return JSON.parse(JSON.stringify(this.preset.limits));
+    }
+
+    applyDeviceAdjustments(settings, adjustments) {
+        const adjusted = JSON.parse(JSON.stringify(settings));
+        const limits = this.preset.limits;
+        const clamp = (value, range) => Math.max(range.min, Math.min(range.max, value));
+
+        adjusted.pitchCents = clamp(adjusted.pitchCents + (adjustments.pitchCents || 0), limits.pitchCents);
+        adjusted.formant = clamp(adjusted.formant + (adjustments.formant || 0), limits.formant);
+
+        const eqScale = 1 + (adjustments.eqIntensity || 0);
+        if (adjusted.shelfLow) adjusted.shelfLow.gain = +(adjusted.shelfLow.gain * eqScale).toFixed(2);
+        if (adjusted.shelfHigh) adjusted.shelfHigh.gain = +(adjusted.shelfHigh.gain * eqScale).toFixed(2);
+
+        if (adjusted.comp) {
+            adjusted.comp.ratio = Math.max(1, adjusted.comp.ratio + (adjustments.compRatio || 0));
+        }
+
+        return adjusted;
+    }
+
+    // Keys sorted at every level so the hash does not depend on property order
+    serialize(value = this.preset) {
+        if (Array.isArray(value)) {
+            return '[' + value.map(item => this.serialize(item)).join(',') + ']';
+        }
+        if (value && typeof value === 'object') {
+            return '{' + Object.keys(value).sort()
+                .map(key => `${JSON.stringify(key)}:${this.serialize(value[key])}`)
+                .join(',') + '}';
+        }
+        return JSON.stringify(value === undefined ? null : value);
+    }
+
+    async getPresetHash() {
+        if (!this.hashPromise) {
+            this.hashPromise = (async () => {
+                const bytes = new TextEncoder().encode(this.serialize());
+                const digest = await crypto.subtle.digest('SHA-256', bytes);
+                return Array.from(new Uint8Array(digest))
+                    .map(b => b.toString(16).padStart(2, '0'))
+                    .join('');
+            })();
+        }
+        return this.hashPromise;
+    }
+
+    async getPresetInfo(deviceProfile = null) {
+        return {
+            presetId: this.preset.id,
+            presetVersion: this.preset.version,
+            presetHash: await this.getPresetHash(),
+            deviceProfile: deviceProfile
+        };
+    }
+
+    describeMode(mode) {
+        const s = this.preset.modes[mode];
+        const extras = [
+            s.comp ? 'compression' : null,
+            s.notch ? `${s.notch.freq}Hz notch` : null,
+            s.vibro ? `${s.vibro.freq}Hz vibro` : null
+        ].filter(Boolean);
+
+        return `${s.pitchCents} cents, formant ${s.formant}, ${s.hpFreq}-${s.lpFreq}Hz, shelf EQ` +
+            (extras.length ? `, ${extras.join(', ')}` : '');
+    }
+}
+
+const processingPresets = new ProcessingPresetRegistry(BONE_CONDUCTION_PRESET);
+
+// Export for both ES6 modules and global use (worklet scopes have no window)
+export { ProcessingPresetRegistry, processingPresets, BONE_CONDUCTION_PRESET };
+if (typeof window !== 'undefined') {
+    window.processingPresets = processingPresets;
+}
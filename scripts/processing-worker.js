@@ -0,0 +1,38 @@
+/**
+ * Processing Worker - Runs the PSOLA pitch shift for every variant off the UI thread
+ * Receives the raw samples as a transferable and posts progress after each stage
+ *
+ * Messages in:  { type: 'process', jobId, samples, sampleRate, settings }
+ * Messages out: { type: 'progress', jobId, mode, index, total, progress }
+ *               { type: 'variant', jobId, mode, samples }   (samples transferred back)
+ *               { type: 'done', jobId }
+ *               { type: 'error', jobId, message }
+ */
+
+import { PitchShifter } from './pitch-shifter.js';
+
+const pitchShifter = new PitchShifter();
+
+self.onmessage = (event) => {
+    const { type, jobId, samples, sampleRate, settings } = event.data;
+    if (type !== 'process') return;
+
+    try {
+        const modes = Object.keys(settings);
+
+        modes.forEach((mode, index) => {
+            const report = (progress) => {
+                self.postMessage({ type: 'progress', jobId, mode, index, total: modes.length, progress });
+            };
+
+            report(0);
+            const shifted = pitchShifter.process(samples, sampleRate, settings[mode], report);
+
+            self.postMessage({ type: 'variant', jobId, mode, samples: shifted }, [shifted.buffer]);
+        });
+
+        self.postMessage({ type: 'done', jobId });
+    } catch (error) {
+        self.postMessage({ type: 'error', jobId, message: error.message });
+    }
+};
@@ -0,0 +1,181 @@
+/**
+ * Quiz State Machine - The one place that decides which quiz screen comes next
+ * VoiceQuizApp sends an event for every step (recording processed, answer submitted, ...);
+ * the machine checks it against the declared transitions and their guards, moves to the
+ * new state and tells its listeners, which switch the visible screen. An event that isn't
+ * legal in the current state is rejected, so a double click or a late async callback can't
+ * push the quiz onto the wrong screen.
+ *
+ * Every accepted and rejected event goes into a transition log that is sent with the session:
+ * { at, event, from, to, question } and, for rejected events, rejected: 'illegal' | 'guard'
+ */
+
+// state → the screen (`${screen}-page`) it shows; null keeps the current screen on view
+const QUIZ_STATES = {
+    landing: { screen: 'landing' },
+    registration: { screen: 'registration' },
+    preflight: { screen: 'preflight' }, // Microphone check before the first question
+    headphones: { screen: 'headphones' }, // Headphone screening test (studies that run one)
+    screenedOut: { screen: 'screened-out' }, // Failed a screening the study excludes on; the quiz ends here
+    recording: { screen: 'recording' },
+    processing: { screen: 'processing' },
+    comparison: { screen: 'comparison' },
+    adjustment: { screen: 'comparison' }, // The slider lives on the comparison page
+    rating: { screen: 'rating' },
+    submitting: { screen: null }, // Response being recorded; the answer screen stays up, locked
+    results: { screen: 'results' }
+};
+
+const ANSWER_STATES = ['comparison', 'adjustment', 'rating'];
+
+// event → candidate transitions, tried in order; the first whose guard passes is taken.
+// Guards get the app's context (see constructor) and the state the machine was in before this one.
+const QUIZ_TRANSITIONS = {
+    START: [{ from: 'landing', to: 'registration' }],
+    RESUME: [{ from: 'landing', to: 'preflight' }], // The microphone may have changed since the reload
+    REGISTERED: [{ from: 'registration', to: 'preflight', guard: context => context.isRegistered }],
+    PREFLIGHT_PASSED: [
+        { from: 'preflight', to: 'headphones', guard: context => context.preflightPassed && context.headphoneCheckPending },
+        { from: 'preflight', to: 'recording', guard: context => context.preflightPassed && !context.headphoneCheckPending }
+    ],
+    HEADPHONES_DONE: [{ from: 'headphones', to: 'recording', guard: context => context.headphonesCleared }],
+    SCREEN_OUT: [
+        { from: 'headphones', to: 'screenedOut', guard: context => context.screenedOut },
+        { from: 'landing', to: 'screenedOut', guard: context => context.screenedOut } // Screened out before this page load
+    ],
+    PROCESS: [{ from: 'recording', to: 'processing', guard: context => context.hasRecording }],
+    CANCEL: [{ from: 'processing', to: 'recording' }],
+    FAIL: [{ from: 'processing', to: 'recording' }],
+    SHOW_CHOICE: [{ from: 'processing', to: 'comparison' }],
+    SHOW_ADJUSTMENT: [{ from: 'processing', to: 'adjustment' }],
+    SHOW_RATING: [{ from: 'processing', to: 'rating' }],
+    SUBMIT: ANSWER_STATES.map(from => ({ from, to: 'submitting' })),
+    RETRY: ANSWER_STATES.map(to => ({ from: 'submitting', to, guard: (context, previous) => previous === to })),
+    NEXT_STEP: [{ from: 'submitting', to: 'processing' }], // Next staircase step on the same question
+    NEXT_QUESTION: [{ from: 'submitting', to: 'recording', guard: context => context.currentQuestion < context.totalQuestions }],
+    FINISH: [{ from: 'submitting', to: 'results', guard: context => context.currentQuestion >= context.totalQuestions }],
+    RESTART: [{ from: 'results', to: 'landing' }]
+};
+
+const QUIZ_LOG_MAX_ENTRIES = 500;
+
+class QuizStateMachine {
+    /**
+     * @param {{context?: function(): object, initial?: string, maxLogEntries?: number}} options
+     *   context - returns what the guards need:
+     *   { isRegistered, preflightPassed, headphoneCheckPending, headphonesCleared, screenedOut,
+     *     hasRecording, currentQuestion, totalQuestions }
+     */
+    constructor({ context = () => ({}), initial = 'landing', maxLogEntries = QUIZ_LOG_MAX_ENTRIES } = {}) {
+        if (!QUIZ_STATES[initial]) {
+            throw new Error(`Unknown quiz state: ${initial}`);
+        }
+        this.getContext = context;
+        this.state = initial;
+        this.previous = null;
+        this.maxLogEntries = maxLogEntries;
+        this.log = [];
+        this.listeners = new Set();
+    }
+
+    static get states() {
+        return Object.keys(QUIZ_STATES);
+    }
+
+    static get events() {
+        return Object.keys(QUIZ_TRANSITIONS);
+    }
+
+    // Screen shown in a state, or null when the state keeps the current one
+    static screenFor(state) {
+        return QUIZ_STATES[state] ? QUIZ_STATES[state].screen : null;
+    }
+
+    is(state) {
+        return this.state === state;
+    }
+
+    // True when `event` would be accepted right now (nothing is logged)
+    can(event) {
+        return this._resolve(event, this.getContext()).transition !== null;
+    }
+
+    /**
+     * Apply an event. Returns true when the machine moved, false when the event was
+     * rejected (illegal in this state, or its guard failed); rejections are logged.
+     */
+    send(event) {
+        if (!QUIZ_TRANSITIONS[event]) {
+            throw new Error(`Unknown quiz event: ${event}`);
+        }
+
+        const context = this.getContext();
+        const { transition, rejected } = this._resolve(event, context);
+        const from = this.state;
+
+        if (!transition) {
+            console.warn(`🚦 ${event} rejected in state ${from} (${rejected})`);
+            this._record({ event, from, to: null, question: context.currentQuestion, rejected });
+            return false;
+        }
+
+        this.previous = from;
+        this.state = transition.to;
+        this._record({ event, from, to: transition.to, question: context.currentQuestion });
+        console.log(`🚦 ${from} → ${transition.to} (${event})`);
+
+        const change = {
+            event,
+            from,
+            to: transition.to,
+            fromScreen: QuizStateMachine.screenFor(from),
+            toScreen: QuizStateMachine.screenFor(transition.to)
+        };
+        this.listeners.forEach(listener => {
+            try {
+                listener(change);
+            } catch (error) {
+                console.error('Quiz state listener error:', error);
+            }
+        });
+        return true;
+    }
+
+    // Listener gets { event, from, to, fromScreen, toScreen } after each accepted event
+    onTransition(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    getLog() {
+        return this.log.map(entry => ({ ...entry }));
+    }
+
+    // Carry the log of a resumed session over (see VoiceQuizApp.resumeFromCheckpoint)
+    restoreLog(entries) {
+        this.log = Array.isArray(entries) ? entries.slice(-this.maxLogEntries) : [];
+    }
+
+    // A new quiz on the same page starts a new log
+    clearLog() {
+        this.log = [];
+    }
+
+    _resolve(event, context) {
+        const candidates = (QUIZ_TRANSITIONS[event] || []).filter(transition => transition.from === this.state);
+        if (candidates.length === 0) {
+            return { transition: null, rejected: 'illegal' };
+        }
+        const transition = candidates.find(candidate => !candidate.guard || candidate.guard(context, this.previous));
+        return transition ? { transition, rejected: null } : { transition: null, rejected: 'guard' };
+    }
+
+    _record(entry) {
+        this.log.push({ at: new Date().toISOString(), ...entry });
+        if (this.log.length > this.maxLogEntries) {
+            this.log.shift();
+        }
+    }
+}
+
+window.QuizStateMachine = QuizStateMachine;
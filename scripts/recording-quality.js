@@ -0,0 +1,141 @@
+/**
+ * Recording Quality - Checks a decoded take before any versions are made from it
+ * A clipped, near-silent, noisy or very short take turns into four clips that all sound
+ * the same, so processRecording() sends the participant back with guidance instead.
+ *
+ * Metrics (levels in dBFS, durations in seconds):
+ *   peakDb, clippingRatio (share of samples at full scale), rmsDb (whole take),
+ *   speechLevelDb (RMS over the detected speech), noiseFloorDb (quietest 10% of frames),
+ *   snrDb (speech level over noise floor), speechDuration
+ * Speech comes from VoiceActivityDetector.detect(), so both agree on what counts as speech.
+ */
+
+import { VoiceActivityDetector } from './voice-activity.js';
+
+const RECORDING_QUALITY_DEFAULTS = {
+    enforce: true,             // false records the metrics without sending anyone back (except for noSpeech)
+    minSpeechSeconds: 8,
+    maxClippingRatio: 0.001,
+    minSpeechLevelDb: -35,
+    minSnrDb: 10
+};
+
+const RECORDING_QUALITY_OPTIONS = {
+    block: 'recordingQuality',
+    defaults: RECORDING_QUALITY_DEFAULTS,
+    ranges: {
+        minSpeechSeconds: [0, 120],
+        maxClippingRatio: [0, 1],
+        minSpeechLevelDb: [-100, 0],
+        minSnrDb: [0, 60]
+    }
+};
+
+// Checks in the order their guidance is shown
+const RECORDING_QUALITY_CHECKS = ['noSpeech', 'clipping', 'tooQuiet', 'noisy', 'tooShort'];
+
+const RECORDING_QUALITY_GUIDANCE = {
+    noSpeech: 'We couldn\'t hear any speech. Check that your microphone is on, then record your answer again.',
+    clipping: 'Your recording is distorted because it was too loud. Move a little further from the microphone or speak more softly.',
+    tooQuiet: 'Your voice was very quiet. Move closer to the microphone or speak up.',
+    noisy: 'There is a lot of background noise. Move somewhere quieter or closer to the microphone.'
+};
+
+const CLIPPING_LEVEL = 0.99;
+const QUALITY_FRAME_MS = 20;
+const NOISE_PERCENTILE = 0.1;
+
+const toDb = (rms) => 20 * Math.log10(rms + 1e-10);
+const roundTo = (value, places) => value === null ? null : Math.round(value * 10 ** places) / 10 ** places;
+
+class RecordingQuality {
+    /**
+     * @param {object|null} thresholds - The study's recordingQuality block, already checked against RECORDING_QUALITY_OPTIONS
+     */
+    constructor(thresholds = null) {
+        this.thresholds = { ...RECORDING_QUALITY_DEFAULTS, ...(thresholds || {}) };
+    }
+
+    // Level and noise measurements for one take; speech levels are null when no speech was found
+    static measure(samples, sampleRate, detection) {
+        let peak = 0;
+        let clipped = 0;
+        let sumSquares = 0;
+        for (let i = 0; i < samples.length; i++) {
+            const magnitude = Math.abs(samples[i]);
+            if (magnitude > peak) peak = magnitude;
+            if (magnitude >= CLIPPING_LEVEL) clipped++;
+            sumSquares += samples[i] * samples[i];
+        }
+
+        let speechSquares = 0;
+        let speechSamples = 0;
+        detection.segments.forEach(({ start, end }) => {
+            const last = Math.min(samples.length, Math.ceil(end * sampleRate));
+            for (let i = Math.floor(start * sampleRate); i < last; i++) {
+                speechSquares += samples[i] * samples[i];
+                speechSamples++;
+            }
+        });
+
+        const frameLength = Math.max(1, Math.round(sampleRate * QUALITY_FRAME_MS / 1000));
+        const levels = [];
+        for (let start = 0; start < samples.length; start += frameLength) {
+            levels.push(VoiceActivityDetector.frameFeatures(samples, start, Math.min(samples.length, start + frameLength)).db);
+        }
+        levels.sort((a, b) => a - b);
+        const noiseFloorDb = levels.length > 0 ? levels[Math.floor(levels.length * NOISE_PERCENTILE)] : null;
+        const speechLevelDb = speechSamples > 0 ? toDb(Math.sqrt(speechSquares / speechSamples)) : null;
+
+        return {
+            duration: roundTo(samples.length / sampleRate, 2),
+            speechDuration: roundTo(detection.speechDuration, 2),
+            peakDb: roundTo(toDb(peak), 1),
+            clippingRatio: roundTo(samples.length > 0 ? clipped / samples.length : 0, 5),
+            rmsDb: roundTo(toDb(Math.sqrt(sumSquares / Math.max(1, samples.length))), 1),
+            speechLevelDb: roundTo(speechLevelDb, 1),
+            noiseFloorDb: roundTo(noiseFloorDb, 1),
+            snrDb: speechLevelDb !== null && noiseFloorDb !== null ? roundTo(speechLevelDb - noiseFloorDb, 1) : null
+        };
+    }
+
+    /**
+     * Measure a take and decide whether it can be used.
+     * @param {Float32Array} samples - Mono samples of the whole take (before trimming)
+     * @param {number} sampleRate
+     * @param {object} detection - VoiceActivityDetector.detect() result for the same samples
+     * @returns {{metrics: object, problems: Array<{check: string, message: string}>, passed: boolean}}
+     *   passed is true when there are no problems or the study doesn't enforce them; a take
+     *   without speech never passes, since every clip must contain speech
+     */
+    assess(samples, sampleRate, detection) {
+        const { minSpeechSeconds, maxClippingRatio, minSpeechLevelDb, minSnrDb, enforce } = this.thresholds;
+        const metrics = RecordingQuality.measure(samples, sampleRate, detection);
+        const failed = new Set();
+
+        if (!detection.hasSpeech) {
+            failed.add('noSpeech');
+        } else {
+            if (metrics.clippingRatio > maxClippingRatio) failed.add('clipping');
+            if (metrics.speechLevelDb < minSpeechLevelDb) failed.add('tooQuiet');
+            // A quiet voice already explains a poor ratio; only call the room noisy when the voice is loud enough
+            if (!failed.has('tooQuiet') && metrics.snrDb !== null && metrics.snrDb < minSnrDb) failed.add('noisy');
+            if (metrics.speechDuration < minSpeechSeconds) failed.add('tooShort');
+        }
+
+        const problems = RECORDING_QUALITY_CHECKS
+            .filter(check => failed.has(check))
+            .map(check => ({ check, message: this.guidance(check, metrics) }));
+        return { metrics, problems, passed: problems.length === 0 || (!enforce && !failed.has('noSpeech')) };
+    }
+
+    // What the participant can do about a failed check
+    guidance(check, metrics) {
+        if (check === 'tooShort') {
+            return `Please speak for at least ${this.thresholds.minSpeechSeconds} seconds (we heard about ${Math.round(metrics.speechDuration)}).`;
+        }
+        return RECORDING_QUALITY_GUIDANCE[check] || 'Please record your answer again.';
+    }
+}
+
+export { RecordingQuality, RECORDING_QUALITY_DEFAULTS, RECORDING_QUALITY_OPTIONS };
@@ -0,0 +1,231 @@
+/**
+ * Result Sinks - Where a finished session's payload is delivered
+ * Sinks are named in config/sinks.json; a study definition ("sinks": [...]) or the
+ * URL (?sinks=local,download) picks which ones receive each session. The URL can
+ * only name configured sinks, so a crafted link cannot redirect results elsewhere.
+ *
+ * Types:  webhook   JSON POST (Make.com, a local stand-in server, ...)
+ *         form      application/x-www-form-urlencoded POST
+ *         beacon    navigator.sendBeacon, survives the tab closing
+ *         download  saves the payload as a JSON file on the participant's device
+ *
+ * Signed payloads carry their HMAC in `signature`; webhook and form sinks also send it
+ * as the X-Quiz-Signature header (beacons and downloads cannot set headers).
+ *
+ * send(payload) resolves once the sink accepted the payload and throws otherwise;
+ * errors with `permanent` set are not retried by the outbox.
+ */
+
+const SINK_CONFIG_URL = 'config/sinks.json';
+
+class HttpSinkError extends Error {
+    constructor(status) {
+        super(`Sink responded with status: ${status}`);
+        this.name = 'HttpSinkError';
+        this.status = status;
+        // Client errors other than timeout / rate limit won't succeed on retry
+        this.permanent = status >= 400 && status < 500 && status !== 408 && status !== 429;
+    }
+}
+
+// HTTP sinks repeat the payload's HMAC in a header so receivers can check it before parsing
+function signedHeaders(payload, headers) {
+    const signature = PayloadIntegrity.headerValue(payload);
+    return signature ? { ...headers, [PayloadIntegrity.SIGNATURE_HEADER]: signature } : headers;
+}
+
+class JsonWebhookSink {
+    constructor(config) {
+        this.id = config.id;
+        this.url = config.url;
+    }
+
+    async send(payload) {
+        const response = await fetch(this.url, {
+            method: 'POST',
+            headers: signedHeaders(payload, {
+                'Content-Type': 'application/json',
+            }),
+            body: JSON.stringify(payload)
+        });
+
+        if (!response.ok) {
+            throw new HttpSinkError(response.status);
+        }
+    }
+}
+
+class FormPostSink {
+    constructor(config) {
+        this.id = config.id;
+        this.url = config.url;
+    }
+
+    // Top-level scalars become fields; nested objects and arrays are sent as JSON strings
+    static encode(payload) {
+        const params = new URLSearchParams();
+        Object.entries(payload).forEach(([key, value]) => {
+            if (value === undefined) return;
+            params.append(key, value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value));
+        });
+        return params;
+    }
+
+    async send(payload) {
+        const response = await fetch(this.url, {
+            method: 'POST',
+            headers: signedHeaders(payload, {
+                'Content-Type': 'application/x-www-form-urlencoded;charset=UTF-8',
+            }),
+            body: FormPostSink.encode(payload).toString()
+        });
+
+        if (!response.ok) {
+            throw new HttpSinkError(response.status);
+        }
+    }
+}
+
+class BeaconSink {
+    constructor(config) {
+        this.id = config.id;
+        this.url = config.url;
+    }
+
+    // No response is visible, so "accepted" means the browser queued the request.
+    // text/plain keeps it a CORS-safelisted request, which sendBeacon requires.
+    async send(payload) {
+        if (typeof navigator.sendBeacon !== 'function') {
+            const error = new Error('sendBeacon is not supported in this browser');
+            error.permanent = true;
+            throw error;
+        }
+
+        const body = new Blob([JSON.stringify(payload)], { type: 'text/plain;charset=UTF-8' });
+        if (!navigator.sendBeacon(this.url, body)) {
+            throw new Error('Browser refused to queue the beacon');
+        }
+    }
+}
+
+class DownloadSink {
+    constructor(config) {
+        this.id = config.id;
+        this.filenamePrefix = config.filenamePrefix || 'voice-quiz';
+    }
+
+    async send(payload) {
+        const blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${this.filenamePrefix}-${payload.sessionId || Date.now()}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        // Give the browser a moment to start the download before releasing the blob
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
+
+const SINK_TYPES = {
+    webhook: JsonWebhookSink,
+    form: FormPostSink,
+    beacon: BeaconSink,
+    download: DownloadSink
+};
+
+const ResultSinks = {
+    types: Object.keys(SINK_TYPES),
+
+    /**
+     * @param {{id: string, type: string, url?: string}} config
+     * @returns {{id: string, send: function(object): Promise<void>}}
+     */
+    create(config) {
+        const SinkClass = SINK_TYPES[config.type];
+        if (!SinkClass) {
+            throw new Error(`Unknown result sink type: ${config.type}`);
+        }
+        return new SinkClass(config);
+    },
+
+    // Returns a list of human-readable problems; empty when the sink config is usable
+    validateSink(name, config) {
+        const errors = [];
+        if (!config || !SINK_TYPES[config.type]) {
+            errors.push(`sinks.${name}.type must be one of ${ResultSinks.types.join(', ')}`);
+            return errors;
+        }
+        if (config.type !== 'download') {
+            let url = null;
+            try {
+                url = new URL(config.url);
+            } catch (error) {
+                // Reported below
+            }
+            if (!url || !['https:', 'http:'].includes(url.protocol)) {
+                errors.push(`sinks.${name}.url must be an http(s) URL`);
+            }
+        }
+        return errors;
+    },
+
+    validateConfig(config) {
+        if (!config || typeof config !== 'object' || !config.sinks || typeof config.sinks !== 'object') {
+            return ['sink config must have a "sinks" object'];
+        }
+
+        const errors = [];
+        Object.entries(config.sinks).forEach(([name, sink]) => {
+            errors.push(...ResultSinks.validateSink(name, sink));
+        });
+        if (!Array.isArray(config.defaultSinks) || config.defaultSinks.length === 0) {
+            errors.push('defaultSinks must be a non-empty array');
+        } else {
+            config.defaultSinks.filter(name => !config.sinks[name]).forEach(name => {
+                errors.push(`defaultSinks names unknown sink "${name}"`);
+            });
+        }
+        return errors;
+    },
+
+    async loadConfig(url = SINK_CONFIG_URL) {
+        const response = await fetch(url, { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(`Result sink config could not be loaded (status ${response.status})`);
+        }
+
+        const config = await response.json();
+        const errors = ResultSinks.validateConfig(config);
+        if (errors.length > 0) {
+            throw new Error(`Invalid result sink config: ${errors.join('; ')}`);
+        }
+        return config;
+    },
+
+    /**
+     * Pick this session's sinks: ?sinks= wins over the study's list, which wins over defaultSinks.
+     * @returns {Array<{id: string, type: string, url?: string}>}
+     */
+    select(config, studySinks = null, search = window.location.search) {
+        const fromUrl = new URLSearchParams(search).get('sinks');
+        const names = fromUrl
+            ? fromUrl.split(',').map(name => name.trim()).filter(Boolean)
+            : (studySinks || config.defaultSinks);
+
+        const unknown = names.filter(name => !config.sinks[name]);
+        if (unknown.length > 0) {
+            throw new Error(`Unknown result sink(s): ${unknown.join(', ')}`);
+        }
+        if (names.length === 0) {
+            throw new Error('No result sinks selected');
+        }
+
+        return [...new Set(names)].map(name => ({ id: name, ...config.sinks[name] }));
+    }
+};
+
+window.ResultSinks = ResultSinks;
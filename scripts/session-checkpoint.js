@@ -0,0 +1,159 @@
+/**
+ * Session Checkpoint - Saves quiz progress to IndexedDB after every answered question
+ * so a reload or crashed tab can resume where the participant left off.
+ *
+ * One checkpoint per browser: { id: 'current', studyId, studyVersion, savedAt, expiresAt, state }
+ * state holds the trial list, each question's version mapping and selections, behaviour data, the
+ * screen transition log, the headphone check result, the current index and the UserManager session
+ * (responses live in its studyProgress).
+ * Audio is never stored: recordings, processed versions and their object URLs are dropped
+ * before saving, so a resumed session records the current question again.
+ */
+
+const CHECKPOINT_DB_NAME = 'voiceQuizCheckpoint';
+const CHECKPOINT_STORE = 'checkpoints';
+const CHECKPOINT_DB_VERSION = 1;
+const CHECKPOINT_ID = 'current';
+const CHECKPOINT_DEFAULT_EXPIRY_MINUTES = 120;
+
+// Question fields that hold audio (see handleQuestionProcessed)
+const CHECKPOINT_AUDIO_KEYS = ['urls', 'processed'];
+
+class SessionCheckpoint {
+    constructor() {
+        this.dbPromise = null;
+        this.memory = null; // Fallback when IndexedDB is unavailable; resume then only survives in-page restarts
+    }
+
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Plain-data copy without audio: typed arrays, buffers, blobs, functions and the
+     * audio keys are dropped at any depth.
+     */
+    static sanitize(value) {
+        if (value === null || typeof value !== 'object') {
+            return typeof value === 'function' ? undefined : value;
+        }
+        if (ArrayBuffer.isView(value) || value instanceof ArrayBuffer ||
+            (typeof Blob !== 'undefined' && value instanceof Blob) ||
+            (typeof AudioBuffer !== 'undefined' && value instanceof AudioBuffer)) {
+            return undefined;
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => SessionCheckpoint.sanitize(item) ?? null);
+        }
+
+        const copy = {};
+        Object.entries(value).forEach(([key, item]) => {
+            if (CHECKPOINT_AUDIO_KEYS.includes(key)) return;
+            const clean = SessionCheckpoint.sanitize(item);
+            if (clean !== undefined) {
+                copy[key] = clean;
+            }
+        });
+        return copy;
+    }
+
+    /**
+     * Replace the checkpoint with the current state.
+     * @param {object} state - Quiz state (see VoiceQuizApp.saveCheckpoint)
+     * @param {{studyId: string, studyVersion: string, expiresAfterMinutes?: number}} options
+     */
+    async save(state, { studyId, studyVersion, expiresAfterMinutes = CHECKPOINT_DEFAULT_EXPIRY_MINUTES }) {
+        const now = Date.now();
+        const record = {
+            id: CHECKPOINT_ID,
+            studyId,
+            studyVersion,
+            savedAt: new Date(now).toISOString(),
+            expiresAt: now + expiresAfterMinutes * 60 * 1000,
+            state: JSON.parse(JSON.stringify(SessionCheckpoint.sanitize(state)))
+        };
+
+        if (!await this._open()) {
+            this.memory.set(CHECKPOINT_ID, record);
+        } else {
+            await this._request('readwrite', store => store.put(record));
+        }
+        return record;
+    }
+
+    /**
+     * The checkpoint for this study, or null. Expired checkpoints and ones from another
+     * study or study version are deleted rather than offered.
+     */
+    async load({ studyId, studyVersion }) {
+        const record = await this._open()
+            ? await this._request('readonly', store => store.get(CHECKPOINT_ID))
+            : this.memory.get(CHECKPOINT_ID);
+        if (!record) return null;
+
+        if (record.expiresAt <= Date.now()) {
+            console.log('🗑️ Discarding expired checkpoint from', record.savedAt);
+            await this.clear();
+            return null;
+        }
+        if (record.studyId !== studyId || record.studyVersion !== studyVersion) {
+            console.log(`🗑️ Discarding checkpoint for study ${record.studyId} v${record.studyVersion}`);
+            await this.clear();
+            return null;
+        }
+        return record;
+    }
+
+    async clear() {
+        if (!await this._open()) {
+            this.memory.delete(CHECKPOINT_ID);
+            return;
+        }
+        await this._request('readwrite', store => store.delete(CHECKPOINT_ID));
+    }
+
+    // Resolves true when IndexedDB is usable, false when running on the in-memory fallback
+    async _open() {
+        if (this.memory) return false;
+
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (!SessionCheckpoint.isSupported()) {
+                    reject(new Error('IndexedDB not available'));
+                    return;
+                }
+                const request = indexedDB.open(CHECKPOINT_DB_NAME, CHECKPOINT_DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(CHECKPOINT_STORE)) {
+                        db.createObjectStore(CHECKPOINT_STORE, { keyPath: 'id' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+
+        try {
+            await this.dbPromise;
+            return true;
+        } catch (error) {
+            console.warn('⚠️ Session checkpoint falling back to memory:', error.message || error);
+            this.memory = new Map();
+            return false;
+        }
+    }
+
+    async _request(mode, operation) {
+        const db = await this.dbPromise;
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(CHECKPOINT_STORE, mode);
+            const request = operation(transaction.objectStore(CHECKPOINT_STORE));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+}
+
+window.SessionCheckpoint = SessionCheckpoint;
@@ -0,0 +1,353 @@
+/**
+ * Session Dashboard - Loads exported session payloads into dashboard.html and draws the charts
+ * Files are read locally (file input or drag-and-drop); nothing is uploaded. Accepts .json files
+ * holding one payload or an array of them, and .jsonl files with one payload per line.
+ * Statistics come from PreferenceAnalysis and DataQuality, charts from CanvasCharts.
+ */
+
+const DASHBOARD_SIDE_BINS = 5;
+
+class SessionDashboard {
+    constructor(root = document) {
+        this.root = root;
+        this.sessions = new Map(); // sessionId -> payload; a re-loaded session replaces the old copy
+        this.problems = [];
+
+        this.bindInputs();
+        this.render();
+    }
+
+    /**
+     * Parse one file's text into session payloads.
+     * @returns {{payloads: object[], errors: string[]}}
+     */
+    static parseFile(name, text) {
+        const payloads = [];
+        const errors = [];
+        const add = (value, where) => {
+            (Array.isArray(value) ? value : [value]).forEach(item => {
+                if (SessionDashboard.isSessionPayload(item)) {
+                    payloads.push(item);
+                } else {
+                    errors.push(`${where}: not a session payload`);
+                }
+            });
+        };
+
+        const trimmed = text.trim();
+        if (/\.jsonl$/i.test(name) || (!trimmed.startsWith('[') && trimmed.includes('\n{'))) {
+            trimmed.split(/\r?\n/).forEach((line, index) => {
+                if (!line.trim()) return;
+                try {
+                    add(JSON.parse(line), `${name}:${index + 1}`);
+                } catch (error) {
+                    errors.push(`${name}:${index + 1}: ${error.message}`);
+                }
+            });
+        } else {
+            try {
+                add(JSON.parse(trimmed), name);
+            } catch (error) {
+                errors.push(`${name}: ${error.message}`);
+            }
+        }
+        return { payloads, errors };
+    }
+
+    // Contact payloads and other JSON have no responses array
+    static isSessionPayload(value) {
+        return !!value && typeof value === 'object' && typeof value.sessionId === 'string' && Array.isArray(value.responses);
+    }
+
+    static browserName(userAgent = '') {
+        if (/Edg\//.test(userAgent)) return 'Edge';
+        if (/OPR\/|Opera/.test(userAgent)) return 'Opera';
+        if (/Firefox\//.test(userAgent)) return 'Firefox';
+        if (/Chrome\/|CriOS\//.test(userAgent)) return 'Chrome';
+        if (/Safari\//.test(userAgent)) return 'Safari';
+        return userAgent ? 'Other' : 'Unknown';
+    }
+
+    static median(values) {
+        if (values.length === 0) return null;
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+
+    /**
+     * Everything the charts need, computed from the loaded payloads.
+     * With excludeFlagged, sessions DataQuality excludes are left out of the preference, timing,
+     * side and device charts; the quality and catch-trial panels always cover every loaded session.
+     */
+    static summarize(payloads, { excludeFlagged = false } = {}) {
+        const quality = new Map(payloads.map(payload => [payload.sessionId, DataQuality.assessPayload(payload)]));
+        const included = excludeFlagged ? payloads.filter(payload => !quality.get(payload.sessionId).excluded) : payloads;
+        const analysis = PreferenceAnalysis.analyzeSessions(included);
+
+        // Response times (seconds) are measured from the start of the recording, not from playback
+        const responseTimes = { all: [], byType: {} };
+        included.forEach(payload => payload.responses.forEach(response => {
+            if (!(response.responseTime > 0)) return;
+            const type = response.isCatch ? 'catch' : response.trialType === 'staircase' ? 'staircase' : response.responseType || 'choice';
+            (responseTimes.byType[type] = responseTimes.byType[type] || []).push(response.responseTime);
+            // The histogram shows preference trials (choice and pair) only
+            if (type === 'choice' || type === 'pair') responseTimes.all.push(response.responseTime);
+        }));
+
+        // A catch trial fails when it was answered without hearing both sides (sessions before
+        // schema 1.3.0 have no playback data and can't be checked)
+        let catchTrials = 0;
+        let catchFailures = 0;
+        let catchChecked = 0;
+        const flagCounts = Object.fromEntries(DataQuality.FLAGS.map(flag => [flag, 0]));
+        let excluded = 0;
+        quality.forEach(result => {
+            const { value, trials } = result.checks.catchUnheard;
+            catchTrials += trials;
+            if (value !== null) {
+                catchChecked += trials;
+                catchFailures += value;
+            }
+            result.flags.forEach(flag => { flagCounts[flag]++; });
+            if (result.excluded) excluded++;
+        });
+
+        const devices = { type: {}, browser: {}, platform: {} };
+        included.forEach(payload => {
+            const info = payload.deviceInfo || {};
+            const count = (group, key) => { devices[group][key] = (devices[group][key] || 0) + 1; };
+            count('type', info.type || 'unknown');
+            count('browser', SessionDashboard.browserName(info.userAgent));
+            count('platform', info.platform || 'unknown');
+        });
+
+        return {
+            analysis,
+            quality,
+            qualitySummary: {
+                sessions: quality.size,
+                excluded,
+                flagCounts,
+                medianScore: SessionDashboard.median(Array.from(quality.values(), result => result.score))
+            },
+            responseTimes,
+            catchSummary: {
+                trials: catchTrials,
+                checked: catchChecked,
+                failures: catchFailures,
+                failureRate: PreferenceAnalysis.proportion(catchFailures, catchChecked)
+            },
+            devices
+        };
+    }
+
+    bindInputs() {
+        const input = this.root.getElementById('file-input');
+        const dropZone = this.root.getElementById('drop-zone');
+        const clearButton = this.root.getElementById('clear-sessions');
+        const excludeToggle = this.root.getElementById('exclude-flagged');
+
+        if (input) {
+            input.addEventListener('change', () => {
+                this.loadFiles(input.files);
+                input.value = '';
+            });
+        }
+        if (dropZone) {
+            ['dragenter', 'dragover'].forEach(type => dropZone.addEventListener(type, event => {
+                event.preventDefault();
+                dropZone.classList.add('dragging');
+            }));
+            ['dragleave', 'drop'].forEach(type => dropZone.addEventListener(type, () => dropZone.classList.remove('dragging')));
+            dropZone.addEventListener('drop', event => {
+                event.preventDefault();
+                this.loadFiles(event.dataTransfer.files);
+            });
+        }
+        if (clearButton) {
+            clearButton.addEventListener('click', () => {
+                this.sessions.clear();
+                this.problems = [];
+                this.render();
+            });
+        }
+
+        if (excludeToggle) {
+            excludeToggle.addEventListener('change', () => this.render());
+        }
+
+        // Canvas sizes follow the layout
+        window.addEventListener('resize', () => this.render());
+    }
+
+    async loadFiles(fileList) {
+        for (const file of Array.from(fileList || [])) {
+            try {
+                const { payloads, errors } = SessionDashboard.parseFile(file.name, await file.text());
+                payloads.forEach(payload => this.sessions.set(payload.sessionId, payload));
+                this.problems.push(...errors);
+                console.log(`📂 ${file.name}: ${payloads.length} session(s), ${errors.length} problem(s)`);
+            } catch (error) {
+                this.problems.push(`${file.name}: ${error.message}`);
+            }
+        }
+        this.render();
+    }
+
+    render() {
+        const payloads = Array.from(this.sessions.values());
+        const excludeFlagged = !!this.root.getElementById('exclude-flagged')?.checked;
+        const summary = SessionDashboard.summarize(payloads, { excludeFlagged });
+        const { analysis, qualitySummary } = summary;
+
+        this.setText('load-status', payloads.length === 0
+            ? 'No sessions loaded'
+            : `${analysis.sessions} session(s) from ${analysis.participantCount} participant(s)` +
+              (excludeFlagged ? `, ${qualitySummary.excluded} excluded session(s) left out` : ''));
+        const problemList = this.root.getElementById('load-problems');
+        if (problemList) {
+            problemList.replaceChildren(...this.problems.slice(-20).map(problem => {
+                const item = this.root.createElement('li');
+                item.textContent = problem;
+                return item;
+            }));
+        }
+
+        this.renderPreference(analysis.pooled);
+        this.renderResponseTimes(summary.responseTimes);
+        this.renderCatchTrials(summary.catchSummary);
+        this.renderQuality(qualitySummary);
+        this.renderSideBias(analysis);
+        ['type', 'browser', 'platform'].forEach(group => {
+            this.draw(`device-${group}-chart`, canvas => CanvasCharts.categoryChart(canvas, summary.devices[group]));
+        });
+        this.renderSessionTable(payloads, analysis, summary.quality);
+    }
+
+    renderPreference(pooled) {
+        const bars = Object.entries(pooled.processedByMode).map(([mode, result]) => ({
+            label: mode,
+            value: result.proportion,
+            lower: result.ci95?.lower,
+            upper: result.ci95?.upper,
+            note: `n=${result.trials}, p=${result.pValue}`
+        }));
+        this.draw('preference-chart', canvas => CanvasCharts.barChart(canvas, bars, {
+            max: 1, reference: 0.5, format: value => `${Math.round(value * 100)}%`
+        }));
+
+        const scale = pooled.scale;
+        const scaleBars = scale ? scale.ranking.map(item => ({
+            label: item,
+            value: scale.scale[item].logStrength,
+            lower: scale.scale[item].se === null ? undefined : scale.scale[item].logStrength - 1.96 * scale.scale[item].se,
+            upper: scale.scale[item].se === null ? undefined : scale.scale[item].logStrength + 1.96 * scale.scale[item].se,
+            color: item === scale.reference ? CanvasCharts.COLORS.muted : undefined
+        })) : [];
+        this.draw('scale-chart', canvas => CanvasCharts.barChart(canvas, scaleBars, {
+            min: 0, reference: 0, format: value => value.toFixed(1)
+        }));
+        this.setText('preference-caption', pooled.processedOverall.trials > 0
+            ? `Processed chosen on ${pooled.processedOverall.successes} of ${pooled.processedOverall.trials} raw comparisons ` +
+              `(${Math.round(pooled.processedOverall.proportion * 100)}%, p=${pooled.processedOverall.pValue}). ` +
+              `Participants preferring processed: ${pooled.participants.overall.preferProcessed} vs raw: ${pooled.participants.overall.preferRaw}.`
+            : '');
+    }
+
+    renderResponseTimes(responseTimes) {
+        this.draw('response-time-chart', canvas => CanvasCharts.histogram(canvas, responseTimes.all, { unit: 's' }));
+        this.setText('response-time-caption', Object.entries(responseTimes.byType)
+            .map(([type, values]) => `${type}: median ${SessionDashboard.median(values).toFixed(1)}s (n=${values.length})`)
+            .join(' · '));
+    }
+
+    renderCatchTrials(catchSummary) {
+        const { trials, checked, failures, failureRate } = catchSummary;
+        this.draw('catch-chart', canvas => CanvasCharts.barChart(canvas, checked > 0 ? [
+            { label: 'heard both', value: checked - failures },
+            { label: 'failed', value: failures, color: CanvasCharts.COLORS.reference }
+        ] : [], { format: value => String(Math.round(value)) }));
+        this.setText('catch-caption', trials === 0
+            ? 'No catch trials in the loaded sessions'
+            : `Failure rate ${checked > 0 ? `${Math.round(failureRate.proportion * 100)}% [${Math.round(failureRate.ci95.lower * 100)}–${Math.round(failureRate.ci95.upper * 100)}%]` : 'n/a'} ` +
+              `of ${checked} checkable catch trial(s); ${trials - checked} from sessions without playback data could not be checked.`);
+    }
+
+    renderQuality(qualitySummary) {
+        const { sessions, excluded, flagCounts, medianScore } = qualitySummary;
+        this.draw('quality-chart', canvas => CanvasCharts.categoryChart(canvas,
+            sessions > 0 ? { ...flagCounts, excluded } : {}, { limit: DataQuality.FLAGS.length + 1 }));
+        this.setText('quality-caption', sessions > 0
+            ? `${excluded} of ${sessions} session(s) excluded by the thresholds they were collected with; median quality score ${medianScore.toFixed(2)}.`
+            : '');
+    }
+
+    renderSideBias(analysis) {
+        // Participants binned by how often they chose the left card
+        const bins = new Array(DASHBOARD_SIDE_BINS).fill(0);
+        analysis.participants.forEach(participant => {
+            const rate = participant.sideBias.proportion;
+            if (rate === null) return;
+            bins[Math.min(DASHBOARD_SIDE_BINS - 1, Math.floor(rate * DASHBOARD_SIDE_BINS))]++;
+        });
+        const bars = bins.map((count, i) => ({
+            label: `${(i * 100) / DASHBOARD_SIDE_BINS}–${((i + 1) * 100) / DASHBOARD_SIDE_BINS}%`,
+            value: count
+        }));
+        this.draw('side-chart', canvas => CanvasCharts.barChart(canvas, analysis.participantCount > 0 ? bars : [], {
+            format: value => String(Math.round(value))
+        }));
+
+        const pooled = analysis.pooled.sideBias;
+        this.setText('side-caption', pooled.trials > 0
+            ? `Left chosen on ${Math.round(pooled.proportion * 100)}% of ${pooled.trials} choices ` +
+              `[${Math.round(pooled.ci95.lower * 100)}–${Math.round(pooled.ci95.upper * 100)}%], p=${pooled.pValue}`
+            : '');
+    }
+
+    renderSessionTable(payloads, analysis, quality) {
+        const body = this.root.getElementById('session-rows');
+        if (!body) return;
+
+        const bySession = new Map();
+        analysis.participants.forEach(participant => participant.sessionIds.forEach(id => bySession.set(id, participant)));
+        const percent = value => (value === null ? '–' : `${Math.round(value * 100)}%`);
+
+        body.replaceChildren(...payloads.map(payload => {
+            const participant = bySession.get(payload.sessionId);
+            const row = this.root.createElement('tr');
+            [
+                payload.sessionId,
+                payload.completedAt ? payload.completedAt.slice(0, 16).replace('T', ' ') : '–',
+                payload.study ? `${payload.study.id} v${payload.study.version}` : '–',
+                payload.deviceInfo?.type || 'unknown',
+                String(payload.responses.length),
+                percent(participant?.processedOverall.proportion ?? null),
+                percent(participant?.sideBias.proportion ?? null),
+                quality.get(payload.sessionId).score.toFixed(2),
+                quality.get(payload.sessionId).exclusionReasons.join(', ') || '–'
+            ].forEach(value => {
+                const cell = this.root.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            return row;
+        }));
+    }
+
+    draw(id, drawChart) {
+        const canvas = this.root.getElementById(id);
+        if (canvas) drawChart(canvas);
+    }
+
+    setText(id, text) {
+        const element = this.root.getElementById(id);
+        if (element) element.textContent = text;
+    }
+}
+
+window.SessionDashboard = SessionDashboard;
+document.addEventListener('DOMContentLoaded', () => {
+    window.sessionDashboard = new SessionDashboard(document);
+});
@@ -0,0 +1,915 @@
+/**
+ * Study Protocol - Loads, validates and expands a declarative study definition
+ * Definitions live in studies/<name>.json and are selected with ?study=<name>
+ */
+
+import { processingPresets } from './processing-presets.js';
+import { Counterbalancing } from './counterbalancing.js';
+import { AdaptiveStaircase, STAIRCASE_DEFAULTS } from './adaptive-staircase.js';
+import { VAD_OPTIONS } from './voice-activity.js';
+import { RECORDING_QUALITY_OPTIONS } from './recording-quality.js';
+import { PREFLIGHT_OPTIONS } from './mic-preflight.js';
+import { HEADPHONE_CHECK_OPTIONS } from './headphone-check.js';
+
+const DEFAULT_STUDY = 'default';
+
+// 'choice': two-card forced choice against raw; 'mushra': one 0-100 rating screen per recording
+const RESPONSE_MODES = ['choice', 'mushra'];
+const MUSHRA_FIXED_STIMULI = ['raw', 'reference', 'anchor'];
+// 'drop': no identity in session payloads; 'pseudonym': a salted SHA-256 participantId
+const PRIVACY_IDENTITY_MODES = ['drop', 'pseudonym'];
+
+// Fisher-Yates shuffle on a copy
+function shuffled(items, random) {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
+
+const isNonNegativeInteger = (value) => Number.isInteger(value) && value >= 0;
+
+/**
+ * Check a study block (e.g. "voiceActivity") against the options its module declares.
+ * Options with a true/false default take booleans; every other option needs a range or choices.
+ * @param {object|null|undefined} options - The study's block; absent means all defaults
+ * @param {{block: string, defaults: object, ranges?: object, choices?: object, integers?: string[],
+ *          nullable?: string[], ordered?: Array<[string, string]>}} spec
+ *   ranges: [min, max] per number option; choices: allowed values (for a list option, allowed items);
+ *   ordered: [low, high] pairs where low must not exceed high once defaults are filled in
+ * @returns {string[]} Human-readable problems; empty when the block is usable
+ */
+function validateStudyOptions(options, { block, defaults, ranges = {}, choices = {}, integers = [], nullable = [], ordered = [] }) {
+    if (options === null || options === undefined) return [];
+    if (typeof options !== 'object' || Array.isArray(options)) {
+        return [`${block} must be an object`];
+    }
+
+    const errors = [];
+    Object.entries(options).forEach(([key, value]) => {
+        const name = `${block}.${key}`;
+        if (!(key in defaults)) {
+            errors.push(`${name} is not a known option`);
+        } else if (value === null && nullable.includes(key)) {
+            // null turns the option off
+        } else if (typeof defaults[key] === 'boolean') {
+            if (typeof value !== 'boolean') errors.push(`${name} must be true or false`);
+        } else if (Array.isArray(defaults[key])) {
+            if (!Array.isArray(value) || value.some(item => !choices[key].includes(item))) {
+                errors.push(`${name} must list values from ${choices[key].join(', ')}`);
+            }
+        } else if (choices[key]) {
+            if (!choices[key].includes(value)) errors.push(`${name} must be one of ${choices[key].join(', ')}`);
+        } else {
+            const [min, max] = ranges[key];
+            const kind = nullable.includes(key) ? 'null or a number' : 'a number';
+            if (typeof value !== 'number' || !(value >= min && value <= max)) {
+                errors.push(`${name} must be ${kind} ${max === Infinity ? `of at least ${min}` : `from ${min} to ${max}`}`);
+            } else if (integers.includes(key) && !Number.isInteger(value)) {
+                errors.push(`${name} must be a whole number`);
+            }
+        }
+    });
+    if (errors.length > 0) return errors;
+
+    const merged = { ...defaults, ...options };
+    ordered.forEach(([low, high]) => {
+        if (merged[low] > merged[high]) {
+            errors.push(`${block}.${low} must not exceed ${block}.${high}`);
+        }
+    });
+    return errors;
+}
+
+class StudyProtocol {
+    constructor(definition) {
+        const errors = StudyProtocol.validate(definition);
+        if (errors.length > 0) {
+            throw new Error(`Invalid study definition: ${errors.join('; ')}`);
+        }
+
+        this.definition = definition;
+        this.id = definition.id;
+        this.version = definition.version;
+    }
+
+    // Only bundled studies can be selected, so the name must be a plain file stem
+    static nameFromUrl(search = window.location.search) {
+        const name = new URLSearchParams(search).get('study');
+        if (!name) return DEFAULT_STUDY;
+
+        if (!/^[a-z0-9_-]+$/i.test(name)) {
+            throw new Error(`Invalid study name: ${name}`);
+        }
+        return name;
+    }
+
+    static async load(name = DEFAULT_STUDY) {
+        const url = `studies/${name}.json`;
+        console.log(`📋 Loading study definition: ${url}`);
+
+        const response = await fetch(url, { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(`Study definition "${name}" could not be loaded (status ${response.status})`);
+        }
+
+        const protocol = new StudyProtocol(await response.json());
+        console.log(`✅ Study loaded: ${protocol.id} v${protocol.version}`);
+        return protocol;
+    }
+
+    // Returns a list of human-readable problems; empty when the definition is usable
+    static validate(definition) {
+        const errors = [];
+
+        if (!definition || typeof definition !== 'object') {
+            return ['definition must be an object'];
+        }
+
+        if (typeof definition.id !== 'string' || !definition.id.trim()) {
+            errors.push('id must be a non-empty string');
+        }
+        if (typeof definition.version !== 'string' || !definition.version.trim()) {
+            errors.push('version must be a non-empty string');
+        }
+
+        const prompts = definition.prompts;
+        if (!Array.isArray(prompts) || prompts.some(p => typeof p !== 'string' || !p.trim())) {
+            errors.push('prompts must be an array of non-empty strings');
+        }
+
+        // Names from config/sinks.json; WebhookService checks they exist when it loads that file
+        if (definition.sinks !== undefined && (!Array.isArray(definition.sinks) || definition.sinks.length === 0 ||
+            definition.sinks.some(name => typeof name !== 'string' || !name.trim()))) {
+            errors.push('sinks must be a non-empty array of sink names');
+        }
+
+        // HMAC key for webhook payloads (see PayloadIntegrity); ships to the browser, so it is not a secret from participants
+        const signing = definition.signing;
+        if (signing !== undefined) {
+            if (!signing || typeof signing.keyId !== 'string' || !signing.keyId.trim()) {
+                errors.push('signing.keyId must be a non-empty string');
+            }
+            if (typeof signing?.secret !== 'string' || signing.secret.length < 32) {
+                errors.push('signing.secret must be a string of at least 32 characters');
+            }
+        }
+
+        // What happens to a registered participant's identity (see PrivacyGuard); anonymous sessions have none
+        const privacy = definition.privacy;
+        if (privacy !== undefined) {
+            if (!privacy || typeof privacy !== 'object') {
+                errors.push('privacy must be an object');
+            } else {
+                if (!PRIVACY_IDENTITY_MODES.includes(privacy.identity ?? 'drop')) {
+                    errors.push(`privacy.identity must be one of ${PRIVACY_IDENTITY_MODES.join(', ')}`);
+                }
+                if (privacy.identity === 'pseudonym' && (typeof privacy.salt !== 'string' || privacy.salt.length < 16)) {
+                    errors.push('privacy.salt must be a string of at least 16 characters when identity is "pseudonym"');
+                }
+                if (privacy.contactSink !== undefined && (typeof privacy.contactSink !== 'string' || !privacy.contactSink.trim())) {
+                    errors.push('privacy.contactSink must be a sink name');
+                } else if (privacy.contactSink && (definition.sinks || []).includes(privacy.contactSink)) {
+                    errors.push('privacy.contactSink must not also be one of the study\'s result sinks');
+                }
+            }
+        }
+
+        // Exclusion thresholds (DataQuality is a classic script, shared with the Node tools)
+        errors.push(...validateStudyOptions(definition.quality, window.DataQuality.OPTIONS));
+
+        // How long an interrupted session can be resumed (see SessionCheckpoint)
+        const resume = definition.resume;
+        if (resume !== undefined && !(resume && typeof resume.expiresAfterMinutes === 'number' && resume.expiresAfterMinutes > 0)) {
+            errors.push('resume.expiresAfterMinutes must be a positive number of minutes');
+        }
+
+        // Silence trimming, the recording quality gate, the microphone check and the headphone check
+        [VAD_OPTIONS, RECORDING_QUALITY_OPTIONS, PREFLIGHT_OPTIONS, HEADPHONE_CHECK_OPTIONS].forEach(spec => {
+            errors.push(...validateStudyOptions(definition[spec.block], spec));
+        });
+
+        const responseMode = definition.responseMode ?? 'choice';
+        if (!RESPONSE_MODES.includes(responseMode)) {
+            errors.push(`responseMode must be one of ${RESPONSE_MODES.join(', ')}`);
+        }
+        const isMushra = responseMode === 'mushra';
+
+        const knownModes = processingPresets.getModes();
+        const conditions = definition.conditions;
+        let realTrials = 0;
+
+        if (!Array.isArray(conditions) || conditions.length === 0) {
+            errors.push('conditions must be a non-empty array');
+        } else {
+            const seen = new Set();
+            conditions.forEach((condition, index) => {
+                if (!condition || !knownModes.includes(condition.type)) {
+                    errors.push(`conditions[${index}].type must be one of ${knownModes.join(', ')}`);
+                } else if (seen.has(condition.type)) {
+                    errors.push(`conditions[${index}].type "${condition.type}" is listed twice`);
+                } else {
+                    seen.add(condition.type);
+                }
+
+                // Rating trials present every condition at once, so repetitions only apply to choice mode
+                if (isMushra) return;
+                if (!condition || !Number.isInteger(condition.repetitions) || condition.repetitions < 1) {
+                    errors.push(`conditions[${index}].repetitions must be a positive integer`);
+                } else {
+                    realTrials += condition.repetitions;
+                }
+            });
+        }
+
+        if (isMushra) {
+            const mushra = definition.mushra || {};
+            if (!Number.isInteger(mushra.trials) || mushra.trials < 1) {
+                errors.push('mushra.trials must be a positive integer');
+            } else {
+                realTrials = mushra.trials;
+            }
+            if (mushra.anchorLowpassHz !== undefined && !(mushra.anchorLowpassHz > 0 && mushra.anchorLowpassHz < 20000)) {
+                errors.push('mushra.anchorLowpassHz must be between 0 and 20000');
+            }
+            // The hidden reference and anchor take over the job of catch trials
+            ['catchTrials', 'sideBalancing', 'counterbalancing', 'staircase', 'abx', 'adjustment', 'pairedComparison'].forEach(key => {
+                if (definition[key] !== undefined) {
+                    errors.push(`${key} is not used when responseMode is "mushra"`);
+                }
+            });
+        }
+
+        if (Array.isArray(prompts) && prompts.length < realTrials) {
+            errors.push(`${realTrials} trials need at least ${realTrials} prompts, got ${prompts.length}`);
+        }
+
+        const catchTrials = definition.catchTrials;
+        if (catchTrials !== undefined) {
+            if (!catchTrials || typeof catchTrials !== 'object' || Array.isArray(catchTrials)) {
+                errors.push('catchTrials must be an object');
+            } else {
+                const count = catchTrials.count;
+                const placement = catchTrials.placement || {};
+
+                if (!isNonNegativeInteger(count)) {
+                    errors.push('catchTrials.count must be a non-negative integer');
+                } else if (count > 0) {
+                    if (!Array.isArray(catchTrials.prompts) || catchTrials.prompts.length < count) {
+                        errors.push(`catchTrials.prompts must contain at least ${count} prompts`);
+                    }
+
+                    const excludeFirst = placement.excludeFirst || 0;
+                    const excludeLast = placement.excludeLast || 0;
+                    const minGap = placement.minGap || 0;
+
+                    if (![excludeFirst, excludeLast, minGap].every(isNonNegativeInteger)) {
+                        errors.push('catchTrials.placement values must be non-negative integers');
+                    } else {
+                        const slots = realTrials + count - excludeFirst - excludeLast;
+                        const needed = count + (count - 1) * minGap;
+                        if (slots < needed) {
+                            errors.push(`catch placement needs ${needed} eligible positions but only ${Math.max(0, slots)} exist`);
+                        }
+                    }
+                }
+            }
+        }
+
+        const maxImbalance = definition.sideBalancing?.maxImbalance;
+        if (maxImbalance !== undefined) {
+            if (!isNonNegativeInteger(maxImbalance)) {
+                errors.push('sideBalancing.maxImbalance must be a non-negative integer');
+            } else if (maxImbalance < realTrials % 2) {
+                errors.push(`${realTrials} trials cannot be split with an imbalance of ${maxImbalance}`);
+            }
+        }
+
+        const counterbalancing = definition.counterbalancing;
+        if (counterbalancing !== undefined && !['williams', 'latin'].includes(counterbalancing?.design)) {
+            errors.push('counterbalancing.design must be "williams" or "latin"');
+        }
+
+        const abx = definition.abx;
+        if (abx !== undefined && !isMushra) {
+            let abxTrials = 0;
+            if (!abx || !Array.isArray(abx.conditions) || abx.conditions.length === 0) {
+                errors.push('abx.conditions must be a non-empty array');
+            } else {
+                abx.conditions.forEach((condition, index) => {
+                    if (!condition || !knownModes.includes(condition.type)) {
+                        errors.push(`abx.conditions[${index}].type must be one of ${knownModes.join(', ')}`);
+                    }
+                    if (!condition || !Number.isInteger(condition.repetitions) || condition.repetitions < 1) {
+                        errors.push(`abx.conditions[${index}].repetitions must be a positive integer`);
+                    } else {
+                        abxTrials += condition.repetitions;
+                    }
+                });
+            }
+            if (!Array.isArray(abx?.prompts) || abx.prompts.length < abxTrials ||
+                abx.prompts.some(p => typeof p !== 'string' || !p.trim())) {
+                errors.push(`abx.prompts must contain at least ${abxTrials} non-empty prompts`);
+            }
+        }
+
+        const pairedComparison = definition.pairedComparison;
+        if (pairedComparison !== undefined && !isMushra) {
+            const repetitions = pairedComparison?.repetitions ?? 1;
+            if (!Number.isInteger(repetitions) || repetitions < 1) {
+                errors.push('pairedComparison.repetitions must be a positive integer');
+            }
+
+            let pairs = [];
+            if (pairedComparison?.pairs !== undefined) {
+                if (!Array.isArray(pairedComparison.pairs) || pairedComparison.pairs.length === 0) {
+                    errors.push('pairedComparison.pairs must be a non-empty array');
+                } else {
+                    pairedComparison.pairs.forEach((pair, index) => {
+                        if (!Array.isArray(pair) || pair.length !== 2 || pair[0] === pair[1] ||
+                            pair.some(mode => !knownModes.includes(mode))) {
+                            errors.push(`pairedComparison.pairs[${index}] must be two different modes from ${knownModes.join(', ')}`);
+                        }
+                    });
+                    pairs = pairedComparison.pairs;
+                }
+            } else if (Array.isArray(conditions)) {
+                pairs = StudyProtocol.allPairs(conditions.map(c => c?.type));
+                if (pairs.length === 0) {
+                    errors.push('pairedComparison needs at least two conditions to pair');
+                }
+            }
+
+            const pairTrials = pairs.length * (Number.isInteger(repetitions) ? repetitions : 0);
+            if (!Array.isArray(pairedComparison?.prompts) || pairedComparison.prompts.length < pairTrials ||
+                pairedComparison.prompts.some(p => typeof p !== 'string' || !p.trim())) {
+                errors.push(`pairedComparison.prompts must contain at least ${pairTrials} non-empty prompts`);
+            }
+        }
+
+        const adjustment = definition.adjustment;
+        if (adjustment !== undefined && !isMushra) {
+            if (!adjustment || typeof adjustment.prompt !== 'string' || !adjustment.prompt.trim()) {
+                errors.push('adjustment.prompt must be a non-empty string');
+            }
+            if (adjustment?.basedOn !== undefined && !knownModes.includes(adjustment.basedOn)) {
+                errors.push(`adjustment.basedOn must be one of ${knownModes.join(', ')}`);
+            }
+            if (adjustment?.excerptSeconds !== undefined && !(adjustment.excerptSeconds >= 1 && adjustment.excerptSeconds <= 10)) {
+                errors.push('adjustment.excerptSeconds must be between 1 and 10');
+            }
+        }
+
+        const staircase = definition.staircase;
+        if (staircase !== undefined) {
+            if (!staircase || typeof staircase.prompt !== 'string' || !staircase.prompt.trim()) {
+                errors.push('staircase.prompt must be a non-empty string');
+            }
+            if (staircase?.basedOn !== undefined && !knownModes.includes(staircase.basedOn)) {
+                errors.push(`staircase.basedOn must be one of ${knownModes.join(', ')}`);
+            }
+
+            const limits = processingPresets.getLimits().pitchCents;
+            const options = StudyProtocol.staircaseOptions(staircase || {});
+            const outOfRange = ['startCents', 'minCents', 'maxCents']
+                .filter(key => !(options[key] >= limits.min && options[key] <= limits.max));
+            if (outOfRange.length > 0) {
+                errors.push(`staircase ${outOfRange.join(', ')} must lie within the preset range ${limits.min}..${limits.max} cents`);
+            }
+            try {
+                new AdaptiveStaircase(options);
+            } catch (staircaseError) {
+                errors.push(staircaseError.message);
+            }
+        }
+
+        return errors;
+    }
+
+    // Procedure settings of a staircase block, defaults filled in
+    static staircaseOptions(staircase) {
+        const options = { ...STAIRCASE_DEFAULTS };
+        Object.keys(STAIRCASE_DEFAULTS).forEach(key => {
+            if (staircase[key] !== undefined) options[key] = staircase[key];
+        });
+        return options;
+    }
+
+    // Every unordered pair of distinct modes, in listing order
+    static allPairs(modes) {
+        const pairs = [];
+        modes.forEach((a, i) => modes.slice(i + 1).forEach(b => pairs.push([a, b])));
+        return pairs;
+    }
+
+    // Processed-vs-processed pairs of the paired-comparison block; all condition pairs unless listed
+    getComparisonPairs() {
+        const pairedComparison = this.definition.pairedComparison;
+        if (!pairedComparison) return [];
+        return pairedComparison.pairs || StudyProtocol.allPairs(this.definition.conditions.map(c => c.type));
+    }
+
+    getResponseMode() {
+        return this.definition.responseMode || 'choice';
+    }
+
+    getRealTrialCount() {
+        if (this.getResponseMode() === 'mushra') {
+            return this.definition.mushra.trials;
+        }
+        return this.definition.conditions.reduce((sum, c) => sum + c.repetitions, 0);
+    }
+
+    getCatchTrialCount() {
+        return this.definition.catchTrials?.count || 0;
+    }
+
+    getAbxTrialCount() {
+        const abx = this.definition.abx;
+        return abx ? abx.conditions.reduce((sum, c) => sum + c.repetitions, 0) : 0;
+    }
+
+    getPairTrialCount() {
+        return this.getComparisonPairs().length * (this.definition.pairedComparison?.repetitions ?? 1);
+    }
+
+    getAdjustmentTrialCount() {
+        return this.definition.adjustment ? 1 : 0;
+    }
+
+    getStaircaseTrialCount() {
+        return this.definition.staircase ? 1 : 0;
+    }
+
+    getTotalTrialCount() {
+        return this.getRealTrialCount() + this.getCatchTrialCount() + this.getPairTrialCount() +
+            this.getAbxTrialCount() + this.getAdjustmentTrialCount() + this.getStaircaseTrialCount();
+    }
+
+    // The constraints verifyTrialLogic() and logQuizDistribution() check against
+    getExpectedDistribution() {
+        const placement = this.definition.catchTrials?.placement || {};
+        const isMushra = this.getResponseMode() === 'mushra';
+        const conditions = {};
+        this.definition.conditions.forEach(c => {
+            conditions[c.type] = isMushra ? this.definition.mushra.trials : c.repetitions;
+        });
+        const abxConditions = {};
+        (this.definition.abx?.conditions || []).forEach(c => { abxConditions[c.type] = c.repetitions; });
+        const pairs = {};
+        this.getComparisonPairs().forEach(pair => {
+            const key = StudyProtocol.pairKey(pair);
+            pairs[key] = (pairs[key] || 0) + (this.definition.pairedComparison.repetitions ?? 1);
+        });
+
+        return {
+            responseMode: this.getResponseMode(),
+            totalTrials: this.getTotalTrialCount(),
+            realTrials: this.getRealTrialCount(),
+            catchTrials: this.getCatchTrialCount(),
+            pairTrials: this.getPairTrialCount(),
+            abxTrials: this.getAbxTrialCount(),
+            adjustmentTrials: this.getAdjustmentTrialCount(),
+            staircaseTrials: this.getStaircaseTrialCount(),
+            conditions,
+            pairs,
+            abxConditions,
+            maxImbalance: this.definition.sideBalancing?.maxImbalance ?? this.getRealTrialCount(),
+            catchPlacement: {
+                excludeFirst: placement.excludeFirst || 0,
+                excludeLast: placement.excludeLast || 0,
+                minGap: placement.minGap || 0
+            }
+        };
+    }
+
+    // Fresh procedure for the staircase trial; null when the study has none
+    createStaircase() {
+        if (!this.definition.staircase) return null;
+        return new AdaptiveStaircase(StudyProtocol.staircaseOptions(this.definition.staircase));
+    }
+
+    // Null when the study leaves condition order to per-session shuffling
+    createCounterbalancing() {
+        const design = this.definition.counterbalancing?.design;
+        if (!design) return null;
+        return new Counterbalancing(this.definition.conditions.map(c => c.type), design);
+    }
+
+    /**
+     * Expand the definition into an ordered trial list.
+     * @param {function(): number} random - Source of randomness in [0, 1)
+     * @param {object|null} assignment - Row from Counterbalancing.assign(); fixes condition order and sides
+     */
+    generateTrials(random = Math.random, assignment = null) {
+        const definition = this.definition;
+        const expected = this.getExpectedDistribution();
+
+        if (expected.responseMode === 'mushra') {
+            return this._mushraTrials(random);
+        }
+
+        // 1-2) Condition order and processed side
+        const { modes, sides } = assignment
+            ? this._counterbalancedOrder(assignment)
+            : this._shuffledOrder(random);
+
+        const realTrials = modes.map((mode, i) => {
+            const leftIsProc = sides[i] === 'procLeft';
+            return {
+                type: mode,
+                isCatch: false,
+                question: definition.prompts[i],
+                hint: definition.promptHint || 'Take your time and speak naturally',
+                comparisonSetup: {
+                    leftVersion: leftIsProc ? mode : 'raw',
+                    rightVersion: leftIsProc ? 'raw' : mode,
+                    correctAnswer: leftIsProc ? 'left' : 'right' // For analysis
+                }
+            };
+        });
+
+        // 3) Catch trials (raw vs raw) at positions that satisfy the placement rules
+        const positions = this._pickCatchPositions(expected, random);
+        const trials = [...realTrials];
+        positions.forEach((position, i) => {
+            trials.splice(position, 0, {
+                type: 'raw',
+                isCatch: true,
+                question: definition.catchTrials.prompts[i],
+                hint: definition.catchTrials.hint || 'Listen carefully',
+                comparisonSetup: {
+                    leftVersion: 'raw',
+                    rightVersion: 'raw',
+                    correctAnswer: 'either' // Both should sound identical
+                }
+            });
+        });
+
+        // 3b) Processed-vs-processed pairs after the raw comparisons, so the modes can be ranked against each other
+        if (definition.pairedComparison) {
+            trials.push(...this._pairTrials(random));
+        }
+
+        // 4) ABX discrimination block after the preference trials, so nobody is told a difference exists first
+        if (definition.abx) {
+            trials.push(...this._abxTrials(random));
+        }
+
+        // 5) Method of adjustment: the participant tunes their own recording with one slider
+        if (definition.adjustment) {
+            trials.push({
+                type: 'adjustment',
+                isCatch: false,
+                isAdjustment: true,
+                basedOn: definition.adjustment.basedOn || 'deep',
+                excerptSeconds: definition.adjustment.excerptSeconds || 4,
+                question: definition.adjustment.prompt,
+                hint: definition.adjustment.hint || definition.promptHint || 'Take your time and speak naturally',
+                comparisonSetup: null
+            });
+        }
+
+        // 6) The staircase trial always comes last; its comparison is rebuilt after every step
+        if (definition.staircase) {
+            trials.push({
+                type: 'staircase',
+                isCatch: false,
+                isStaircase: true,
+                basedOn: definition.staircase.basedOn || 'medium',
+                question: definition.staircase.prompt,
+                hint: definition.staircase.hint || definition.promptHint || 'Take your time and speak naturally',
+                comparisonSetup: {
+                    leftVersion: 'raw',
+                    rightVersion: 'staircase',
+                    correctAnswer: 'either' // Preference only, no right answer
+                }
+            });
+        }
+
+        return trials;
+    }
+
+    // Order-independent id of a pair, e.g. "light|medium"
+    static pairKey(pair) {
+        return [...pair].sort().join('|');
+    }
+
+    // Each pair repeated and shuffled. Sides alternate across a pair's repetitions from a start
+    // side that is balanced across pairs, so each mode appears on the left about half the time
+    _pairTrials(random) {
+        const pairedComparison = this.definition.pairedComparison;
+        const repetitions = pairedComparison.repetitions ?? 1;
+        const pairs = this.getComparisonPairs();
+
+        const startCount = random() < 0.5 ? Math.ceil(pairs.length / 2) : Math.floor(pairs.length / 2);
+        const startsLeft = shuffled(pairs.map((_, i) => i < startCount), random);
+
+        const entries = pairs.flatMap((pair, pairIndex) => Array.from({ length: repetitions }, (_, rep) => ({
+            pair,
+            firstLeft: startsLeft[pairIndex] === (rep % 2 === 0)
+        })));
+
+        return shuffled(entries, random).map(({ pair, firstLeft }, i) => ({
+            type: 'pair',
+            isCatch: false,
+            isPair: true,
+            pair: [...pair],
+            question: pairedComparison.prompts[i],
+            hint: pairedComparison.hint || this.definition.promptHint || 'Take your time and speak naturally',
+            comparisonSetup: {
+                leftVersion: firstLeft ? pair[0] : pair[1],
+                rightVersion: firstLeft ? pair[1] : pair[0],
+                correctAnswer: 'either' // Preference only, no right answer
+            }
+        }));
+    }
+
+    // A and B are raw and the processed mode in balanced order; X repeats one of them, also balanced
+    _abxTrials(random) {
+        const abx = this.definition.abx;
+        const modes = shuffled(abx.conditions.flatMap(c => Array(c.repetitions).fill(c.type)), random);
+
+        const balancedFlags = () => {
+            const trueCount = random() < 0.5 ? Math.ceil(modes.length / 2) : Math.floor(modes.length / 2);
+            return shuffled(modes.map((_, i) => i < trueCount), random);
+        };
+        const processedIsA = balancedFlags();
+        const xIsA = balancedFlags();
+
+        return modes.map((mode, i) => {
+            const leftVersion = processedIsA[i] ? mode : 'raw';
+            const rightVersion = processedIsA[i] ? 'raw' : mode;
+            return {
+                type: mode,
+                isCatch: false,
+                isAbx: true,
+                question: abx.prompts[i],
+                hint: abx.hint || this.definition.promptHint || 'Take your time and speak naturally',
+                comparisonSetup: {
+                    leftVersion,                                   // A
+                    rightVersion,                                  // B
+                    xVersion: xIsA[i] ? leftVersion : rightVersion,
+                    correctAnswer: xIsA[i] ? 'left' : 'right'      // The card X matches
+                }
+            };
+        });
+    }
+
+    // One rating screen per prompt; stimulus order shuffled per screen so position says nothing
+    _mushraTrials(random) {
+        const definition = this.definition;
+        const stimuli = [...MUSHRA_FIXED_STIMULI, ...definition.conditions.map(c => c.type)];
+
+        return Array.from({ length: definition.mushra.trials }, (_, i) => ({
+            type: 'mushra',
+            isCatch: false,
+            isMushra: true,
+            question: definition.prompts[i],
+            hint: definition.promptHint || 'Take your time and speak naturally',
+            stimuli: shuffled(stimuli, random),
+            anchorLowpassHz: definition.mushra.anchorLowpassHz || 3500,
+            comparisonSetup: null
+        }));
+    }
+
+    // One entry per repetition of each condition in random order; sides as even as possible, then shuffled
+    _shuffledOrder(random) {
+        const modes = shuffled(
+            this.definition.conditions.flatMap(c => Array(c.repetitions).fill(c.type)),
+            random
+        );
+
+        const procLeftCount = random() < 0.5
+            ? Math.ceil(modes.length / 2)
+            : Math.floor(modes.length / 2);
+        const sides = shuffled(
+            modes.map((_, i) => (i < procLeftCount ? 'procLeft' : 'procRight')),
+            random
+        );
+
+        return { modes, sides };
+    }
+
+    // Repetition blocks that each follow the row's condition order
+    _counterbalancedOrder(assignment) {
+        const repetitions = {};
+        this.definition.conditions.forEach(c => { repetitions[c.type] = c.repetitions; });
+
+        const unknown = assignment.conditionOrder.filter(type => !(type in repetitions));
+        if (unknown.length > 0 || assignment.conditionOrder.length !== this.definition.conditions.length) {
+            throw new Error(`Counterbalancing row ${assignment.rowId} does not match the study conditions`);
+        }
+
+        const blocks = Math.max(...Object.values(repetitions));
+        const modes = [];
+        for (let block = 0; block < blocks; block++) {
+            assignment.conditionOrder.forEach(type => {
+                if (block < repetitions[type]) modes.push(type);
+            });
+        }
+
+        // Each condition alternates sides across its repetitions; conditions with an odd
+        // count take turns getting the extra one, so the overall imbalance stays <= 1
+        const flip = side => (side === 'procLeft' ? 'procRight' : 'procLeft');
+        const startSide = {};
+        let nextStart = assignment.sideStart;
+        assignment.conditionOrder.forEach(type => {
+            startSide[type] = nextStart;
+            if (repetitions[type] % 2 === 1) nextStart = flip(nextStart);
+        });
+
+        const seen = {};
+        const sides = modes.map(type => {
+            const occurrence = seen[type] = (seen[type] || 0) + 1;
+            return occurrence % 2 === 1 ? startSide[type] : flip(startSide[type]);
+        });
+
+        return { modes, sides };
+    }
+
+    // Sorted final indices; inserting in ascending order keeps each index valid
+    _pickCatchPositions(expected, random) {
+        const { catchTrials, catchPlacement } = expected;
+        if (catchTrials === 0) return [];
+
+        // Placement rules apply to the preference block; pair, ABX, adjustment and staircase trials are appended afterwards
+        const totalTrials = expected.totalTrials - expected.pairTrials - expected.abxTrials -
+            expected.adjustmentTrials - expected.staircaseTrials;
+        const first = catchPlacement.excludeFirst;
+        const last = totalTrials - 1 - catchPlacement.excludeLast;
+        const eligible = [];
+        for (let i = first; i <= last; i++) eligible.push(i);
+
+        // Rejection sampling is fine at study sizes; validate() guarantees a solution exists
+        for (let attempt = 0; attempt < 1000; attempt++) {
+            const picked = shuffled(eligible, random).slice(0, catchTrials).sort((a, b) => a - b);
+            const spaced = picked.every((p, i) => i === 0 || p - picked[i - 1] > catchPlacement.minGap);
+            if (spaced) return picked;
+        }
+
+        // Deterministic fallback: evenly spread from the first eligible slot
+        const step = catchPlacement.minGap + 1;
+        return Array.from({ length: catchTrials }, (_, i) => first + i * step);
+    }
+
+    /**
+     * Check a trial list against the declared constraints.
+     * @returns {{errors: string[], distribution: object, expected: object}}
+     */
+    checkTrials(trials) {
+        const expected = this.getExpectedDistribution();
+        const errors = [];
+        const distribution = {
+            totalTrials: trials ? trials.length : 0,
+            catchTrials: 0,
+            realTrials: 0,
+            pairTrials: 0,
+            abxTrials: 0,
+            adjustmentTrials: 0,
+            staircaseTrials: 0,
+            conditions: {},
+            pairs: {},
+            abxConditions: {},
+            processedSide: { left: 0, right: 0 },
+            catchPositions: []
+        };
+
+        if (!Array.isArray(trials)) {
+            return { errors: ['No trials generated'], distribution, expected };
+        }
+
+        trials.forEach((trial, index) => {
+            const { leftVersion, rightVersion } = trial.comparisonSetup || {};
+            const rawCount = (leftVersion === 'raw' ? 1 : 0) + (rightVersion === 'raw' ? 1 : 0);
+
+            if (trial.isStaircase) {
+                distribution.staircaseTrials++;
+                return;
+            }
+
+            if (trial.isAdjustment) {
+                distribution.adjustmentTrials++;
+                return;
+            }
+
+            if (trial.isPair) {
+                distribution.pairTrials++;
+                const key = StudyProtocol.pairKey(trial.pair || []);
+                distribution.pairs[key] = (distribution.pairs[key] || 0) + 1;
+                if (rawCount !== 0 || leftVersion === rightVersion ||
+                    key !== StudyProtocol.pairKey([leftVersion, rightVersion])) {
+                    errors.push(`Question ${index + 1}: Pair trial needs two different processed versions, got ${leftVersion} vs ${rightVersion}`);
+                }
+                return;
+            }
+
+            if (trial.isAbx) {
+                distribution.abxTrials++;
+                distribution.abxConditions[trial.type] = (distribution.abxConditions[trial.type] || 0) + 1;
+                const { xVersion, correctAnswer } = trial.comparisonSetup || {};
+                if (rawCount !== 1) {
+                    errors.push(`Question ${index + 1}: ABX trial needs raw as exactly one of A/B, got ${leftVersion} vs ${rightVersion}`);
+                }
+                if (xVersion !== (correctAnswer === 'left' ? leftVersion : rightVersion)) {
+                    errors.push(`Question ${index + 1}: ABX answer ${correctAnswer} does not match X (${xVersion})`);
+                }
+                return;
+            }
+
+            if (trial.isMushra) {
+                distribution.realTrials++;
+                const stimuli = trial.stimuli || [];
+                MUSHRA_FIXED_STIMULI.forEach(id => {
+                    if (!stimuli.includes(id)) {
+                        errors.push(`Question ${index + 1}: Rating trial is missing the ${id} stimulus`);
+                    }
+                });
+                stimuli.filter(id => id in expected.conditions).forEach(id => {
+                    distribution.conditions[id] = (distribution.conditions[id] || 0) + 1;
+                });
+                return;
+            }
+
+            if (trial.isCatch) {
+                distribution.catchTrials++;
+                distribution.catchPositions.push(index);
+                if (rawCount !== 2) {
+                    errors.push(`Question ${index + 1}: Catch trial should be raw vs raw, got ${leftVersion} vs ${rightVersion}`);
+                }
+                return;
+            }
+
+            distribution.realTrials++;
+            distribution.conditions[trial.type] = (distribution.conditions[trial.type] || 0) + 1;
+
+            if (rawCount !== 1) {
+                errors.push(`Question ${index + 1}: Expected exactly 1 raw version, got ${rawCount}`);
+            }
+            if (leftVersion !== 'raw') distribution.processedSide.left++;
+            if (rightVersion !== 'raw') distribution.processedSide.right++;
+        });
+
+        if (distribution.totalTrials !== expected.totalTrials) {
+            errors.push(`Expected ${expected.totalTrials} trials, got ${distribution.totalTrials}`);
+        }
+        if (distribution.catchTrials !== expected.catchTrials) {
+            errors.push(`Expected ${expected.catchTrials} catch trials, got ${distribution.catchTrials}`);
+        }
+        Object.keys({ ...expected.pairs, ...distribution.pairs }).forEach(key => {
+            const want = expected.pairs[key] || 0;
+            const got = distribution.pairs[key] || 0;
+            if (want !== got) {
+                errors.push(`Expected ${want} ${key.replace('|', ' vs ')} pair trials, got ${got}`);
+            }
+        });
+        Object.keys({ ...expected.abxConditions, ...distribution.abxConditions }).forEach(mode => {
+            const want = expected.abxConditions[mode] || 0;
+            const got = distribution.abxConditions[mode] || 0;
+            if (want !== got) {
+                errors.push(`Expected ${want} ${mode} ABX trials, got ${got}`);
+            }
+        });
+        if (distribution.adjustmentTrials !== expected.adjustmentTrials) {
+            errors.push(`Expected ${expected.adjustmentTrials} adjustment trials, got ${distribution.adjustmentTrials}`);
+        }
+        if (distribution.staircaseTrials !== expected.staircaseTrials) {
+            errors.push(`Expected ${expected.staircaseTrials} staircase trials, got ${distribution.staircaseTrials}`);
+        }
+
+        const modes = new Set([...Object.keys(expected.conditions), ...Object.keys(distribution.conditions)]);
+        modes.forEach(mode => {
+            const want = expected.conditions[mode] || 0;
+            const got = distribution.conditions[mode] || 0;
+            if (want !== got) {
+                errors.push(`Expected ${want} ${mode} trials, got ${got}`);
+            }
+        });
+
+        const imbalance = Math.abs(distribution.processedSide.left - distribution.processedSide.right);
+        if (imbalance > expected.maxImbalance) {
+            errors.push(`Side imbalance ${imbalance} exceeds maxImbalance ${expected.maxImbalance}`);
+        }
+
+        const placement = expected.catchPlacement;
+        distribution.catchPositions.forEach((position, i) => {
+            const lastFixed = distribution.totalTrials - distribution.pairTrials - distribution.abxTrials -
+                distribution.adjustmentTrials - distribution.staircaseTrials - 1;
+            if (position < placement.excludeFirst || position > lastFixed - placement.excludeLast) {
+                errors.push(`Catch trial at question ${position + 1} violates placement rules`);
+            }
+            const previous = distribution.catchPositions[i - 1];
+            if (i > 0 && position - previous <= placement.minGap) {
+                errors.push(`Catch trials at questions ${previous + 1} and ${position + 1} are closer than minGap ${placement.minGap}`);
+            }
+        });
+
+        return { errors, distribution, expected };
+    }
+}
+
+// Export for both ES6 modules and global use
+export { StudyProtocol, validateStudyOptions };
+window.StudyProtocol = StudyProtocol;
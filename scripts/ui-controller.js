@@ -3,46 +3,40 @@ class UIController {
     constructor() {
         this.currentAudio = null;
         this.animationFrameId = null;
-        this.isTransitioning = false;
+        this.transitionTimer = null;
     }
 
     // Screen transition with smooth animations
-    async transitionToScreen(fromScreen, toScreen, duration = 500) {
-        if (this.isTransitioning) return;
-        
-        this.isTransitioning = true;
-        
+    // Switches at once so the screen on view always matches QuizStateMachine's state
+    // (the machine rejects illegal transitions); only the fade-in is animated
+    transitionToScreen(fromScreen, toScreen, duration = 300) {
         const fromElement = document.getElementById(`${fromScreen}-page`);
         const toElement = document.getElementById(`${toScreen}-page`);
-        
-        // Fade out current screen
-        if (fromElement) {
-            fromElement.style.transition = `opacity ${duration}ms ease-in-out`;
-            fromElement.style.opacity = '0';
+        if (!toElement) {
+            console.error(`${toScreen}-page element not found`);
+            return;
         }
         
-        // Wait for fade out
-        await new Promise(resolve => setTimeout(resolve, duration / 2));
-        
-        // Switch screens
+        document.querySelectorAll('.screen.active').forEach(screen => screen.classList.remove('active'));
         if (fromElement) {
-            fromElement.classList.remove('active');
-            fromElement.style.opacity = '1';
+            fromElement.style.transition = '';
+            fromElement.style.opacity = '';
         }
         
         toElement.classList.add('active');
+        toElement.style.transition = 'none';
         toElement.style.opacity = '0';
-        toElement.style.transition = `opacity ${duration}ms ease-in-out`;
         
         // Fade in new screen
         requestAnimationFrame(() => {
+            toElement.style.transition = `opacity ${duration}ms ease-in-out`;
             toElement.style.opacity = '1';
         });
         
         // Clean up
-        setTimeout(() => {
+        clearTimeout(this.transitionTimer);
+        this.transitionTimer = setTimeout(() => {
             toElement.style.transition = '';
-            this.isTransitioning = false;
         }, duration);
     }
 
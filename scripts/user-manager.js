@@ -9,6 +9,8 @@ class UserManager {
         this.currentUser = null;
         this.sessionId = null;
         this.versionOrder = null;
+        this.processingPreset = null;
+        this.counterbalancing = null;
         
         this.initialize();
     }
@@ -116,9 +118,11 @@ class UserManager {
             
             this.currentUser = {
                 id: sessionId,
-                firstName: 'Anonymous',
-                lastName: 'User',
-                email: 'anonymous@study.com',
+                // 🔧 FIXED: Anonymous sessions hold no identity at all (was a shared placeholder email)
+                firstName: null,
+                lastName: null,
+                email: null,
+                anonymous: true,
                 consent: true,
                 registrationDate: new Date().toISOString(),
                 deviceInfo: deviceInfo,
@@ -278,6 +282,18 @@ class UserManager {
         return this.currentUser;
     }
 
+    // Name and email of a registered participant; null for anonymous sessions
+    getIdentity() {
+        if (!this.currentUser || this.currentUser.anonymous || !this.currentUser.email) {
+            return null;
+        }
+        return {
+            email: this.currentUser.email,
+            firstName: this.currentUser.firstName,
+            lastName: this.currentUser.lastName
+        };
+    }
+
     isUserRegistered() {
         return this.currentUser !== null;
     }
@@ -376,7 +392,43 @@ class UserManager {
         return totalTime / validResponses.length;
     }
 
-    async recordResponse(questionId, selectedChoice, trialType, responseTime, feedback = {}, isCatch = false) {
+    // Preset id/version/hash and device profile, stamped onto every response
+    setProcessingPreset(presetInfo) {
+        this.processingPreset = presetInfo;
+        console.log('🎛️ Processing preset recorded:', presetInfo);
+    }
+
+    // Latin-square row for this session (null when the study is not counterbalanced)
+    setCounterbalancing(assignment) {
+        this.counterbalancing = assignment;
+        if (assignment) {
+            console.log(`⚖️ Counterbalancing row recorded: ${assignment.rowId} (${assignment.source})`);
+        }
+    }
+
+    // Session state for SessionCheckpoint; responses are part of currentUser.studyProgress
+    getCheckpointState() {
+        return {
+            sessionId: this.sessionId,
+            currentUser: this.currentUser,
+            versionOrder: this.versionOrder,
+            processingPreset: this.processingPreset,
+            counterbalancing: this.counterbalancing
+        };
+    }
+
+    // Continue an interrupted session under its original sessionId
+    restoreCheckpointState(state) {
+        this.sessionId = state.sessionId;
+        this.currentUser = state.currentUser;
+        this.versionOrder = state.versionOrder || this.versionOrder;
+        this.processingPreset = state.processingPreset || null;
+        this.counterbalancing = state.counterbalancing || null;
+        this.saveUserData();
+        console.log(`♻️ Session ${this.sessionId} restored with ${this.getAllResponses().length} response(s)`);
+    }
+
+    async recordResponse(questionId, selectedChoice, trialType, responseTime, feedback = {}, isCatch = false, details = null) {
         try {
             // 🔍 DEBUG: Verify we're recording the correct actual processing type
             console.log(`🔍 recordResponse debug for question ${questionId + 1}:`, {
@@ -387,14 +439,21 @@ class UserManager {
             });
             
             const response = {
-                userEmail: this.currentUser.email,
                 sessionId: this.sessionId,
                 questionId: questionId,
-                selectedChoice: selectedChoice,         // 'left' or 'right'
+                responseType: details?.responseType || 'choice', // 'choice', 'pair', 'abx', 'mushra' or 'adjustment'
+                selectedChoice: selectedChoice,         // 'left' or 'right' (null for ratings)
                 trialType: trialType,                   // 🔧 FIXED: Now contains actual processing type (raw, light, medium, deep)
                 isCatch: isCatch,                       // Whether this was a catch trial
                 responseTime: responseTime,             // Time to make decision
                 feedback: feedback,                     // Tags and text feedback
+                ratings: details?.ratings || null,      // 0-100 per stimulus id for rating trials
+                presetId: this.processingPreset?.presetId || null,
+                presetVersion: this.processingPreset?.presetVersion || null,
+                presetHash: this.processingPreset?.presetHash || null,
+                deviceProfile: this.processingPreset?.deviceProfile || null,
+                counterbalanceRow: this.counterbalancing?.rowId || null,
+                details: details,                       // Trial-mode specific data (e.g. staircase history)
                 timestamp: new Date().toISOString()
             };
 
@@ -420,11 +479,19 @@ class UserManager {
             .filter(response => response !== null)
             .map(response => ({
                 questionId: response.questionId,
+                responseType: response.responseType || 'choice',
                 selectedChoice: response.selectedChoice,
                 actualProcessingType: response.trialType, // 🔧 FIXED: Use trialType which now contains the actual processing type
                 isCatch: response.isCatch,
                 responseTime: response.responseTime,
                 feedback: response.feedback,
+                ratings: response.ratings || null,
+                presetId: response.presetId,
+                presetVersion: response.presetVersion,
+                presetHash: response.presetHash,
+                deviceProfile: response.deviceProfile,
+                counterbalanceRow: response.counterbalanceRow,
+                details: response.details || null,
                 timestamp: response.timestamp
             }));
     }
@@ -440,7 +507,6 @@ class UserManager {
         
         return {
             userId: this.currentUser.id,
-            userEmail: this.currentUser.email,
             totalResponses: userResponses.length,
             responsesSummary: userResponses.map(r => ({
                 questionId: r.questionId,
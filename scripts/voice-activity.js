@@ -0,0 +1,175 @@
+/**
+ * Voice Activity - Energy / zero-crossing speech detection for recordings
+ * Finds where speech starts and ends so leading and trailing silence (and the tap on the
+ * record button) can be cut before processing, measures how much speech a take holds, and
+ * watches the live microphone so a recording can stop itself after trailing silence.
+ *
+ * Frames louder than the noise floor + marginDb are speech; quieter frames still count when
+ * they cross zero often (fricatives like "s" and "f" are quiet but noisy). Runs of speech
+ * closer than maxGapMs are joined, and runs shorter than minSpeechMs (clicks, taps) dropped.
+ */
+
+const VAD_DEFAULTS = {
+    trim: true,                  // cut the recording to the speech (plus paddingMs) before processing
+    autoStopSilenceMs: null,     // stop recording after this much silence following speech; null = participant stops
+    frameMs: 20,
+    marginDb: 12,                // above the noise floor = speech
+    minSpeechDb: -55,            // nothing quieter than this is speech, however quiet the room
+    noiseFloorCeilingDb: -40,    // a take that is speech throughout can't raise the floor above this
+    zcrThreshold: 0.3,           // zero crossings per sample that mark a quiet frame as unvoiced speech
+    minSpeechMs: 150,
+    maxGapMs: 400,               // pauses between words shorter than this stay inside the speech
+    paddingMs: 200               // kept either side so onsets and decays aren't clipped
+};
+
+const VAD_OPTIONS = {
+    block: 'voiceActivity',
+    defaults: VAD_DEFAULTS,
+    ranges: {
+        autoStopSilenceMs: [300, 10000],
+        frameMs: [5, 100],
+        marginDb: [1, 60],
+        minSpeechDb: [-100, 0],
+        noiseFloorCeilingDb: [-100, 0],
+        zcrThreshold: [0, 1],
+        minSpeechMs: [0, 5000],
+        maxGapMs: [0, 5000],
+        paddingMs: [0, 2000]
+    },
+    nullable: ['autoStopSilenceMs']
+};
+
+// Share of frames below which the quietest ones are taken as the room's noise
+const NOISE_FLOOR_PERCENTILE = 0.1;
+// How fast the live noise floor may rise (dB per second) when the room gets louder
+const LIVE_FLOOR_RISE_DB_PER_SECOND = 3;
+
+class VoiceActivityDetector {
+    /**
+     * @param {object|null} options - The study's voiceActivity block, already checked against VAD_OPTIONS
+     */
+    constructor(options = null) {
+        this.options = { ...VAD_DEFAULTS, ...(options || {}) };
+    }
+
+    // Level (dBFS) and zero-crossing rate of samples[start, end)
+    static frameFeatures(samples, start = 0, end = samples.length) {
+        let sumSquares = 0;
+        let crossings = 0;
+        for (let i = start; i < end; i++) {
+            sumSquares += samples[i] * samples[i];
+            if (i > start && (samples[i] >= 0) !== (samples[i - 1] >= 0)) crossings++;
+        }
+        const length = Math.max(1, end - start);
+        return {
+            db: 20 * Math.log10(Math.sqrt(sumSquares / length) + 1e-10),
+            zcr: crossings / length
+        };
+    }
+
+    _isSpeech({ db, zcr }, noiseFloorDb) {
+        const { marginDb, minSpeechDb, zcrThreshold } = this.options;
+        const voiced = Math.max(minSpeechDb, noiseFloorDb + marginDb);
+        const unvoiced = Math.max(minSpeechDb, noiseFloorDb + marginDb / 2);
+        return db >= voiced || (db >= unvoiced && zcr >= zcrThreshold);
+    }
+
+    /**
+     * Find the speech in a recording.
+     * @param {Float32Array} samples - Mono samples
+     * @param {number} sampleRate
+     * @returns {{hasSpeech: boolean, duration: number, speechDuration: number, speechStart: number|null,
+     *           speechEnd: number|null, trimStart: number, trimEnd: number, noiseFloorDb: number,
+     *           segments: Array<{start: number, end: number}>}} Times in seconds
+     */
+    detect(samples, sampleRate) {
+        const { frameMs, noiseFloorCeilingDb, minSpeechMs, maxGapMs, paddingMs } = this.options;
+        const frameLength = Math.max(1, Math.round(sampleRate * frameMs / 1000));
+        const frameSeconds = frameLength / sampleRate;
+        const duration = samples.length / sampleRate;
+
+        const frames = [];
+        for (let start = 0; start < samples.length; start += frameLength) {
+            frames.push(VoiceActivityDetector.frameFeatures(samples, start, Math.min(samples.length, start + frameLength)));
+        }
+        const levels = frames.map(frame => frame.db).sort((a, b) => a - b);
+        const noiseFloorDb = Math.min(noiseFloorCeilingDb, levels[Math.floor(levels.length * NOISE_FLOOR_PERCENTILE)] ?? -100);
+
+        // Runs of speech frames as [firstFrame, lastFrame + 1)
+        const runs = [];
+        frames.forEach((frame, index) => {
+            if (!this._isSpeech(frame, noiseFloorDb)) return;
+            const last = runs[runs.length - 1];
+            if (last && (index - last[1]) * frameSeconds * 1000 <= maxGapMs) {
+                last[1] = index + 1;
+            } else {
+                runs.push([index, index + 1]);
+            }
+        });
+
+        const segments = runs
+            .filter(([first, end]) => (end - first) * frameSeconds * 1000 >= minSpeechMs)
+            .map(([first, end]) => ({ start: first * frameSeconds, end: Math.min(duration, end * frameSeconds) }));
+
+        if (segments.length === 0) {
+            return {
+                hasSpeech: false, duration, speechDuration: 0, speechStart: null, speechEnd: null,
+                trimStart: 0, trimEnd: duration, noiseFloorDb, segments
+            };
+        }
+
+        const speechStart = segments[0].start;
+        const speechEnd = segments[segments.length - 1].end;
+        const padding = paddingMs / 1000;
+        return {
+            hasSpeech: true,
+            duration,
+            speechDuration: segments.reduce((sum, segment) => sum + segment.end - segment.start, 0),
+            speechStart,
+            speechEnd,
+            trimStart: Math.max(0, speechStart - padding),
+            trimEnd: Math.min(duration, speechEnd + padding),
+            noiseFloorDb,
+            segments
+        };
+    }
+
+    // Copy of the samples between the detection's trim points (the whole take when there's no speech)
+    trim(samples, sampleRate, detection = this.detect(samples, sampleRate)) {
+        const start = Math.floor(detection.trimStart * sampleRate);
+        const end = Math.min(samples.length, Math.ceil(detection.trimEnd * sampleRate));
+        return samples.slice(start, end);
+    }
+
+    /**
+     * Live detector for auto-stop: feed it the latest microphone block every few ms.
+     * update() returns { speaking, heardSpeech, speechMs, silenceMs }; silenceMs counts
+     * from the end of the last speech.
+     */
+    createMonitor() {
+        let noiseFloorDb = null;
+        let speechMs = 0;
+        let silenceMs = 0;
+
+        return {
+            update: (samples, elapsedMs) => {
+                const features = VoiceActivityDetector.frameFeatures(samples);
+                noiseFloorDb = noiseFloorDb === null
+                    ? features.db
+                    : Math.min(noiseFloorDb + LIVE_FLOOR_RISE_DB_PER_SECOND * elapsedMs / 1000, features.db);
+                const floor = Math.min(this.options.noiseFloorCeilingDb, noiseFloorDb);
+
+                const speaking = this._isSpeech(features, floor);
+                if (speaking) {
+                    speechMs += elapsedMs;
+                    silenceMs = 0;
+                } else {
+                    silenceMs += elapsedMs;
+                }
+                return { speaking, heardSpeech: speechMs >= this.options.minSpeechMs, speechMs, silenceMs };
+            }
+        };
+    }
+}
+
+export { VoiceActivityDetector, VAD_DEFAULTS, VAD_OPTIONS };
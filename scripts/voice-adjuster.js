@@ -0,0 +1,348 @@
+/**
+ * Voice Adjuster - Method-of-adjustment trial: the participant drags one
+ * "deeper ↔ brighter" control until their recording sounds like their inner voice
+ *
+ * Position -1..1 maps onto the existing processing parameters:
+ *   -1  the basedOn preset (pitch down, low shelf up, high shelf down)
+ *    0  neutral (the raw voice)
+ *   +1  the mirror image (pitch up to the preset limit, shelves inverted)
+ *
+ * For low latency only a short excerpt loops. Shelf gains are live BiquadFilters and
+ * follow the slider immediately; pitch/formant are re-rendered off the main thread
+ * (latest position wins) and swapped in at the same playback position.
+ */
+
+const SWAP_FADE_SECONDS = 0.02;
+const EDGE_FADE_SECONDS = 0.02;
+const PARAM_SMOOTHING_SECONDS = 0.03;
+const PITCH_QUANTUM_CENTS = 5;
+const MAX_CACHED_RENDERS = 24;
+
+class VoiceAdjuster {
+    /**
+     * @param {AudioContext} audioContext
+     * @param {object} options
+     * @param {object} options.baseSettings - processingSettings of the "deeper" end
+     * @param {{pitchCents: {min, max}}} options.limits - Preset limits; the slider stays within pitchCents
+     * @param {Function} options.shiftPitch - (samples, sampleRate, settings) => Promise<Float32Array>
+     */
+    constructor(audioContext, { baseSettings, limits, shiftPitch }) {
+        if (!baseSettings || !baseSettings.shelfLow || !baseSettings.shelfHigh) {
+            throw new Error('VoiceAdjuster needs base settings with shelfLow and shelfHigh');
+        }
+
+        this.audioContext = audioContext;
+        this.baseSettings = baseSettings;
+        this.limits = limits;
+        this.shiftPitch = shiftPitch;
+
+        this.excerpt = null;
+        this.sampleRate = 0;
+        this.duration = 0;
+        this.renderCache = new Map();
+        this.rendering = false;
+        this.renderPending = false;
+        this.renderCount = 0;
+        this.disposed = false;
+
+        this.position = 0;
+        this.startPosition = 0;
+        this.moves = 0;
+        this.playCount = 0;
+        this.current = null;
+        this.currentBuffer = null;
+        this.onStateChange = null;
+
+        this._createChain();
+        console.log('🎛️ VoiceAdjuster created');
+    }
+
+    /**
+     * Loudest window of the recording, with short fades so the loop does not click.
+     * @returns {Float32Array}
+     */
+    static pickExcerpt(rawData, sampleRate, seconds) {
+        const length = Math.min(rawData.length, Math.round(seconds * sampleRate));
+        if (length >= rawData.length) {
+            return VoiceAdjuster._fadeEdges(new Float32Array(rawData), sampleRate);
+        }
+
+        const hop = Math.max(1, Math.round(sampleRate * 0.05));
+        const squares = new Float64Array(rawData.length + 1);
+        for (let i = 0; i < rawData.length; i++) {
+            squares[i + 1] = squares[i] + rawData[i] * rawData[i];
+        }
+
+        let bestStart = 0;
+        let bestEnergy = -1;
+        for (let start = 0; start + length <= rawData.length; start += hop) {
+            const energy = squares[start + length] - squares[start];
+            if (energy > bestEnergy) {
+                bestEnergy = energy;
+                bestStart = start;
+            }
+        }
+
+        return VoiceAdjuster._fadeEdges(rawData.slice(bestStart, bestStart + length), sampleRate);
+    }
+
+    static _fadeEdges(samples, sampleRate) {
+        const fade = Math.min(Math.floor(samples.length / 2), Math.round(EDGE_FADE_SECONDS * sampleRate));
+        for (let i = 0; i < fade; i++) {
+            const gain = i / fade;
+            samples[i] *= gain;
+            samples[samples.length - 1 - i] *= gain;
+        }
+        return samples;
+    }
+
+    /**
+     * @param {Float32Array} rawData - Full raw recording
+     * @param {number} sampleRate
+     * @param {number} excerptSeconds - Length of the looped excerpt
+     * @param {number} startPosition - Initial slider position (-1..1)
+     */
+    async load(rawData, sampleRate, excerptSeconds, startPosition = 0) {
+        this.excerpt = VoiceAdjuster.pickExcerpt(rawData, sampleRate, excerptSeconds);
+        this.sampleRate = sampleRate;
+        this.duration = this.excerpt.length / sampleRate;
+        this.renderCache.clear();
+
+        this.position = this._clampPosition(startPosition);
+        this.startPosition = this.position;
+        this._applyShelves(this.settingsAt(this.position), true);
+        await this._renderLatest();
+
+        console.log(`🎛️ Loaded ${this.duration.toFixed(1)}s excerpt, start position ${this.position.toFixed(2)}`);
+    }
+
+    /**
+     * Processing settings for a slider position (-1 deeper .. +1 brighter).
+     * @returns {{pitchCents: number, formant: number, shelfLow: {freq, gain}, shelfHigh: {freq, gain}}}
+     */
+    settingsAt(position) {
+        const t = this._clampPosition(position);
+        const base = this.baseSettings;
+        const amount = Math.abs(t);
+
+        const deeperEnd = {
+            pitchCents: base.pitchCents,
+            formant: base.formant,
+            lowGain: base.shelfLow.gain,
+            highGain: base.shelfHigh.gain
+        };
+        // PitchShifter can't raise formants (correction above 1 sounds like 1), so the brighter
+        // end keeps them in place and brightens with pitch and shelves only
+        const brighterEnd = {
+            pitchCents: this.limits.pitchCents.max,
+            formant: 1,
+            lowGain: -base.shelfLow.gain,
+            highGain: -base.shelfHigh.gain
+        };
+        const end = t < 0 ? deeperEnd : brighterEnd;
+
+        const pitchCents = Math.round(end.pitchCents * amount / PITCH_QUANTUM_CENTS) * PITCH_QUANTUM_CENTS;
+        return {
+            pitchCents: Math.max(this.limits.pitchCents.min, Math.min(this.limits.pitchCents.max, pitchCents)),
+            formant: Math.round((1 + (end.formant - 1) * amount) * 100) / 100,
+            shelfLow: { freq: base.shelfLow.freq, gain: Math.round(end.lowGain * amount * 10) / 10 },
+            shelfHigh: { freq: base.shelfHigh.freq, gain: Math.round(end.highGain * amount * 10) / 10 }
+        };
+    }
+
+    // Slider moved: shelves follow at once, pitch/formant re-render in the background
+    setPosition(position) {
+        const next = this._clampPosition(position);
+        if (next === this.position) return;
+
+        this.position = next;
+        this.moves++;
+        this._applyShelves(this.settingsAt(next), false);
+        this._renderLatest();
+        this._notify();
+    }
+
+    isPlaying() {
+        return !!this.current;
+    }
+
+    toggle() {
+        if (this.current) {
+            this.stop();
+        } else {
+            this.play();
+        }
+    }
+
+    play() {
+        if (!this.currentBuffer || this.current) return;
+
+        if (this.audioContext.state === 'suspended') {
+            this.audioContext.resume();
+        }
+
+        this._startSource(this.currentBuffer, 0);
+        this.playCount++;
+        this._notify();
+    }
+
+    stop() {
+        if (!this.current) return;
+        this._fadeOut(this.current, this.audioContext.currentTime);
+        this.current = null;
+        this._notify();
+    }
+
+    // Heard at least once and the slider touched
+    isComplete() {
+        return this.playCount > 0 && this.moves > 0;
+    }
+
+    getResult() {
+        const settings = this.settingsAt(this.position);
+        return {
+            position: Math.round(this.position * 100) / 100,
+            startPosition: Math.round(this.startPosition * 100) / 100,
+            pitchCents: settings.pitchCents,
+            formant: settings.formant,
+            shelfLow: { ...settings.shelfLow },
+            shelfHigh: { ...settings.shelfHigh },
+            moves: this.moves,
+            plays: this.playCount,
+            renders: this.renderCount,
+            excerptSeconds: Math.round(this.duration * 10) / 10
+        };
+    }
+
+    cleanup() {
+        this.disposed = true;
+        this.stop();
+        this.renderCache.clear();
+        this.excerpt = null;
+        this.currentBuffer = null;
+        this.onStateChange = null;
+        [this.shelfLow, this.shelfHigh, this.output].forEach(node => node.disconnect());
+    }
+
+    _createChain() {
+        this.shelfLow = this.audioContext.createBiquadFilter();
+        this.shelfLow.type = 'lowshelf';
+        this.shelfLow.frequency.value = this.baseSettings.shelfLow.freq;
+
+        this.shelfHigh = this.audioContext.createBiquadFilter();
+        this.shelfHigh.type = 'highshelf';
+        this.shelfHigh.frequency.value = this.baseSettings.shelfHigh.freq;
+
+        this.output = this.audioContext.createGain();
+
+        this.shelfLow.connect(this.shelfHigh);
+        this.shelfHigh.connect(this.output);
+        this.output.connect(this.audioContext.destination);
+    }
+
+    _applyShelves(settings, immediate) {
+        const now = this.audioContext.currentTime;
+        [[this.shelfLow, settings.shelfLow.gain], [this.shelfHigh, settings.shelfHigh.gain]].forEach(([filter, gain]) => {
+            if (immediate) {
+                filter.gain.value = gain;
+            } else {
+                filter.gain.setTargetAtTime(gain, now, PARAM_SMOOTHING_SECONDS / 3);
+            }
+        });
+    }
+
+    // Latest-wins: a move during a render is picked up as soon as that render returns
+    async _renderLatest() {
+        if (this.rendering) {
+            this.renderPending = true;
+            return;
+        }
+
+        this.rendering = true;
+        try {
+            do {
+                this.renderPending = false;
+                const { pitchCents, formant } = this.settingsAt(this.position);
+                const samples = await this._shiftedExcerpt(pitchCents, formant);
+                if (this.disposed) return;
+                this._swapBuffer(samples);
+            } while (this.renderPending);
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.error('❌ Adjustment re-render failed:', error);
+            }
+        } finally {
+            this.rendering = false;
+        }
+    }
+
+    async _shiftedExcerpt(pitchCents, formant) {
+        const key = `${pitchCents}|${formant}`;
+        if (this.renderCache.has(key)) {
+            return this.renderCache.get(key);
+        }
+
+        let samples = this.excerpt;
+        if (pitchCents !== 0 || formant !== 1) {
+            const started = performance.now();
+            samples = await this.shiftPitch(this.excerpt, this.sampleRate, { ...this.baseSettings, pitchCents, formant });
+            this.renderCount++;
+            console.log(`🎛️ Re-rendered ${pitchCents}¢ / formant ${formant} in ${(performance.now() - started).toFixed(0)}ms`);
+        }
+
+        if (this.renderCache.size >= MAX_CACHED_RENDERS) {
+            this.renderCache.delete(this.renderCache.keys().next().value);
+        }
+        this.renderCache.set(key, samples);
+        return samples;
+    }
+
+    _swapBuffer(samples) {
+        const buffer = this.audioContext.createBuffer(1, samples.length, this.sampleRate);
+        buffer.copyToChannel(samples, 0);
+        this.currentBuffer = buffer;
+
+        if (!this.current) return;
+
+        const now = this.audioContext.currentTime;
+        const position = (this.current.offset + now - this.current.startedAt) % this.duration;
+        this._fadeOut(this.current, now);
+        this._startSource(buffer, position);
+    }
+
+    _startSource(buffer, position) {
+        const now = this.audioContext.currentTime;
+        const source = this.audioContext.createBufferSource();
+        source.buffer = buffer;
+        source.loop = true;
+
+        const gain = this.audioContext.createGain();
+        gain.gain.setValueAtTime(0, now);
+        gain.gain.linearRampToValueAtTime(1, now + SWAP_FADE_SECONDS);
+
+        source.connect(gain);
+        gain.connect(this.shelfLow);
+        source.start(now, position);
+
+        this.current = { source, gain, startedAt: now, offset: position };
+    }
+
+    _fadeOut(playing, now) {
+        playing.gain.gain.cancelScheduledValues(now);
+        playing.gain.gain.setValueAtTime(playing.gain.gain.value, now);
+        playing.gain.gain.linearRampToValueAtTime(0, now + SWAP_FADE_SECONDS);
+        playing.source.stop(now + SWAP_FADE_SECONDS);
+    }
+
+    _clampPosition(position) {
+        return Math.max(-1, Math.min(1, Number(position) || 0));
+    }
+
+    _notify() {
+        if (this.onStateChange) this.onStateChange(this.isComplete());
+    }
+}
+
+// Export for both ES6 modules and global use
+export { VoiceAdjuster };
+window.VoiceAdjuster = VoiceAdjuster;
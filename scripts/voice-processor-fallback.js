@@ -1,9 +1,11 @@
 // Fallback processor using native Web Audio (no external dependencies)
 // This works when Superpowered SDK CDN is not available
+import { processingPresets } from './processing-presets.js';
 
 class VoiceProcessorFallback extends AudioWorkletProcessor {
     constructor() {
         super();
+        this.processingSettings = processingPresets.getAllModeSettings();
         this.port.onmessage = this.onMessage.bind(this);
         this.port.postMessage({type: 'ready', message: 'Fallback VoiceProcessor initialized'});
         console.log('✅ Fallback VoiceProcessor initialized');
@@ -16,9 +18,9 @@ class VoiceProcessorFallback extends AudioWorkletProcessor {
             try {
                 // Simple audio processing without Superpowered
                 const versions = {
-                    light: this.processBasic(audioData, 0.9),    // Light bone conduction
-                    medium: this.processBasic(audioData, 0.7),   // Medium bone conduction
-                    deep: this.processBasic(audioData, 0.5)      // Deep bone conduction
+                    light: this.processBasic(audioData, this.processingSettings.light),
+                    medium: this.processBasic(audioData, this.processingSettings.medium),
+                    deep: this.processBasic(audioData, this.processingSettings.deep)
                 };
                 
                 this.port.postMessage({
@@ -37,17 +39,18 @@ class VoiceProcessorFallback extends AudioWorkletProcessor {
         }
     }
     
-    processBasic(audioData, intensity = 1.0) {
-        // Simple low-pass filter for bone conduction simulation
+    processBasic(audioData, settings) {
+        // 🔧 FIXED: One-pole high-pass/low-pass over the preset band instead of fixed intensities
         const result = new Float32Array(audioData.length);
+        const hpAlpha = 1 / (1 + 2 * Math.PI * settings.hpFreq / sampleRate);
+        const lpAlpha = 1 - Math.exp(-2 * Math.PI * settings.lpFreq / sampleRate);
+        let hpIn = 0, hpOut = 0, lpOut = 0;
         
         for (let i = 0; i < audioData.length; i++) {
-            if (i === 0) {
-                result[i] = audioData[i] * intensity;
-            } else {
-                // Simple low-pass filter: average with previous sample
-                result[i] = (audioData[i] + audioData[i-1]) * 0.5 * intensity;
-            }
+            hpOut = hpAlpha * (hpOut + audioData[i] - hpIn);
+            hpIn = audioData[i];
+            lpOut += lpAlpha * (hpOut - lpOut);
+            result[i] = lpOut;
         }
         
         return result;
@@ -1,4 +1,5 @@
 // voice-processor-research.js - Fixed fallback AudioWorklet
+import { processingPresets } from './processing-presets.js';
 
 class VoiceProcessor extends AudioWorkletProcessor {
     constructor() {
@@ -7,6 +8,8 @@ class VoiceProcessor extends AudioWorkletProcessor {
         
         this.processingMode = 'raw';
         this.isInitialized = false;
+        this.processingSettings = processingPresets.getAllModeSettings();
+        this.filterState = [];
         
         // ✅ CRITICAL FIX: Signal ready immediately since this is the fallback
         setTimeout(() => {
@@ -45,24 +48,10 @@ class VoiceProcessor extends AudioWorkletProcessor {
                             break;
                             
                         case 'light':
-                            // Simple gain reduction for light processing
-                            for (let i = 0; i < inputChannel.length; i++) {
-                                outputChannel[i] = inputChannel[i] * 0.8;
-                            }
-                            break;
-                            
                         case 'medium':
-                            // Simple filtering for medium processing
-                            for (let i = 0; i < inputChannel.length; i++) {
-                                outputChannel[i] = inputChannel[i] * 0.6;
-                            }
-                            break;
-                            
                         case 'deep':
-                            // More processing for deep mode
-                            for (let i = 0; i < inputChannel.length; i++) {
-                                outputChannel[i] = inputChannel[i] * 0.4;
-                            }
+                            // 🔧 FIXED: Band-limit to the preset's band instead of a fixed gain
+                            this._bandLimit(inputChannel, outputChannel, channel, this.processingSettings[this.processingMode]);
                             break;
                             
                         default:
@@ -76,6 +65,24 @@ class VoiceProcessor extends AudioWorkletProcessor {
         return true; // Keep processor alive
     }
 
+    // One-pole high-pass into one-pole low-pass approximating hpFreq-lpFreq
+    _bandLimit(inputChannel, outputChannel, channel, settings) {
+        if (!this.filterState[channel]) {
+            this.filterState[channel] = { hpIn: 0, hpOut: 0, lpOut: 0 };
+        }
+        const state = this.filterState[channel];
+        const hpAlpha = 1 / (1 + 2 * Math.PI * settings.hpFreq / sampleRate);
+        const lpAlpha = 1 - Math.exp(-2 * Math.PI * settings.lpFreq / sampleRate);
+
+        for (let i = 0; i < inputChannel.length; i++) {
+            const x = inputChannel[i];
+            state.hpOut = hpAlpha * (state.hpOut + x - state.hpIn);
+            state.hpIn = x;
+            state.lpOut += lpAlpha * (state.hpOut - state.lpOut);
+            outputChannel[i] = state.lpOut;
+        }
+    }
+
     onMessageFromMainScope(message) {
         console.log('📨 VoiceProcessor received message:', message);
         
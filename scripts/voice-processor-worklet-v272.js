@@ -3,6 +3,7 @@
 
 // ✅ Import from CDN in AudioWorklet (required pattern)
 import { SuperpoweredWebAudio } from "https://cdn.jsdelivr.net/npm/@superpoweredsdk/web@2.7.2";
+import { processingPresets } from './processing-presets.js';
 
 class VoiceProcessor extends SuperpoweredWebAudio.AudioWorkletProcessor {
     constructor() {
@@ -12,6 +13,7 @@ class VoiceProcessor extends SuperpoweredWebAudio.AudioWorkletProcessor {
         // ✅ ONLY set basic flags here - NO Superpowered object access
         this.isInitialized = false;
         this.processingMode = 'raw';
+        this.processingSettings = processingPresets.getAllModeSettings();
         
         console.log('🎯 VoiceProcessor AudioWorklet constructor - minimal setup only');
     }
@@ -92,15 +94,9 @@ class VoiceProcessor extends SuperpoweredWebAudio.AudioWorkletProcessor {
                 break;
                 
             case 'light':
-                this._processLight(buffersize);
-                break;
-                
             case 'medium':
-                this._processMedium(buffersize);
-                break;
-                
             case 'deep':
-                this._processDeep(buffersize);
+                this._processMode(this.processingMode, buffersize);
                 break;
                 
             default:
@@ -119,9 +115,12 @@ class VoiceProcessor extends SuperpoweredWebAudio.AudioWorkletProcessor {
         }
     }
 
-    _processLight(buffersize) {
-        // ✅ Light bone conduction processing
-        this.filter.frequency = 1000;
+    _processMode(mode, buffersize) {
+        // 🔧 FIXED: Band and compressor come from the shared preset instead of per-mode constants
+        const settings = this.processingSettings[mode];
+
+        // One bandpass centred (geometrically) on the preset's high-pass/low-pass band
+        this.filter.frequency = Math.sqrt(settings.hpFreq * settings.lpFreq);
         this.filter.resonance = 0.3;
         
         this.filter.process(
@@ -129,43 +128,17 @@ class VoiceProcessor extends SuperpoweredWebAudio.AudioWorkletProcessor {
             this.workBuf.pointer,
             buffersize
         );
-    }
 
-    _processMedium(buffersize) {
-        // ✅ Medium bone conduction processing
-        this.filter.frequency = 800;
-        this.filter.resonance = 0.5;
-        
-        this.filter.process(
-            this.inputBuf.pointer,
-            this.workBuf.pointer,
-            buffersize
-        );
-        
-        this.compressor.process(
-            this.workBuf.pointer,
-            this.workBuf.pointer,
-            buffersize
-        );
-    }
-
-    _processDeep(buffersize) {
-        // ✅ Deep bone conduction processing
-        this.filter.frequency = 600;
-        this.filter.resonance = 0.7;
-        
-        this.filter.process(
-            this.inputBuf.pointer,
-            this.workBuf.pointer,
-            buffersize
-        );
-        
-        this.compressor.ratio = 4.0;
-        this.compressor.process(
-            this.workBuf.pointer,
-            this.workBuf.pointer,
-            buffersize
-        );
+        if (settings.comp) {
+            this.compressor.ratio = settings.comp.ratio;
+            this.compressor.threshold = settings.comp.threshold;
+            
+            this.compressor.process(
+                this.workBuf.pointer,
+                this.workBuf.pointer,
+                buffersize
+            );
+        }
     }
 
     onMessageFromMainScope(message) {
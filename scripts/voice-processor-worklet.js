@@ -1,4 +1,6 @@
 // voice-processor-worklet.js - FIXED VERSION
+import { processingPresets } from './processing-presets.js';
+
 class VoiceProcessorWorklet extends AudioWorkletProcessor {
     constructor() {
         super();
@@ -7,42 +9,8 @@ class VoiceProcessorWorklet extends AudioWorkletProcessor {
         this.initialized = false;
         this.sampleRate = 48000;
         
-        // Exact processing settings from original
-        this.processingSettings = {
-            light: {
-                pitchCents: -60,
-                formant: 0.9,
-                hpFreq: 300,
-                lpFreq: 1200,
-                shelfLow: { freq: 500, gain: 3 },
-                shelfHigh: { freq: 2000, gain: -3 },
-                comp: null,
-                notch: null,
-                vibro: null
-            },
-            medium: {
-                pitchCents: -120,
-                formant: 1.0,
-                hpFreq: 250,
-                lpFreq: 1300,
-                shelfLow: { freq: 450, gain: 4 },
-                shelfHigh: { freq: 2200, gain: -4 },
-                comp: { ratio: 2, threshold: -18, knee: 6 },
-                notch: null,
-                vibro: null
-            },
-            deep: {
-                pitchCents: -120,
-                formant: 1.0,
-                hpFreq: 200,
-                lpFreq: 1400,
-                shelfLow: { freq: 400, gain: 5 },
-                shelfHigh: { freq: 2500, gain: -5 },
-                comp: { ratio: 3, threshold: -20 },
-                notch: { freq: 3000, q: 1.0 },
-                vibro: { freq: 60, gain: 6, q: 1.0 }
-            }
-        };
+        // 🔧 FIXED: Settings come from the shared preset registry
+        this.processingSettings = processingPresets.getAllModeSettings();
         
         this.port.onmessage = (e) => {
             this.onMessageFromMainScope(e.data);
@@ -0,0 +1,197 @@
+/**
+ * Webhook Outbox - Durable queue of webhook payloads in IndexedDB, keyed by sessionId
+ * A session is stored before the first attempt and stays queued until every result
+ * sink accepts it, so a flaky connection or a closed tab no longer loses the session.
+ *
+ * Record: { sessionId, status: 'pending'|'sent'|'failed', payload, attempts,
+ *           nextAttemptAt, lastError, createdAt, sentAt,
+ *           deliveries: { [sinkId]: { sink, status, attempts, nextAttemptAt, lastError, sentAt } } }
+ * The record-level fields summarise the deliveries. The sink configs are stored with
+ * the record so a retry on the next page load goes to the same places.
+ * Sent records keep only the sessionId and timestamps (payload dropped) so the
+ * participant's answers don't linger on the device once delivered.
+ */
+
+const OUTBOX_DB_NAME = 'voiceQuizOutbox';
+const OUTBOX_STORE = 'sessions';
+const OUTBOX_DB_VERSION = 1;
+
+class WebhookOutbox {
+    constructor() {
+        this.dbPromise = null;
+        this.memory = null; // Fallback when IndexedDB is unavailable (e.g. some private modes)
+    }
+
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    async get(sessionId) {
+        if (!await this._open()) {
+            return this.memory.get(sessionId) || null;
+        }
+        return this._request('readonly', store => store.get(sessionId)).then(record => record || null);
+    }
+
+    async put(record) {
+        if (!await this._open()) {
+            this.memory.set(record.sessionId, { ...record });
+            return record;
+        }
+        await this._request('readwrite', store => store.put(record));
+        return record;
+    }
+
+    /**
+     * Queue a payload unless the session is already queued or sent.
+     * @returns {Promise<object>} The stored record (existing one when deduplicated)
+     */
+    async enqueue(sessionId, payload, sinks) {
+        const existing = await this.get(sessionId);
+        if (existing) {
+            console.log(`📮 Session ${sessionId} already in outbox (${existing.status})`);
+            return existing;
+        }
+
+        const deliveries = {};
+        sinks.forEach(sink => {
+            deliveries[sink.id] = {
+                sink,
+                status: 'pending',
+                attempts: 0,
+                nextAttemptAt: Date.now(),
+                lastError: null,
+                sentAt: null
+            };
+        });
+
+        return this.put(WebhookOutbox.summarize({
+            sessionId,
+            payload,
+            deliveries,
+            createdAt: new Date().toISOString()
+        }));
+    }
+
+    async markSent(sessionId, sinkId) {
+        return this._updateDelivery(sessionId, sinkId, delivery => ({
+            ...delivery,
+            status: 'sent',
+            lastError: null,
+            nextAttemptAt: null,
+            sentAt: new Date().toISOString()
+        }));
+    }
+
+    // nextAttemptAt null means the sink rejected the payload for good
+    async markFailed(sessionId, sinkId, error, nextAttemptAt) {
+        return this._updateDelivery(sessionId, sinkId, delivery => ({
+            ...delivery,
+            status: nextAttemptAt === null ? 'failed' : 'pending',
+            attempts: delivery.attempts + 1,
+            lastError: error,
+            nextAttemptAt
+        }));
+    }
+
+    // Record-level status: pending while any sink is, then failed if any sink failed, else sent
+    static summarize(record) {
+        const deliveries = Object.values(record.deliveries);
+        const pending = deliveries.filter(delivery => delivery.status === 'pending');
+        const failed = deliveries.filter(delivery => delivery.status === 'failed');
+        const status = pending.length > 0 ? 'pending' : failed.length > 0 ? 'failed' : 'sent';
+        const sentTimes = deliveries.map(delivery => delivery.sentAt).filter(Boolean).sort();
+
+        return {
+            ...record,
+            status,
+            // Nothing left to deliver: drop the answers from the device
+            payload: status === 'pending' ? record.payload : null,
+            attempts: Math.max(0, ...deliveries.map(delivery => delivery.attempts)),
+            nextAttemptAt: pending.length > 0 ? Math.min(...pending.map(delivery => delivery.nextAttemptAt)) : null,
+            lastError: [...pending, ...failed].map(delivery => delivery.lastError).find(Boolean) || null,
+            sentAt: status === 'sent' ? sentTimes[sentTimes.length - 1] || null : null
+        };
+    }
+
+    async getAll() {
+        if (!await this._open()) {
+            return Array.from(this.memory.values());
+        }
+        return this._request('readonly', store => store.getAll());
+    }
+
+    async getPending() {
+        const records = await this.getAll();
+        return records
+            .filter(record => record.status === 'pending')
+            .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt);
+    }
+
+    // Forget delivered sessions (testing helper); pending ones are kept
+    async clearSent() {
+        const sent = (await this.getAll()).filter(record => record.status === 'sent');
+        for (const record of sent) {
+            if (await this._open()) {
+                await this._request('readwrite', store => store.delete(record.sessionId));
+            } else {
+                this.memory.delete(record.sessionId);
+            }
+        }
+        return sent.length;
+    }
+
+    async _updateDelivery(sessionId, sinkId, update) {
+        const record = await this.get(sessionId);
+        if (!record || !record.deliveries[sinkId]) return null;
+        return this.put(WebhookOutbox.summarize({
+            ...record,
+            deliveries: { ...record.deliveries, [sinkId]: update(record.deliveries[sinkId]) }
+        }));
+    }
+
+    // Resolves true when IndexedDB is usable, false when running on the in-memory fallback
+    async _open() {
+        if (this.memory) return false;
+
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (!WebhookOutbox.isSupported()) {
+                    reject(new Error('IndexedDB not available'));
+                    return;
+                }
+                const request = indexedDB.open(OUTBOX_DB_NAME, OUTBOX_DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(OUTBOX_STORE)) {
+                        db.createObjectStore(OUTBOX_STORE, { keyPath: 'sessionId' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+
+        try {
+            await this.dbPromise;
+            return true;
+        } catch (error) {
+            console.warn('⚠️ Webhook outbox falling back to memory:', error.message || error);
+            this.memory = new Map();
+            return false;
+        }
+    }
+
+    async _request(mode, operation) {
+        const db = await this.dbPromise;
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(OUTBOX_STORE, mode);
+            const request = operation(transaction.objectStore(OUTBOX_STORE));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+}
+
+window.WebhookOutbox = WebhookOutbox;
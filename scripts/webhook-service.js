@@ -1,67 +1,324 @@
-// Webhook Service for Make.com Integration
+// Webhook Service - Builds the session payload and delivers it to the configured result sinks
+// Retry timing for queued sessions: 5s, 10s, 20s, ... capped at 5 minutes, ±20% jitter
+const RETRY_BASE_DELAY_MS = 5000;
+const RETRY_MAX_DELAY_MS = 5 * 60 * 1000;
+const RETRY_JITTER = 0.2;
+
+// Bump together with schemas/webhook-payload.schema.json whenever the payload shape changes
+const PAYLOAD_SCHEMA_VERSION = '1.10.0';
+const PAYLOAD_SCHEMA_URL = 'schemas/webhook-payload.schema.json';
+// Participants the headphone check excluded; see schemas/screen-out-payload.schema.json
+const SCREEN_OUT_SCHEMA_VERSION = '1.0.0';
+const SCREEN_OUT_SCHEMA_URL = 'schemas/screen-out-payload.schema.json';
+
 class WebhookService {
     constructor() {
-        this.webhookUrl = 'https://hook.us2.make.com/8195dd9mtinajkwaamf9soyjb7wipvxs';
-        this.sentSessions = new Set(); // Track sent sessions to prevent duplicates
+        // 🔧 FIXED: Destinations come from config/sinks.json (see ResultSinks) instead of a hard-coded URL
+        this.sinks = null;
+        this.sinkConfig = null;
+        this.schemaPromises = new Map(); // schema URL -> Promise<schema>
+        this.signingKey = null; // { keyId, secret } from the study definition
+        this.qualityThresholds = DataQuality.resolveThresholds(null);
+        // 🔧 FIXED: Sessions go through a durable outbox instead of a single fetch;
+        // it also dedupes by sessionId across reloads (replaces the in-memory sentSessions Set)
+        this.outbox = new WebhookOutbox();
+        this.flushPromise = null;
+        this.retryTimer = null;
+        this.statusListeners = new Set();
+
+        // Retry when the connection comes back and whatever a previous page load left queued
+        window.addEventListener('online', () => this.flush({ force: true }));
+        setTimeout(() => this.flush({ force: true }), 0);
+    }
+
+    /**
+     * Load the sink config and pick this session's sinks (?sinks= > study "sinks" > defaultSinks).
+     * @param {string[]|null} studySinks - Sink names from the study definition
+     */
+    async configureSinks(studySinks = null) {
+        const config = await ResultSinks.loadConfig();
+        this.sinkConfig = config;
+        this.sinks = ResultSinks.select(config, studySinks);
+        console.log('📮 Result sinks:', this.sinks.map(sink => `${sink.id} (${sink.type})`).join(', '));
+
+        return this.sinks;
+    }
+
+    // Payloads are signed with the study's key; studies without one send unsigned payloads
+    setSigningKey(signing = null) {
+        this.signingKey = signing;
+        console.log(signing ? `🔏 Payloads will be signed with key ${signing.keyId}` : '⚠️ Study has no signing key - payloads are unsigned');
+        if (signing && signing.secret === PayloadIntegrity.PLACEHOLDER_SECRET) {
+            console.warn('⚠️ Study signing secret is still the placeholder - every copy of the repo can forge these signatures. Provision a per-deployment secret (see README).');
+        }
+    }
+
+    // Exclusion thresholds from the study's "quality" block (StudyProtocol has checked it)
+    setQualityThresholds(thresholds = null) {
+        this.qualityThresholds = DataQuality.resolveThresholds(thresholds);
     }
 
-    async sendSessionData(sessionData) {
+    loadSchema(url = PAYLOAD_SCHEMA_URL) {
+        if (!this.schemaPromises.has(url)) {
+            const schemaPromise = fetch(url, { cache: 'no-cache' }).then(response => {
+                if (!response.ok) {
+                    throw new Error(`Payload schema could not be loaded (status ${response.status})`);
+                }
+                return response.json();
+            });
+            // Let a later send try again after a failed load
+            schemaPromise.catch(() => this.schemaPromises.delete(url));
+            this.schemaPromises.set(url, schemaPromise);
+        }
+        return this.schemaPromises.get(url);
+    }
+
+    // 🔧 FIXED: The whole payload is checked against the JSON Schema, not just two session fields
+    async validatePayload(payload, url = PAYLOAD_SCHEMA_URL) {
+        const schema = await this.loadSchema(url);
+        return PayloadIntegrity.validate(schema, payload);
+    }
+
+    /**
+     * Queue the session and try to deliver it right away.
+     * @param {object} sessionData - Responses and session metadata; no names or email
+     * @param {{identity?: object}} options - The participant's identity, only used to audit the payload
+     * @returns {Promise<{success: boolean, queued?: boolean, message?: string, error?: string}>}
+     *          success is false when delivery is still pending; the outbox keeps retrying
+     */
+    async sendSessionData(sessionData, { identity = null } = {}) {
         try {
-            // Check if we've already sent this session
-            if (this.sentSessions.has(sessionData.sessionId)) {
-                console.log('Session already sent to webhook:', sessionData.sessionId);
-                return { success: true, message: 'Session already sent' };
+            if (!sessionData || !sessionData.sessionId || !Array.isArray(sessionData.responses)) {
+                throw new Error('Invalid session data');
             }
 
-            // Validate session data
-            if (!this.validateSessionData(sessionData)) {
-                throw new Error('Invalid session data');
+            return await this._queueAndFlush(sessionData.sessionId, () => this.prepareWebhookPayload(sessionData), {
+                identity, schemaUrl: PAYLOAD_SCHEMA_URL, schemaVersion: PAYLOAD_SCHEMA_VERSION
+            });
+        } catch (error) {
+            console.error('Webhook error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Record a participant the headphone check excluded, so the screen-out isn't lost.
+     * The payload has no responses; the dashboard and tools/analyze-sessions.js skip it.
+     * @param {{sessionId: string, participantId?: string|null, startTime?: string, study?: object, headphoneCheck: object}} screenOut
+     * @param {{identity?: object}} options - The participant's identity, only used to audit the payload
+     * @returns {Promise<{success: boolean, queued?: boolean, message?: string, error?: string}>}
+     */
+    async sendScreenOut(screenOut, { identity = null } = {}) {
+        try {
+            if (!screenOut || !screenOut.sessionId || !screenOut.headphoneCheck) {
+                throw new Error('Invalid screen-out');
             }
 
-            // Prepare the webhook payload
-            const payload = this.prepareWebhookPayload(sessionData);
+            return await this._queueAndFlush(screenOut.sessionId, () => ({
+                schemaVersion: SCREEN_OUT_SCHEMA_VERSION,
+                type: 'screenOut',
+                sessionId: screenOut.sessionId,
+                participantId: screenOut.participantId || null,
+                study: screenOut.study || null,
+                startTime: screenOut.startTime,
+                screenedOutAt: new Date().toISOString(),
+                headphoneCheck: screenOut.headphoneCheck
+            }), { identity, schemaUrl: SCREEN_OUT_SCHEMA_URL, schemaVersion: SCREEN_OUT_SCHEMA_VERSION });
 
-            // Send the webhook
-            const response = await fetch(this.webhookUrl, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify(payload)
-            });
+        } catch (error) {
+            console.error('Screen-out webhook error:', error);
+            return { success: false, error: error.message };
+        }
+    }
 
-            if (!response.ok) {
-                throw new Error(`Webhook failed with status: ${response.status}`);
+    // Build, check, sign and queue a payload under sessionId once, then try to deliver it
+    async _queueAndFlush(sessionId, buildPayload, { identity, schemaUrl, schemaVersion }) {
+        // Check if we've already sent (or queued) this session, even on a previous page load
+        const existing = await this.outbox.get(sessionId);
+        if (existing && existing.status === 'sent') {
+            console.log('Session already sent to webhook:', sessionId);
+            this._notify(sessionId, 'saved');
+            return { success: true, message: 'Session already sent' };
+        }
+
+        if (!existing) {
+            if (!this.sinks) {
+                throw new Error('Result sinks are not configured');
+            }
+            // Prepare the webhook payload (a device label may carry the participant's name)
+            let payload = PrivacyGuard.redactFreeText(buildPayload(), identity);
+
+            const schemaErrors = await this.validatePayload(payload, schemaUrl);
+            if (schemaErrors.length > 0) {
+                throw new Error(`Payload does not match schema ${schemaVersion}: ${schemaErrors.join('; ')}`);
             }
+            // 🔧 FIXED: Identity must never travel with responses; refuse to queue a leaking payload
+            PrivacyGuard.assertClean(payload, identity);
+            if (this.signingKey) {
+                payload = await PayloadIntegrity.sign(payload, this.signingKey);
+            }
+
+            await this.outbox.enqueue(sessionId, payload, this.sinks);
+        }
+
+        await this.flush({ force: true });
 
-            // Mark session as sent
-            this.sentSessions.add(sessionData.sessionId);
-            
-            console.log('Webhook sent successfully:', sessionData.sessionId);
+        const record = await this.outbox.get(sessionId);
+        if (record.status === 'sent') {
+            console.log('Webhook sent successfully:', sessionId);
             return { success: true, message: 'Webhook sent successfully' };
+        }
+        return { success: false, queued: record.status === 'pending', error: record.lastError };
+    }
+
+    /**
+     * Send compensation contact details to their own sink, apart from the session payload.
+     * The contact payload has no sessionId, participantId or responses, so the two can't be joined.
+     * @param {{email: string, firstName?: string, lastName?: string}} contact
+     * @param {{sink: string, sessionId: string, study?: object}} options - sink is a name from
+     *        config/sinks.json (the study's privacy.contactSink); sessionId only dedupes the local outbox record
+     */
+    async sendContactDetails(contact, { sink: sinkName, sessionId, study = null }) {
+        try {
+            if (!contact || !contact.email) {
+                throw new Error('Invalid contact details');
+            }
+            if (!this.sinkConfig) {
+                throw new Error('Result sinks are not configured');
+            }
+
+            // Never from ?sinks= - the URL must not be able to redirect contact details
+            const sinks = ResultSinks.select(this.sinkConfig, [sinkName], '');
+            if (this.sinks.some(sink => sink.id === sinkName)) {
+                throw new Error(`Contact sink "${sinkName}" also receives session payloads`);
+            }
+
+            let payload = {
+                type: 'contact',
+                study,
+                email: contact.email,
+                firstName: contact.firstName || null,
+                lastName: contact.lastName || null,
+                submittedAt: new Date().toISOString()
+            };
+            if (this.signingKey) {
+                payload = await PayloadIntegrity.sign(payload, this.signingKey);
+            }
+
+            const recordId = `contact:${sessionId}`;
+            await this.outbox.enqueue(recordId, payload, sinks);
+            await this.flush({ force: true });
+
+            const record = await this.outbox.get(recordId);
+            return record.status === 'sent'
+                ? { success: true, message: 'Contact details sent' }
+                : { success: false, queued: record.status === 'pending', error: record.lastError };
 
         } catch (error) {
-            console.error('Webhook error:', error);
+            console.error('Contact details error:', error);
             return { success: false, error: error.message };
         }
     }
 
-    validateSessionData(sessionData) {
-        const required = ['sessionId', 'responses'];
-        
-        for (const field of required) {
-            if (!sessionData[field]) {
-                console.error(`Missing required field: ${field}`);
-                return false;
+    /**
+     * Try every queued session that is due (all of them when force is set).
+     * Concurrent calls share one pass so a session is never posted twice at once.
+     */
+    flush({ force = false } = {}) {
+        if (this.flushPromise) {
+            return this.flushPromise.then(() => (force ? this.flush({ force }) : undefined));
+        }
+
+        this.flushPromise = this._flushPending(force).finally(() => {
+            this.flushPromise = null;
+        });
+        return this.flushPromise;
+    }
+
+    async _flushPending(force) {
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+
+        try {
+            const now = Date.now();
+            for (const record of await this.outbox.getPending()) {
+                if (!force && record.nextAttemptAt > now) continue;
+                if (navigator.onLine === false) {
+                    this._notify(record.sessionId, 'queued', record);
+                    continue;
+                }
+                await this._deliver(record, force);
             }
+
+            await this._scheduleRetry();
+        } catch (error) {
+            console.error('❌ Webhook outbox error:', error);
         }
+    }
 
-        if (!Array.isArray(sessionData.responses) || sessionData.responses.length === 0) {
-            console.error('No responses found in session data');
-            return false;
+    // Fan the payload out to every sink that still needs it; each sink retries on its own schedule
+    async _deliver(record, force) {
+        this._notify(record.sessionId, 'submitting', record);
+
+        let updated = record;
+        const now = Date.now();
+        for (const delivery of Object.values(record.deliveries)) {
+            if (delivery.status !== 'pending' || (!force && delivery.nextAttemptAt > now)) continue;
+
+            try {
+                await ResultSinks.create(delivery.sink).send(record.payload);
+                updated = await this.outbox.markSent(record.sessionId, delivery.sink.id);
+                console.log(`📮 Session ${record.sessionId} delivered to ${delivery.sink.id}`);
+            } catch (error) {
+                const nextAttemptAt = error.permanent ? null : Date.now() + this.retryDelay(delivery.attempts);
+                updated = await this.outbox.markFailed(record.sessionId, delivery.sink.id, error.message, nextAttemptAt);
+                console.warn(`⚠️ Attempt ${delivery.attempts + 1} to deliver ${record.sessionId} to ${delivery.sink.id} failed:`, error.message);
+            }
         }
 
-        return true;
+        const statusNames = { sent: 'saved', pending: 'queued', failed: 'failed' };
+        this._notify(record.sessionId, statusNames[updated.status], updated);
+    }
+
+    // Exponential backoff with jitter so many queued clients don't retry in lockstep
+    retryDelay(attempts) {
+        const delay = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * Math.pow(2, attempts));
+        return Math.round(delay * (1 + (Math.random() * 2 - 1) * RETRY_JITTER));
+    }
+
+    async _scheduleRetry() {
+        const pending = await this.outbox.getPending();
+        if (pending.length === 0) return;
+
+        const delay = Math.max(0, pending[0].nextAttemptAt - Date.now());
+        clearTimeout(this.retryTimer);
+        this.retryTimer = setTimeout(() => this.flush(), delay);
+        console.log(`📮 ${pending.length} session(s) queued, next webhook retry in ${Math.round(delay / 1000)}s`);
+    }
+
+    /**
+     * Listen for delivery state changes: status is 'submitting', 'saved', 'queued' or 'failed'.
+     * @returns {Function} Unsubscribe
+     */
+    onStatusChange(listener) {
+        this.statusListeners.add(listener);
+        return () => this.statusListeners.delete(listener);
+    }
+
+    _notify(sessionId, status, record = null) {
+        const event = {
+            sessionId,
+            status,
+            attempts: record ? record.attempts : 0,
+            nextAttemptAt: record ? record.nextAttemptAt : null
+        };
+        this.statusListeners.forEach(listener => {
+            try {
+                listener(event);
+            } catch (error) {
+                console.error('Webhook status listener error:', error);
+            }
+        });
     }
 
     prepareWebhookPayload(sessionData) {
@@ -76,14 +333,21 @@ class WebhookService {
         // Prepare responses array
         const responses = sessionData.responses.map((response, index) => ({
             questionId: index + 1,
+            responseType: response.responseType || 'choice',
             selectedVersion: response.selectedVersion || response.selectedChoice,
             actualProcessing: response.actualProcessingType || response.trialType,
             trialType: response.trialType || 'unknown',
-            selectionLatency: response.selectionLatency || 0,
-            playbackTimes: response.playbackTimes || {},
+            selectionLatency: response.selectionLatency ?? null, // null when the chosen side wasn't played on this trial
+            playbackTimes: response.playbackTimes || {}, // ms since the trial started, per side played
             isCatch: response.isCatch || false,
+            speechDuration: response.speechDuration ?? null, // Seconds of speech left in the recording after trimming
+            recordingQuality: response.recordingQuality ?? null, // Level, clipping and noise of the take (RecordingQuality)
             feedbackReasons: response.feedbackTags || [],
-            responseTime: response.responseTime || 0
+            responseTime: response.responseTime || 0,
+            ratings: response.ratings || null,
+            presetId: response.presetId || null,
+            presetHash: response.presetHash || null,
+            details: response.details || null
         }));
         
         // 🔧 ENHANCED: Debug webhook payload
@@ -94,12 +358,25 @@ class WebhookService {
 
         return {
             // Session metadata
+            schemaVersion: PAYLOAD_SCHEMA_VERSION,
             sessionId: sessionData.sessionId,
+            participantId: sessionData.participantId || null,
             startTime: startTime.toISOString(),
             completedAt: completedAt.toISOString(),
             totalDuration: Math.round(totalDuration),
             deviceInfo: sessionData.deviceInfo || {},
             versionOrder: sessionData.versionOrder || {},
+            processingPreset: sessionData.processingPreset || null,
+            counterbalancing: sessionData.counterbalancing || null,
+            staircase: sessionData.staircase ? {
+                basedOn: sessionData.staircase.basedOn,
+                rule: sessionData.staircase.rule,
+                estimateCents: sessionData.staircase.estimateCents,
+                converged: sessionData.staircase.converged,
+                steps: sessionData.staircase.steps,
+                reversals: sessionData.staircase.reversals
+            } : null,
+            study: sessionData.study || null,
 
             // All responses
             responses: responses,
@@ -107,6 +384,32 @@ class WebhookService {
             // Preference analysis summary
             preferenceAnalysis: preferenceAnalysis,
 
+            // Graded preference summary for rating (MUSHRA-style) trials
+            ratingAnalysis: this.analyzeRatings(sessionData.responses),
+
+            // ABX accuracy per processing mode, to condition preferences on detectability
+            discriminationAnalysis: this.analyzeDiscrimination(sessionData.responses),
+
+            // Settings the participant tuned themselves on adjustment trials
+            adjustmentAnalysis: this.analyzeAdjustments(sessionData.responses),
+
+            // Catch-trial listening, rapid and silent choices, side habit and duration; excluded sessions stay in the data
+            dataQuality: DataQuality.assess(responses, {
+                rapidSelections: sessionData.rapidSelections || [],
+                totalDuration,
+                thresholds: this.qualityThresholds,
+                headphoneCheck: sessionData.headphoneCheck || null
+            }),
+
+            // Last microphone check before the first question (MicPreflight); null when it never ran
+            preflight: sessionData.preflight || null,
+
+            // Headphone screening test (HeadphoneCheck); null when the study doesn't run it
+            headphoneCheck: sessionData.headphoneCheck || null,
+
+            // Quiz screen transitions (and rejected events) from QuizStateMachine, for debugging the flow
+            transitionLog: sessionData.transitionLog || [],
+
             // Voice preference summary
             raw_count: summary.rawCount,
             modified_count: summary.modifiedCount,
@@ -123,10 +426,17 @@ class WebhookService {
             deep: 0
         };
 
-        const totalResponses = responses.length;
+        // ABX answers say whether a difference was heard, not which version was liked;
+        // adjustment answers are a setting rather than a choice between versions;
+        // processed-vs-processed pairs never offer raw, so they only enter the scale below;
+        // a staircase answer only records what its last step picked (see the staircase block);
+        // MUSHRA ratings are summarised by analyzeRatings
+        const preferenceResponses = responses.filter(response =>
+            !['abx', 'adjustment', 'pair', 'mushra'].includes(response.responseType) && response.trialType !== 'staircase');
+        const totalResponses = preferenceResponses.length;
 
         // Count selections for each processing type
-        responses.forEach(response => {
+        preferenceResponses.forEach(response => {
             const processingType = response.actualProcessingType || response.trialType;
             if (processingCounts.hasOwnProperty(processingType)) {
                 processingCounts[processingType]++;
@@ -140,9 +450,9 @@ class WebhookService {
                 Math.round((processingCounts[type] / totalResponses) * 100) : 0;
         });
 
-        // Find most and least preferred
-        const sortedTypes = Object.entries(processingCounts)
-            .sort(([,a], [,b]) => b - a);
+        // Find most and least preferred (none when no answer was a choice, e.g. an all-MUSHRA study)
+        const sortedTypes = totalResponses > 0 ? Object.entries(processingCounts)
+            .sort(([,a], [,b]) => b - a) : [];
 
         return {
             totalResponses: totalResponses,
@@ -150,23 +460,125 @@ class WebhookService {
             percentages: percentages,
             mostPreferred: sortedTypes[0] ? sortedTypes[0][0] : null,
             leastPreferred: sortedTypes[sortedTypes.length - 1] ? sortedTypes[sortedTypes.length - 1][0] : null,
-            preferenceRanking: sortedTypes.map(([type, count]) => ({ type, count }))
+            preferenceRanking: sortedTypes.map(([type, count]) => ({ type, count })),
+            // Bradley-Terry strengths (relative to raw) from every raw-vs-mode and mode-vs-mode choice
+            scale: PreferenceAnalysis.fitBradleyTerry(PreferenceAnalysis.comparisonsFrom(responses))
         };
     }
 
+    analyzeRatings(responses) {
+        const rated = responses.filter(response => response.responseType === 'mushra' && response.ratings);
+        if (rated.length === 0) {
+            return null;
+        }
+
+        const totals = {};
+        rated.forEach(response => {
+            Object.entries(response.ratings).forEach(([stimulus, rating]) => {
+                totals[stimulus] = totals[stimulus] || { sum: 0, count: 0 };
+                totals[stimulus].sum += rating;
+                totals[stimulus].count++;
+            });
+        });
+
+        const meanRatings = {};
+        Object.entries(totals).forEach(([stimulus, { sum, count }]) => {
+            meanRatings[stimulus] = Math.round((sum / count) * 10) / 10;
+        });
+
+        // Raw and the hidden reference are the same audio, so their gap measures rater consistency
+        const referenceGaps = rated.map(response => Math.abs(response.ratings.raw - response.ratings.reference));
+        const anchorLowest = rated.filter(response => {
+            const { anchor, ...others } = response.ratings;
+            return Object.values(others).every(rating => anchor <= rating);
+        }).length;
+
+        return {
+            totalTrials: rated.length,
+            meanRatings: meanRatings,
+            meanReferenceGap: Math.round((referenceGaps.reduce((sum, gap) => sum + gap, 0) / rated.length) * 10) / 10,
+            anchorRatedLowest: anchorLowest
+        };
+    }
+
+    analyzeDiscrimination(responses) {
+        const abxResponses = responses.filter(response => response.responseType === 'abx' && response.details);
+        if (abxResponses.length === 0) {
+            return null;
+        }
+
+        const summarize = (items) => {
+            const correct = items.filter(response => response.details.correct).length;
+            return {
+                trials: items.length,
+                correct: correct,
+                accuracy: Math.round((correct / items.length) * 100) / 100,
+                pValue: this.binomialTailProbability(correct, items.length)
+            };
+        };
+
+        const byMode = {};
+        abxResponses.forEach(response => {
+            const mode = response.actualProcessingType || response.trialType;
+            (byMode[mode] = byMode[mode] || []).push(response);
+        });
+
+        const perMode = {};
+        Object.entries(byMode).forEach(([mode, items]) => {
+            perMode[mode] = summarize(items);
+        });
+
+        return {
+            overall: summarize(abxResponses),
+            perMode: perMode
+        };
+    }
+
+    analyzeAdjustments(responses) {
+        const adjusted = responses.filter(response => response.responseType === 'adjustment' && response.details);
+        if (adjusted.length === 0) {
+            return null;
+        }
+
+        const mean = (pick) => Math.round((adjusted.reduce((sum, response) => sum + pick(response.details), 0) / adjusted.length) * 100) / 100;
+
+        return {
+            totalTrials: adjusted.length,
+            meanPosition: mean(details => details.position),
+            meanPitchCents: mean(details => details.pitchCents),
+            meanFormant: mean(details => details.formant),
+            meanShelfLowGain: mean(details => details.shelfLow.gain),
+            meanShelfHighGain: mean(details => details.shelfHigh.gain),
+            // Where the slider started, to check the answer was not just left near the start
+            meanStartDistance: mean(details => Math.abs(details.position - details.startPosition))
+        };
+    }
+
+    // One-sided P(at least `successes` correct out of `trials`) when guessing (p = 0.5)
+    binomialTailProbability(successes, trials) {
+        let coefficient = 1;
+        let tail = 0;
+        for (let k = 0; k <= trials; k++) {
+            if (k >= successes) tail += coefficient;
+            coefficient = coefficient * (trials - k) / (k + 1);
+        }
+        return Math.round((tail / Math.pow(2, trials)) * 10000) / 10000;
+    }
+
     // Method to check if webhook was already sent for a session
-    isSessionSent(sessionId) {
-        return this.sentSessions.has(sessionId);
+    async isSessionSent(sessionId) {
+        const record = await this.outbox.get(sessionId);
+        return !!record && record.status === 'sent';
     }
 
     // Method to clear sent sessions (useful for testing)
     clearSentSessions() {
-        this.sentSessions.clear();
+        return this.outbox.clearSent();
     }
 
     getVoicePreferenceSummary(responses) {
-        // ✅ Only count the 9 real trials (exclude the guaranteed raw catch trial)
-        const realQuestions = responses.filter(r => !r.isCatch && r.selectedVersion);
+        // ✅ Only count the 9 real trials (exclude the guaranteed raw catch trial and the staircase)
+        const realQuestions = responses.filter(r => !r.isCatch && r.responseType !== 'abx' && r.responseType !== 'pair' && r.trialType !== 'staircase' && r.selectedVersion);
 
         let rawCount = 0;
         for (const q of realQuestions) {
@@ -174,7 +586,7 @@ class WebhookService {
         }
 
         const modifiedCount = realQuestions.length - rawCount;
-        const preference = rawCount >= 5 ? "raw" : "enhanced"; // 5+ out of 9 = raw preference
+        const preference = rawCount > realQuestions.length / 2 ? "raw" : "enhanced"; // Majority, e.g. 5+ out of 9
 
         const message = preference === "raw"
             ? "You chose your regular recorded voice more often. That suggests you're more comfortable with how your voice naturally sounds in recordings — which is uncommon, and really valuable insight for us."
@@ -192,7 +604,7 @@ class WebhookService {
     debugWebhookPayload(sessionData, responses) {
         const payload = {
             sessionId: sessionData.sessionId,
-            userEmail: sessionData.userEmail,
+            participantId: sessionData.participantId || null,
             responses: responses,
             analytics: sessionData.analytics,
             timestamp: new Date().toISOString()
@@ -0,0 +1,105 @@
+/**
+ * Analyze Sessions - Per-participant and pooled preference statistics for received payloads
+ *
+ * Usage:  node tools/analyze-sessions.js received/*.json
+ *         node tools/analyze-sessions.js --json received/*.json > analysis.json
+ *         node tools/analyze-sessions.js --exclude-flagged received/*.json
+ *
+ * Each .json file holds one session payload or an array of them (e.g. a webhook export);
+ * .jsonl files hold one payload per line, as the dashboard accepts.
+ * Contact payloads and anything without responses are skipped. --exclude-flagged leaves out
+ * sessions that DataQuality excludes under the thresholds they were collected with.
+ */
+
+const fs = require('fs');
+const { PreferenceAnalysis } = require('../scripts/preference-analysis.js');
+const { DataQuality } = require('../scripts/data-quality.js');
+
+// Same line-delimited detection as SessionDashboard.parseFile; a parse error names the file and line
+function readPayloads(files) {
+    const payloads = [];
+    files.forEach(file => {
+        const text = fs.readFileSync(file, 'utf8').trim();
+        const chunks = /\.jsonl$/i.test(file) || (!text.startsWith('[') && text.includes('\n{'))
+            ? text.split(/\r?\n/).map((line, index) => [line, `${file}:${index + 1}`])
+            : [[text, file]];
+
+        chunks.forEach(([json, where]) => {
+            if (!json.trim()) return;
+            let content;
+            try {
+                content = JSON.parse(json);
+            } catch (error) {
+                throw new Error(`${where}: ${error.message}`);
+            }
+            payloads.push(...(Array.isArray(content) ? content : [content]));
+        });
+    });
+    return payloads;
+}
+
+function formatProportion(result) {
+    if (result.trials === 0) return 'no trials';
+    const ci = result.ci95;
+    return `${result.successes}/${result.trials} = ${result.proportion.toFixed(3)} ` +
+        `[${ci.lower.toFixed(3)}, ${ci.upper.toFixed(3)}] p=${result.pValue}`;
+}
+
+function printSummary(label, stats) {
+    console.log(`\n${label}`);
+    Object.entries(stats.processedByMode).forEach(([mode, result]) => {
+        console.log(`  processed (${mode}): ${formatProportion(result)}`);
+    });
+    console.log(`  processed (all):  ${formatProportion(stats.processedOverall)}`);
+    console.log(`  chose left:       ${formatProportion(stats.sideBias)}`);
+    const catchTrials = stats.catchTrials;
+    if (catchTrials.trials > 0) {
+        console.log(`  catch trials:     ${catchTrials.left} left / ${catchTrials.right} right, ` +
+            `same side ${catchTrials.sameSideRate}, matches side bias ${catchTrials.matchesSideBias ?? 'n/a'}`);
+    }
+}
+
+function main() {
+    const args = process.argv.slice(2);
+    const asJson = args.includes('--json');
+    const excludeFlagged = args.includes('--exclude-flagged');
+    const files = args.filter(arg => arg !== '--json' && arg !== '--exclude-flagged');
+    if (files.length === 0) {
+        console.error('Usage: node tools/analyze-sessions.js [--json] [--exclude-flagged] <payload.json>...');
+        process.exit(2);
+    }
+
+    let payloads = readPayloads(files);
+    if (excludeFlagged) {
+        const kept = payloads.filter(payload => !DataQuality.assessPayload(payload).excluded);
+        if (!asJson) {
+            console.log(`🚩 Left out ${payloads.length - kept.length} excluded session(s)`);
+        }
+        payloads = kept;
+    }
+
+    const analysis = PreferenceAnalysis.analyzeSessions(payloads);
+    if (asJson) {
+        console.log(JSON.stringify(analysis, null, 2));
+        return;
+    }
+
+    console.log(`📊 ${analysis.sessions} session(s), ${analysis.participantCount} participant(s)`);
+    analysis.participants.forEach(participant => {
+        printSummary(`👤 ${participant.participantId || participant.sessionIds.join(', ')}`, participant);
+    });
+    printSummary('📈 Pooled (all choices)', analysis.pooled);
+
+    const { overall, byMode } = analysis.pooled.participants;
+    console.log('\n🧑‍🤝‍🧑 Participants preferring processed (sign test)');
+    Object.entries({ ...byMode, all: overall }).forEach(([mode, result]) => {
+        console.log(`  ${mode}: ${result.preferProcessed} processed / ${result.preferRaw} raw / ${result.ties} tied, p=${result.pValue ?? 'n/a'}`);
+    });
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(error.message);
+    process.exit(2);
+}
@@ -0,0 +1,89 @@
+/**
+ * Local Sink Server - Stand-in for the production webhook while testing result sinks
+ * Accepts the JSON, form-encoded and beacon posts from scripts/result-sinks.js and
+ * writes each session to <outDir>/<sessionId>.json.
+ *
+ * Usage:  node tools/local-sink-server.js [port=8787] [outDir=received]
+ * Then open the quiz with ?sinks=local (or local-form, local-beacon); local-contact is the
+ * stand-in for a study's privacy.contactSink.
+ * Add ?fail=<n> to the sink URL in config/sinks.json to reject the first n posts with 503,
+ * which exercises the outbox retry path.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const port = parseInt(process.argv[2] || '8787', 10);
+const outDir = path.resolve(process.argv[3] || 'received');
+const failures = new Map(); // path+query -> posts rejected so far
+
+fs.mkdirSync(outDir, { recursive: true });
+
+function parseBody(contentType, body) {
+    if (contentType.startsWith('application/x-www-form-urlencoded')) {
+        // Mirror of FormPostSink.encode(): nested values arrive as JSON strings
+        const payload = {};
+        new URLSearchParams(body).forEach((value, key) => {
+            try {
+                payload[key] = /^[[{]/.test(value) ? JSON.parse(value) : value;
+            } catch (error) {
+                payload[key] = value;
+            }
+        });
+        return payload;
+    }
+    // application/json, or text/plain from sendBeacon
+    return JSON.parse(body);
+}
+
+const server = http.createServer((req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Quiz-Signature');
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+    if (req.method !== 'POST') {
+        res.writeHead(405);
+        res.end();
+        return;
+    }
+
+    const url = new URL(req.url, `http://localhost:${port}`);
+    const failFirst = parseInt(url.searchParams.get('fail') || '0', 10);
+    const seen = failures.get(req.url) || 0;
+    if (seen < failFirst) {
+        failures.set(req.url, seen + 1);
+        console.log(`⏳ Rejecting post ${seen + 1}/${failFirst} to ${req.url} with 503`);
+        res.writeHead(503);
+        res.end();
+        return;
+    }
+
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        try {
+            const payload = parseBody(req.headers['content-type'] || '', body);
+            // Contact payloads carry no sessionId on purpose, so they get a timestamped name
+            const sessionId = String(payload.sessionId || `${payload.type || 'payload'}-${Date.now()}`).replace(/[^a-z0-9_-]/gi, '_');
+            const file = path.join(outDir, `${sessionId}.json`);
+            fs.writeFileSync(file, JSON.stringify(payload, null, 2));
+            console.log(`✅ ${req.headers['content-type']} → ${file} (${payload.responses?.length ?? 0} responses)`);
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ accepted: true }));
+        } catch (error) {
+            console.error('❌ Bad payload:', error.message);
+            res.writeHead(400);
+            res.end();
+        }
+    });
+});
+
+server.listen(port, () => {
+    console.log(`📮 Local sink listening on http://localhost:${port} → ${outDir}`);
+});
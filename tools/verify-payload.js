@@ -0,0 +1,101 @@
+/**
+ * Verify Payload - Check received webhook payloads against their schema and their HMAC signature
+ * (screen-out payloads, type "screenOut", against schemas/screen-out-payload.schema.json)
+ *
+ * Usage:  node tools/verify-payload.js --study studies/default.json received/*.json
+ *         node tools/verify-payload.js --secret <secret> payload.json
+ *         node tools/verify-payload.js --schema-only payload.json
+ *
+ * --study reads the signing secret from a study definition (its signing.keyId must match
+ * the payload's). Payloads are also audited for names and email addresses (PrivacyGuard).
+ * Exits 1 when any payload fails, so it can gate an import script.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PayloadIntegrity } = require('../scripts/payload-integrity.js');
+const { PrivacyGuard } = require('../scripts/privacy-guard.js');
+
+const SCHEMA_PATH = path.join(__dirname, '..', 'schemas', 'webhook-payload.schema.json');
+const SCREEN_OUT_SCHEMA_PATH = path.join(__dirname, '..', 'schemas', 'screen-out-payload.schema.json');
+
+function parseArgs(argv) {
+    const options = { files: [], secret: null, keyId: null, schemaOnly: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--secret') {
+            options.secret = argv[++i];
+        } else if (arg === '--study') {
+            const study = JSON.parse(fs.readFileSync(argv[++i], 'utf8'));
+            if (!study.signing) {
+                throw new Error(`Study ${study.id} has no signing block`);
+            }
+            options.secret = study.signing.secret;
+            options.keyId = study.signing.keyId;
+            if (options.secret === PayloadIntegrity.PLACEHOLDER_SECRET) {
+                console.warn(`Warning: study ${study.id} still has the placeholder signing secret`);
+            }
+        } else if (arg === '--schema-only') {
+            options.schemaOnly = true;
+        } else {
+            options.files.push(arg);
+        }
+    }
+    return options;
+}
+
+async function verifyFile(file, schemas, options) {
+    const payload = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const schema = payload && payload.type === 'screenOut' ? schemas.screenOut : schemas.session;
+    const secret = options.schemaOnly ? null : options.secret;
+    const result = await PayloadIntegrity.verify(payload, { schema, secret });
+
+    // Identity in a session payload is always a failure, even with a valid signature
+    const problems = [...result.schemaErrors, ...PrivacyGuard.audit(payload)];
+    if (!options.schemaOnly) {
+        if (!secret) {
+            problems.push('no secret given (use --study, --secret or --schema-only)');
+        } else if (result.signature !== 'valid') {
+            problems.push(`signature ${result.signature}`);
+        }
+        if (options.keyId && payload.signature && payload.signature.keyId !== options.keyId) {
+            problems.push(`signed with key ${payload.signature.keyId}, expected ${options.keyId}`);
+        }
+    }
+
+    if (problems.length === 0) {
+        console.log(`✅ ${file} (schema ${payload.schemaVersion}, signature ${result.signature})`);
+        return true;
+    }
+    console.log(`❌ ${file}`);
+    problems.forEach(problem => console.log(`   - ${problem}`));
+    return false;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.files.length === 0) {
+        console.error('Usage: node tools/verify-payload.js [--study <study.json> | --secret <secret> | --schema-only] <payload.json>...');
+        process.exit(2);
+    }
+
+    const schemas = {
+        session: JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8')),
+        screenOut: JSON.parse(fs.readFileSync(SCREEN_OUT_SCHEMA_PATH, 'utf8'))
+    };
+    let allValid = true;
+    for (const file of options.files) {
+        try {
+            allValid = (await verifyFile(file, schemas, options)) && allValid;
+        } catch (error) {
+            console.log(`❌ ${file}: ${error.message}`);
+            allValid = false;
+        }
+    }
+    process.exit(allValid ? 0 : 1);
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(2);
+});